@@ -0,0 +1,124 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title MarketRegistry
+ * @notice On-chain list of QieLend markets: the lending pool, asset and price feed of
+ *         each, its listing status and its risk parameters. The frontend reads it on top
+ *         of src/config/markets.json, so listing, pausing or retiring a market takes effect
+ *         without a new frontend release.
+ * @dev Markets are keyed by symbol and never removed; retire one with Status.Deprecated.
+ *      Risk parameters are basis points and only describe the pool; each pool enforces
+ *      its own.
+ */
+contract MarketRegistry {
+    enum Status {
+        ComingSoon,
+        Active,
+        Paused,
+        Deprecated
+    }
+
+    struct RiskParameters {
+        uint16 collateralFactor;     // share of supply that can be borrowed against
+        uint16 liquidationThreshold; // share of supply at which a position can be liquidated
+        uint16 liquidationBonus;     // bonus on seized collateral for liquidators
+        uint16 reserveFactor;        // share of interest kept as reserves
+    }
+
+    struct Market {
+        string symbol;
+        address pool;   // lending pool; zero until deployed
+        address asset;  // ERC20 token; zero for the native asset
+        address oracle; // primary AggregatorV3Interface price feed
+        Status status;
+        RiskParameters risk;
+    }
+
+    address public owner;
+
+    Market[] private markets;
+    mapping(bytes32 => uint256) private marketIds; // keccak256(symbol) => index + 1
+
+    event MarketListed(uint256 indexed id, string symbol);
+    event MarketUpdated(uint256 indexed id, string symbol);
+    event MarketStatusChanged(uint256 indexed id, Status status);
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+
+    error MarketExists();
+    error UnknownMarket();
+    error InvalidRiskParameters();
+
+    modifier onlyOwner() {
+        require(msg.sender == owner, "Not owner");
+        _;
+    }
+
+    constructor() {
+        owner = msg.sender;
+    }
+
+    function transferOwnership(address newOwner) external onlyOwner {
+        require(newOwner != address(0), "Zero owner");
+        emit OwnershipTransferred(owner, newOwner);
+        owner = newOwner;
+    }
+
+    /**
+     * @notice List a new market
+     * @return id Index of the market in getMarkets()
+     */
+    function listMarket(Market calldata market) external onlyOwner returns (uint256 id) {
+        bytes32 key = keccak256(bytes(market.symbol));
+        if (marketIds[key] != 0) revert MarketExists();
+        _checkRisk(market.risk);
+
+        markets.push(market);
+        id = markets.length - 1;
+        marketIds[key] = id + 1;
+        emit MarketListed(id, market.symbol);
+    }
+
+    /**
+     * @notice Replace a market's pool, asset, oracle, status and risk parameters. The
+     *         symbol cannot change.
+     */
+    function updateMarket(uint256 id, Market calldata market) external onlyOwner {
+        if (id >= markets.length) revert UnknownMarket();
+        if (keccak256(bytes(market.symbol)) != keccak256(bytes(markets[id].symbol))) revert UnknownMarket();
+        _checkRisk(market.risk);
+
+        markets[id] = market;
+        emit MarketUpdated(id, market.symbol);
+    }
+
+    function setStatus(uint256 id, Status status) external onlyOwner {
+        if (id >= markets.length) revert UnknownMarket();
+        markets[id].status = status;
+        emit MarketStatusChanged(id, status);
+    }
+
+    function getMarkets() external view returns (Market[] memory) {
+        return markets;
+    }
+
+    function getMarket(string calldata symbol) external view returns (Market memory) {
+        uint256 id = marketIds[keccak256(bytes(symbol))];
+        if (id == 0) revert UnknownMarket();
+        return markets[id - 1];
+    }
+
+    function marketCount() external view returns (uint256) {
+        return markets.length;
+    }
+
+    // Borrowing must stop before liquidation starts, and no share can exceed 100%
+    function _checkRisk(RiskParameters calldata risk) internal pure {
+        if (
+            risk.collateralFactor > risk.liquidationThreshold ||
+            risk.liquidationThreshold > 10000 ||
+            risk.liquidationBonus > 10000 ||
+            risk.reserveFactor > 10000
+        ) revert InvalidRiskParameters();
+    }
+}
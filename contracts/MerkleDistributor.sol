@@ -0,0 +1,89 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+interface IERC20Transfer {
+    function transfer(address to, uint256 amount) external returns (bool);
+    function balanceOf(address account) external view returns (uint256);
+}
+
+/**
+ * @title MerkleDistributor
+ * @notice Pays out points-season rewards. The owner publishes a Merkle root of
+ *         (index, account, amount) leaves built by scripts/build-merkle-rewards.js,
+ *         funds the contract with `token`, and each account claims its own amount once.
+ * @dev Leaves are keccak256(abi.encodePacked(index, account, amount)); pairs are hashed
+ *      in sorted order, so proofs carry no left/right flags.
+ */
+contract MerkleDistributor {
+    address public immutable token;
+    bytes32 public immutable merkleRoot;
+    uint256 public immutable seasonId;
+    uint256 public immutable claimDeadline;
+    address public owner;
+
+    // Packed bitmap of claimed indexes
+    mapping(uint256 => uint256) private claimedBitMap;
+
+    event Claimed(uint256 index, address indexed account, uint256 amount);
+    event Swept(address indexed to, uint256 amount);
+
+    error AlreadyClaimed();
+    error InvalidProof();
+    error ClaimWindowClosed();
+    error ClaimWindowOpen();
+
+    constructor(address _token, bytes32 _merkleRoot, uint256 _seasonId, uint256 _claimDeadline) {
+        token = _token;
+        merkleRoot = _merkleRoot;
+        seasonId = _seasonId;
+        claimDeadline = _claimDeadline;
+        owner = msg.sender;
+    }
+
+    function isClaimed(uint256 index) public view returns (bool) {
+        uint256 word = claimedBitMap[index / 256];
+        uint256 mask = 1 << (index % 256);
+        return word & mask == mask;
+    }
+
+    /**
+     * @notice Claim `amount` tokens for `account`. Anyone may submit the claim; tokens
+     *         always go to `account`.
+     */
+    function claim(uint256 index, address account, uint256 amount, bytes32[] calldata merkleProof) external {
+        if (block.timestamp > claimDeadline) revert ClaimWindowClosed();
+        if (isClaimed(index)) revert AlreadyClaimed();
+
+        bytes32 leaf = keccak256(abi.encodePacked(index, account, amount));
+        if (!_verify(merkleProof, leaf)) revert InvalidProof();
+
+        claimedBitMap[index / 256] |= 1 << (index % 256);
+        require(IERC20Transfer(token).transfer(account, amount), "Transfer failed");
+
+        emit Claimed(index, account, amount);
+    }
+
+    /**
+     * @notice Return unclaimed tokens once the claim window has closed.
+     */
+    function sweep(address to) external {
+        require(msg.sender == owner, "Not owner");
+        if (block.timestamp <= claimDeadline) revert ClaimWindowOpen();
+
+        uint256 remaining = IERC20Transfer(token).balanceOf(address(this));
+        require(IERC20Transfer(token).transfer(to, remaining), "Transfer failed");
+
+        emit Swept(to, remaining);
+    }
+
+    function _verify(bytes32[] calldata proof, bytes32 leaf) internal view returns (bool) {
+        bytes32 computed = leaf;
+        for (uint256 i = 0; i < proof.length; i++) {
+            bytes32 sibling = proof[i];
+            computed = computed <= sibling
+                ? keccak256(abi.encodePacked(computed, sibling))
+                : keccak256(abi.encodePacked(sibling, computed));
+        }
+        return computed == merkleRoot;
+    }
+}
@@ -3,27 +3,338 @@ pragma solidity ^0.8.20;
 
 /**
  * @title PointsCalculator
- * @notice Minimal helper to compute user points from supplied and borrowed amounts.
- *         Borrowing is weighted more heavily than supplying.
+ * @notice Time-weighted points for QieLend users, organised in seasons. Points accrue every
+ *         second a position is open during a season, at that season's supply/borrow weights,
+ *         so a large deposit held for a single block earns almost nothing.
+ * @dev The lending pool reports each user's balances through `checkpoint` whenever they
+ *      change. Points between checkpoints are earned on the last reported balances.
+ *      Each season keeps its own cumulative points-per-unit indexes, starting at zero.
+ *
+ *      The pool calls `checkpoint` with a fixed gas stipend, so a checkpoint settles at
+ *      most MAX_SETTLE_SEASONS seasons. A position left untouched for more seasons than
+ *      that cannot take its new balances yet, since the seasons still to settle were
+ *      earned on the old ones. It is frozen instead: it stops earning at `staleAt`, and
+ *      once `settle` has caught it up it is zeroed until the pool reports it again.
  */
 contract PointsCalculator {
-    // Weights expressed in 1e18 fixed-point to allow fractional tuning later.
-    uint256 public constant SUPPLY_WEIGHT = 1e18;       // 1x weight
-    uint256 public constant BORROW_WEIGHT = 2e18;       // 2x weight (borrow counts double)
+    uint256 public constant MAX_SETTLE_SEASONS = 4;
+
+    struct Season {
+        uint256 start;
+        uint256 end;
+        uint256 supplyPointsPerSecond; // per 1e18 units supplied (1e18 fixed-point)
+        uint256 borrowPointsPerSecond; // per 1e18 units borrowed (1e18 fixed-point)
+        uint256 supplyIndex;           // cumulative points earned by one unit supplied
+        uint256 borrowIndex;           // cumulative points earned by one unit borrowed
+        uint256 lastUpdate;            // time the indexes were last brought forward
+        uint256 closedAt;              // 0 until the owner closes the season
+    }
+
+    struct UserPosition {
+        uint256 supplied;         // last balances reported by the lending pool
+        uint256 borrowed;
+        uint256 lastUpdate;
+        uint256 seasonCursor;     // first season not yet fully settled for this user
+        uint256 staleAt;          // nonzero while frozen: when a checkpoint fell behind
+        uint256 staleSupplyIndex; // indexes of the season running at staleAt, if any
+        uint256 staleBorrowIndex;
+    }
+
+    struct UserSeason {
+        uint256 points;       // points settled at the user's last checkpoint
+        uint256 supplyIndex;  // season supplyIndex at that checkpoint
+        uint256 borrowIndex;  // season borrowIndex at that checkpoint
+    }
+
+    address public owner;
+    address public lendingPool;
+
+    Season[] public seasons;
+    mapping(address => UserPosition) public positions;
+    mapping(uint256 => mapping(address => UserSeason)) public userSeasons;
+
+    // Every account ever checkpointed, in first-seen order. Append-only and never iterated
+    // on-chain; off-chain tooling pages through it with participants(i).
+    address[] public participants;
+    mapping(address => bool) public isParticipant;
+
+    event Checkpoint(address indexed user, uint256 supplied, uint256 borrowed);
+    event PositionFrozen(address indexed user, uint256 seasonCursor);
+    event SeasonAdded(uint256 indexed seasonId, uint256 start, uint256 end, uint256 supplyPointsPerSecond, uint256 borrowPointsPerSecond);
+    event SeasonWeightsUpdated(uint256 indexed seasonId, uint256 supplyPointsPerSecond, uint256 borrowPointsPerSecond);
+    event SeasonClosed(uint256 indexed seasonId);
+    event LendingPoolUpdated(address indexed lendingPool);
+
+    modifier onlyOwner() {
+        require(msg.sender == owner, "Not owner");
+        _;
+    }
+
+    constructor(address _lendingPool) {
+        owner = msg.sender;
+        lendingPool = _lendingPool;
+    }
 
     /**
-     * @notice Calculate points for a user given supplied and borrowed amounts.
-     * @param supplied Amount of assets supplied (in underlying units).
-     * @param borrowed Amount of assets borrowed (in underlying units).
-     * @return points Weighted points total.
+     * @notice Record a user's new balances, settling points earned on the previous ones.
+     *         When more than MAX_SETTLE_SEASONS seasons are left to settle, the balances
+     *         are not recorded and the position is frozen instead (see PositionFrozen).
+     * @param user Account whose position changed.
+     * @param supplied Current supplied amount (in underlying units).
+     * @param borrowed Current borrowed amount (in underlying units).
      */
-    function calculatePoints(uint256 supplied, uint256 borrowed) external pure returns (uint256 points) {
-        // points = supply * 1 + borrow * 2 (scaled by 1e18 weights)
-        unchecked {
-            points =
-                (supplied * SUPPLY_WEIGHT / 1e18) +
-                (borrowed * BORROW_WEIGHT / 1e18);
+    function checkpoint(address user, uint256 supplied, uint256 borrowed) external {
+        require(msg.sender == lendingPool, "Only lending pool");
+
+        if (!isParticipant[user]) {
+            isParticipant[user] = true;
+            participants.push(user);
+        }
+
+        UserPosition storage position = positions[user];
+        // A frozen position that catches up here is zeroed; settle again from there so
+        // the new balances only earn from now on
+        bool wasFrozen = position.staleAt != 0;
+        bool caughtUp = _settleUser(user, position, MAX_SETTLE_SEASONS);
+        if (caughtUp && wasFrozen) caughtUp = _settleUser(user, position, MAX_SETTLE_SEASONS);
+        if (!caughtUp) {
+            _freeze(user, position);
+            return;
         }
+
+        position.supplied = supplied;
+        position.borrowed = borrowed;
+        position.lastUpdate = block.timestamp;
+
+        emit Checkpoint(user, supplied, borrowed);
     }
-}
 
+    /**
+     * @notice Stop a position from earning on its last reported balances, for the lending
+     *         pool to call when a checkpoint for it failed.
+     */
+    function freeze(address user) external {
+        require(msg.sender == lendingPool, "Only lending pool");
+        _freeze(user, positions[user]);
+    }
+
+    /**
+     * @notice Settle up to `maxSeasons` more seasons of a position that fell behind, so
+     *         the lending pool's next checkpoint for it can record its balances again.
+     *         Anyone may call it; settling only credits points already earned.
+     * @return caughtUp Whether every season up to now (or to `staleAt`) is settled.
+     */
+    function settle(address user, uint256 maxSeasons) external returns (bool caughtUp) {
+        caughtUp = _settleUser(user, positions[user], maxSeasons);
+    }
+
+    /**
+     * @notice Schedule a new season. Seasons run back to back and may not overlap.
+     * @param start Season start timestamp (not in the past).
+     * @param end Season end timestamp.
+     * @param supplyPointsPerSecond Points per second per 1e18 units supplied (1e18 fixed-point).
+     * @param borrowPointsPerSecond Points per second per 1e18 units borrowed (1e18 fixed-point).
+     */
+    function addSeason(
+        uint256 start,
+        uint256 end,
+        uint256 supplyPointsPerSecond,
+        uint256 borrowPointsPerSecond
+    ) external onlyOwner returns (uint256 seasonId) {
+        require(start >= block.timestamp, "Start in the past");
+        require(end > start, "Invalid season");
+        if (seasons.length > 0) {
+            require(start >= seasons[seasons.length - 1].end, "Overlapping season");
+        }
+
+        seasonId = seasons.length;
+        seasons.push(Season({
+            start: start,
+            end: end,
+            supplyPointsPerSecond: supplyPointsPerSecond,
+            borrowPointsPerSecond: borrowPointsPerSecond,
+            supplyIndex: 0,
+            borrowIndex: 0,
+            lastUpdate: start,
+            closedAt: 0
+        }));
+
+        emit SeasonAdded(seasonId, start, end, supplyPointsPerSecond, borrowPointsPerSecond);
+    }
+
+    /**
+     * @notice Change a season's weights. Points already earned keep the old weights.
+     */
+    function setSeasonWeights(uint256 seasonId, uint256 supplyPointsPerSecond, uint256 borrowPointsPerSecond) external onlyOwner {
+        Season storage season = seasons[seasonId];
+        require(block.timestamp < season.end, "Season ended");
+
+        _updateSeason(season);
+        season.supplyPointsPerSecond = supplyPointsPerSecond;
+        season.borrowPointsPerSecond = borrowPointsPerSecond;
+
+        emit SeasonWeightsUpdated(seasonId, supplyPointsPerSecond, borrowPointsPerSecond);
+    }
+
+    /**
+     * @notice Mark an ended season as closed.
+     * @dev No standings are stored. Season points stop accruing at `end`, so
+     *      `getSeasonPoints` is final from then on, and final standings are recomputed
+     *      from it for every address in `participants`.
+     */
+    function closeSeason(uint256 seasonId) external onlyOwner {
+        Season storage season = seasons[seasonId];
+        require(block.timestamp >= season.end, "Season not ended");
+        require(season.closedAt == 0, "Season closed");
+
+        _updateSeason(season);
+        season.closedAt = block.timestamp;
+
+        emit SeasonClosed(seasonId);
+    }
+
+    function setLendingPool(address _lendingPool) external onlyOwner {
+        lendingPool = _lendingPool;
+        emit LendingPoolUpdated(_lendingPool);
+    }
+
+    function seasonCount() external view returns (uint256) {
+        return seasons.length;
+    }
+
+    function participantCount() external view returns (uint256) {
+        return participants.length;
+    }
+
+    /**
+     * @notice Points a user has earned in one season, including points since the last
+     *         checkpoint. A frozen position earns nothing after `staleAt`.
+     */
+    function getSeasonPoints(uint256 seasonId, address user) public view returns (uint256) {
+        Season memory season = seasons[seasonId];
+        UserSeason memory userSeason = userSeasons[seasonId][user];
+        UserPosition memory position = positions[user];
+        uint256 until = position.staleAt == 0 ? block.timestamp : position.staleAt;
+
+        // Only the part of the season after the user's last checkpoint is still pending
+        if (seasonId < position.seasonCursor || until <= season.start || season.end <= position.lastUpdate) {
+            return userSeason.points;
+        }
+
+        if (season.end > until && position.staleAt != 0) {
+            return userSeason.points + _pendingPoints(position, userSeason, position.staleSupplyIndex, position.staleBorrowIndex);
+        }
+        (uint256 supplyIdx, uint256 borrowIdx) = _seasonIndexes(season);
+        return userSeason.points + _pendingPoints(position, userSeason, supplyIdx, borrowIdx);
+    }
+
+    /**
+     * @notice Total points a user has earned across all seasons.
+     */
+    function getAccumulatedPoints(address user) external view returns (uint256 total) {
+        for (uint256 i = 0; i < seasons.length; i++) {
+            total += getSeasonPoints(i, user);
+        }
+    }
+
+    /**
+     * @dev Settle at most `maxSeasons` seasons from the user's cursor, up to now or, for a
+     *      frozen position, up to `staleAt`. Seasons behind the cursor are final, so only
+     *      the running season keeps the user's indexes. A frozen position that catches up
+     *      is zeroed and unfrozen, so it earns nothing until its next checkpoint.
+     */
+    function _settleUser(address user, UserPosition storage position, uint256 maxSeasons) internal returns (bool caughtUp) {
+        uint256 id = position.seasonCursor;
+        uint256 until = position.staleAt == 0 ? block.timestamp : position.staleAt;
+        bool hasPosition = position.supplied > 0 || position.borrowed > 0;
+        uint256 settled;
+        caughtUp = true;
+
+        for (; id < seasons.length; id++) {
+            Season storage season = seasons[id];
+            if (season.start > until) break;           // later seasons have not started
+            if (settled == maxSeasons) {
+                caughtUp = false;
+                break;
+            }
+            settled++;
+            bool ended = season.end <= until;
+            if (ended && !hasPosition) continue;       // nothing earned, nothing to record
+
+            uint256 supplyIdx;
+            uint256 borrowIdx;
+            if (ended || position.staleAt == 0) {
+                _updateSeason(season);
+                (supplyIdx, borrowIdx) = (season.supplyIndex, season.borrowIndex);
+            } else {
+                (supplyIdx, borrowIdx) = (position.staleSupplyIndex, position.staleBorrowIndex);
+            }
+
+            UserSeason storage userSeason = userSeasons[id][user];
+            if (season.end > position.lastUpdate) {
+                userSeason.points += _pendingPoints(position, userSeason, supplyIdx, borrowIdx);
+            }
+            if (!ended) {
+                // The running season stays the cursor
+                userSeason.supplyIndex = supplyIdx;
+                userSeason.borrowIndex = borrowIdx;
+                break;
+            }
+        }
+
+        position.seasonCursor = id;
+        if (caughtUp && position.staleAt != 0) {
+            position.supplied = 0;
+            position.borrowed = 0;
+            position.lastUpdate = position.staleAt;
+            position.staleAt = 0;
+        }
+    }
+
+    /**
+     * @dev Stop a position that fell behind from earning on balances it may no longer
+     *      hold. The indexes of the season running now are kept, so it is settled up to
+     *      this moment; an already frozen position keeps its original `staleAt`.
+     */
+    function _freeze(address user, UserPosition storage position) internal {
+        if (position.staleAt == 0) {
+            position.staleAt = block.timestamp;
+            // Seasons run back to back, so only the latest started one can be running
+            uint256 id = seasons.length;
+            while (id > 0 && seasons[id - 1].start > block.timestamp) id--;
+            if (id > 0 && seasons[id - 1].end > block.timestamp) {
+                Season storage season = seasons[id - 1];
+                _updateSeason(season);
+                position.staleSupplyIndex = season.supplyIndex;
+                position.staleBorrowIndex = season.borrowIndex;
+            }
+        }
+
+        emit PositionFrozen(user, position.seasonCursor);
+    }
+
+    function _updateSeason(Season storage season) internal {
+        (season.supplyIndex, season.borrowIndex) = _seasonIndexes(season);
+        uint256 until = block.timestamp < season.end ? block.timestamp : season.end;
+        if (until > season.lastUpdate) season.lastUpdate = until;
+    }
+
+    function _seasonIndexes(Season memory season) internal view returns (uint256 supplyIdx, uint256 borrowIdx) {
+        uint256 until = block.timestamp < season.end ? block.timestamp : season.end;
+        if (until <= season.lastUpdate) return (season.supplyIndex, season.borrowIndex);
+        uint256 elapsed = until - season.lastUpdate;
+        supplyIdx = season.supplyIndex + season.supplyPointsPerSecond * elapsed;
+        borrowIdx = season.borrowIndex + season.borrowPointsPerSecond * elapsed;
+    }
+
+    function _pendingPoints(
+        UserPosition memory position,
+        UserSeason memory userSeason,
+        uint256 supplyIdx,
+        uint256 borrowIdx
+    ) internal pure returns (uint256) {
+        return
+            (position.supplied * (supplyIdx - userSeason.supplyIndex)) / 1e18 +
+            (position.borrowed * (borrowIdx - userSeason.borrowIndex)) / 1e18;
+    }
+}
@@ -1,6 +1,11 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
+interface IPointsHook {
+    function checkpoint(address user, uint256 supplied, uint256 borrowed) external;
+    function freeze(address user) external;
+}
+
 /**
  * @title QieLendNative
  * @notice Native-QIE lending/borrowing with on-chain interest and rewards.
@@ -13,6 +18,12 @@ contract QieLendNative {
     uint256 public constant RESERVE_FACTOR = 4000; // 40% of interest to reserves (basis points: 4000/10000 = 0.4)
     uint256 public constant SECONDS_PER_YEAR = 365 days;
 
+    // Gas the points hook may use per checkpoint; a first checkpoint, which registers the
+    // participant, stays well under it
+    uint256 public constant POINTS_CHECKPOINT_GAS = 300000;
+    // Gas for freezing the position when a checkpoint fails anyway
+    uint256 public constant POINTS_FREEZE_GAS = 100000;
+
     // Rate model (basis points)
     uint256 public constant BASE_RATE = 200;          // 2.00%
     uint256 public constant KINK_UTILIZATION = 8000;  // 80%
@@ -40,6 +51,9 @@ contract QieLendNative {
 
     mapping(address => UserAccount) public accounts;
 
+    address public owner;
+    IPointsHook public pointsCalculator; // optional; notified whenever a user's balances change
+
     event Supply(address indexed user, uint256 amount, uint256 newBalance);
     event Withdraw(address indexed user, uint256 amount, uint256 newBalance);
     event Borrow(address indexed user, uint256 amount, uint256 newBalance);
@@ -48,6 +62,8 @@ contract QieLendNative {
     event RewardsClaimed(address indexed user, uint256 amount);
     event Liquidate(address indexed liquidator, address indexed borrower, uint256 repayAmount, uint256 seizeAmount);
     event InterestAccrued(uint256 newSupplyIndex, uint256 newBorrowIndex, uint256 totalReserves);
+    event PointsCalculatorUpdated(address indexed pointsCalculator);
+    event PointsCheckpointFailed(address indexed user);
 
     error InsufficientBalance();
     error InvalidAmount();
@@ -65,9 +81,33 @@ contract QieLendNative {
         _;
     }
 
+    modifier checkpointPoints(address user) {
+        _;
+        _checkpointPoints(user);
+    }
+
+    constructor() {
+        owner = msg.sender;
+    }
+
     receive() external payable {}
 
-    function supplyNative() external payable updateInterest updateUserRewards(msg.sender) {
+    /**
+     * @notice Report a user's current balances to the points calculator again, e.g. after
+     *         PointsCheckpointFailed or once PointsCalculator.settle has caught a frozen
+     *         position up. Anyone may call it; it only reports balances as they are.
+     */
+    function syncPoints(address user) external updateInterest {
+        _checkpointPoints(user);
+    }
+
+    function setPointsCalculator(address calculator) external {
+        require(msg.sender == owner, "Not owner");
+        pointsCalculator = IPointsHook(calculator);
+        emit PointsCalculatorUpdated(calculator);
+    }
+
+    function supplyNative() external payable updateInterest updateUserRewards(msg.sender) checkpointPoints(msg.sender) {
         uint256 amount = msg.value;
         if (amount == 0) revert InvalidAmount();
 
@@ -81,7 +121,7 @@ contract QieLendNative {
         emit Supply(msg.sender, amount, account.supplyBalance);
     }
 
-    function withdraw(uint256 amount) external updateInterest updateUserRewards(msg.sender) {
+    function withdraw(uint256 amount) external updateInterest updateUserRewards(msg.sender) checkpointPoints(msg.sender) {
         if (amount == 0) revert InvalidAmount();
         UserAccount storage account = accounts[msg.sender];
 
@@ -108,7 +148,7 @@ contract QieLendNative {
         emit Withdraw(msg.sender, amount, account.supplyBalance);
     }
 
-    function borrow(uint256 amount) external updateInterest updateUserRewards(msg.sender) {
+    function borrow(uint256 amount) external updateInterest updateUserRewards(msg.sender) checkpointPoints(msg.sender) {
         if (amount == 0) revert InvalidAmount();
 
         UserAccount storage account = accounts[msg.sender];
@@ -133,26 +173,33 @@ contract QieLendNative {
         emit Borrow(msg.sender, amount, account.borrowBalance);
     }
 
-    function repay() external payable updateInterest updateUserRewards(msg.sender) {
+    function repay() external payable updateInterest updateUserRewards(msg.sender) checkpointPoints(msg.sender) {
         uint256 amount = msg.value;
         if (amount == 0) revert InvalidAmount();
 
-        UserAccount storage account = accounts[msg.sender];
-        uint256 borrowIdx = account.borrowIndex == 0 ? borrowIndex : account.borrowIndex;
-        uint256 userBorrowBalance = account.borrowBalance == 0 ? 0 : (account.borrowBalance * borrowIndex) / borrowIdx;
-
-        uint256 repayAmount = amount > userBorrowBalance ? userBorrowBalance : amount;
-        account.borrowBalance = ((userBorrowBalance - repayAmount) * 1e18) / borrowIndex;
-        account.borrowIndex = borrowIndex;
-
-        totalBorrow -= repayAmount;
+        uint256 repayAmount = _repay(msg.sender, amount);
 
         // Excess stays as protocol reserves for simplicity
         if (amount > repayAmount) {
             totalReserves += (amount - repayAmount);
         }
+    }
+
+    /**
+     * @notice Repay the caller's entire debt. Send at least the borrow balance including
+     *         interest accrued up to the block the transaction lands in; the excess is
+     *         refunded instead of going to reserves.
+     */
+    function repayAll() external payable updateInterest updateUserRewards(msg.sender) checkpointPoints(msg.sender) {
+        uint256 amount = msg.value;
+        if (amount == 0) revert InvalidAmount();
+
+        uint256 repayAmount = _repay(msg.sender, amount);
 
-        emit Repay(msg.sender, repayAmount, account.borrowBalance);
+        if (amount > repayAmount) {
+            (bool ok, ) = payable(msg.sender).call{value: amount - repayAmount}("");
+            require(ok, "Refund failed");
+        }
     }
 
     function setCollateralEnabled(bool enabled) external updateInterest updateUserRewards(msg.sender) {
@@ -184,7 +231,7 @@ contract QieLendNative {
         emit RewardsClaimed(msg.sender, rewardAmount);
     }
 
-    function liquidate(address borrower) external payable updateInterest {
+    function liquidate(address borrower) external payable updateInterest checkpointPoints(borrower) {
         uint256 repayAmount = msg.value;
         if (repayAmount == 0) revert InvalidAmount();
         if (borrower == msg.sender) revert();
@@ -305,6 +352,20 @@ contract QieLendNative {
         emit InterestAccrued(supplyIndex, borrowIndex, totalReserves);
     }
 
+    function _repay(address user, uint256 amount) internal returns (uint256 repayAmount) {
+        UserAccount storage account = accounts[user];
+        uint256 borrowIdx = account.borrowIndex == 0 ? borrowIndex : account.borrowIndex;
+        uint256 userBorrowBalance = account.borrowBalance == 0 ? 0 : (account.borrowBalance * borrowIndex) / borrowIdx;
+
+        repayAmount = amount > userBorrowBalance ? userBorrowBalance : amount;
+        account.borrowBalance = ((userBorrowBalance - repayAmount) * 1e18) / borrowIndex;
+        account.borrowIndex = borrowIndex;
+
+        totalBorrow -= repayAmount;
+
+        emit Repay(user, repayAmount, account.borrowBalance);
+    }
+
     function _updateUserRewards(address user) internal {
         UserAccount storage account = accounts[user];
         if (account.supplyBalance == 0) {
@@ -323,6 +384,24 @@ contract QieLendNative {
         account.lastRewardUpdate = block.timestamp;
     }
 
+    function _checkpointPoints(address user) internal {
+        if (address(pointsCalculator) == address(0)) return;
+        UserAccount memory account = accounts[user];
+        uint256 userSupplyBalance = (account.supplyBalance * exchangeRate) / 1e18;
+        uint256 borrowIdx = account.borrowIndex == 0 ? borrowIndex : account.borrowIndex;
+        uint256 userBorrowBalance = account.borrowBalance == 0 ? 0 : (account.borrowBalance * borrowIndex) / borrowIdx;
+        // Points must never block lending or liquidations, so a hook that reverts or runs
+        // out of its stipend is skipped, and the position it could not update is frozen so
+        // it stops earning on stale balances. Requiring both stipends up front keeps a low
+        // gas limit from skipping them on purpose (calls get at most 63/64 of what is left).
+        require(gasleft() > ((POINTS_CHECKPOINT_GAS + POINTS_FREEZE_GAS) * 64) / 63 + 5000, "Gas too low for points");
+        try pointsCalculator.checkpoint{gas: POINTS_CHECKPOINT_GAS}(user, userSupplyBalance, userBorrowBalance) {
+        } catch {
+            try pointsCalculator.freeze{gas: POINTS_FREEZE_GAS}(user) {} catch {}
+            emit PointsCheckpointFailed(user);
+        }
+    }
+
     function _calculateBorrowRate(uint256 utilization) internal pure returns (uint256) {
         if (utilization <= KINK_UTILIZATION) {
             return BASE_RATE + (utilization * MULTIPLIER) / KINK_UTILIZATION;
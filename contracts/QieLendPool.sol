@@ -0,0 +1,580 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+interface IERC20Asset {
+    function transfer(address to, uint256 amount) external returns (bool);
+    function transferFrom(address from, address to, uint256 amount) external returns (bool);
+    function decimals() external view returns (uint8);
+}
+
+interface AggregatorV3Interface {
+    function decimals() external view returns (uint8);
+    function latestRoundData()
+        external
+        view
+        returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound);
+}
+
+/**
+ * @title QieLendPool
+ * @notice Multi-asset lending pool: users supply native QIE or ERC20 assets, use any of
+ *         them as collateral and borrow any other listed asset. Collateral and debt are
+ *         valued in USD through each asset's AggregatorV3 price feed, with per-asset
+ *         collateral factors and liquidation thresholds.
+ * @dev Each asset is its own market with the QieLendNative rate model. Native QIE is
+ *      listed under address(0). Risk parameters are basis points. Health checks accrue
+ *      interest on every asset first, so the asset list is kept short by the owner.
+ *      Rewards and points hooks are not part of this pool.
+ */
+contract QieLendPool {
+    address public constant NATIVE = address(0);
+    uint256 public constant SECONDS_PER_YEAR = 365 days;
+
+    // Rate model (basis points), as in QieLendNative
+    uint256 public constant BASE_RATE = 200;          // 2.00%
+    uint256 public constant KINK_UTILIZATION = 8000;  // 80%
+    uint256 public constant MULTIPLIER = 800;         // up to +8% at kink
+    uint256 public constant JUMP_MULTIPLIER = 2000;   // up to +20% in the jump
+
+    struct RiskParameters {
+        uint16 collateralFactor;     // share of collateral value that can be borrowed against
+        uint16 liquidationThreshold; // share of collateral value below which debt is liquidatable
+        uint16 liquidationBonus;     // extra collateral value paid to liquidators
+        uint16 reserveFactor;        // share of interest kept as reserves
+    }
+
+    struct Market {
+        bool listed;
+        bool borrowEnabled;
+        uint8 decimals;
+        address oracle;     // AggregatorV3Interface USD feed
+        uint32 heartbeat;   // seconds after which a feed answer is stale
+        RiskParameters risk;
+        uint256 totalSupply;
+        uint256 totalBorrow;
+        uint256 totalReserves;
+        uint256 exchangeRate;
+        uint256 borrowIndex;
+        uint256 lastUpdateTime;
+    }
+
+    struct Position {
+        uint256 supplyShares; // scaled by exchangeRate
+        uint256 borrowShares; // scaled by borrowIndex
+        bool collateralEnabled;
+    }
+
+    // USD value of an account across all markets, 1e18 fixed point
+    struct Liquidity {
+        uint256 collateralValue;  // collateral-enabled supply
+        uint256 borrowLimit;      // collateral value weighted by collateralFactor
+        uint256 liquidationValue; // collateral value weighted by liquidationThreshold
+        uint256 debtValue;
+    }
+
+    address public owner;
+    address[] public assets;
+    mapping(address => Market) public markets;
+    mapping(address => mapping(address => Position)) public positions; // asset => user => position
+
+    uint256 private locked = 1;
+
+    event AssetListed(address indexed asset, address oracle);
+    event AssetUpdated(address indexed asset, address oracle);
+    event Supply(address indexed user, address indexed asset, uint256 amount);
+    event Withdraw(address indexed user, address indexed asset, uint256 amount);
+    event Borrow(address indexed user, address indexed asset, uint256 amount);
+    event Repay(address indexed user, address indexed asset, uint256 amount);
+    event CollateralToggled(address indexed user, address indexed asset, bool enabled);
+    event Liquidate(
+        address indexed liquidator,
+        address indexed borrower,
+        address debtAsset,
+        address collateralAsset,
+        uint256 repayAmount,
+        uint256 seizeAmount
+    );
+    event InterestAccrued(address indexed asset, uint256 exchangeRate, uint256 borrowIndex, uint256 totalReserves);
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+
+    error InvalidAmount();
+    error InsufficientBalance();
+    error CollateralDisabled();
+    error ExceedsBorrowCapacity();
+    error InsufficientLiquidity();
+    error UnknownAsset();
+    error AssetExists();
+    error BorrowDisabled();
+    error InvalidRiskParameters();
+    error InvalidPrice();
+    error StalePrice();
+    error NotLiquidatable();
+    error InsufficientCollateral();
+
+    modifier onlyOwner() {
+        require(msg.sender == owner, "Not owner");
+        _;
+    }
+
+    modifier nonReentrant() {
+        require(locked == 1, "Reentrant call");
+        locked = 2;
+        _;
+        locked = 1;
+    }
+
+    modifier listed(address asset) {
+        if (!markets[asset].listed) revert UnknownAsset();
+        _;
+    }
+
+    constructor() {
+        owner = msg.sender;
+    }
+
+    // ============ Admin ============
+
+    function transferOwnership(address newOwner) external onlyOwner {
+        require(newOwner != address(0), "Zero owner");
+        emit OwnershipTransferred(owner, newOwner);
+        owner = newOwner;
+    }
+
+    /**
+     * @notice List an asset. Use address(0) for native QIE.
+     * @param oracle AggregatorV3Interface feed of the asset's USD price
+     * @param heartbeat Seconds after which a feed answer is rejected as stale
+     */
+    function listAsset(
+        address asset,
+        address oracle,
+        uint32 heartbeat,
+        RiskParameters calldata risk,
+        bool borrowEnabled
+    ) external onlyOwner {
+        if (markets[asset].listed) revert AssetExists();
+        _checkRisk(risk);
+        require(oracle != address(0), "Zero oracle");
+
+        Market storage market = markets[asset];
+        market.listed = true;
+        market.borrowEnabled = borrowEnabled;
+        market.decimals = asset == NATIVE ? 18 : IERC20Asset(asset).decimals();
+        market.oracle = oracle;
+        market.heartbeat = heartbeat;
+        market.risk = risk;
+        market.exchangeRate = 1e18;
+        market.borrowIndex = 1e18;
+        market.lastUpdateTime = block.timestamp;
+        assets.push(asset);
+
+        emit AssetListed(asset, oracle);
+    }
+
+    /**
+     * @notice Change an asset's price feed and risk parameters. Lowering a threshold can
+     *         make existing positions liquidatable.
+     */
+    function updateAsset(
+        address asset,
+        address oracle,
+        uint32 heartbeat,
+        RiskParameters calldata risk,
+        bool borrowEnabled
+    ) external onlyOwner listed(asset) {
+        _checkRisk(risk);
+        require(oracle != address(0), "Zero oracle");
+        _accrueInterest(asset);
+
+        Market storage market = markets[asset];
+        market.oracle = oracle;
+        market.heartbeat = heartbeat;
+        market.risk = risk;
+        market.borrowEnabled = borrowEnabled;
+
+        emit AssetUpdated(asset, oracle);
+    }
+
+    // ============ Core Functions ============
+
+    /**
+     * @notice Supply `amount` of `asset`. For native QIE send it as msg.value; for an
+     *         ERC20 approve the pool first.
+     */
+    function supply(address asset, uint256 amount) external payable nonReentrant listed(asset) {
+        if (amount == 0) revert InvalidAmount();
+        _accrueInterest(asset);
+        _pullAsset(asset, msg.sender, amount);
+
+        Market storage market = markets[asset];
+        positions[asset][msg.sender].supplyShares += (amount * 1e18) / market.exchangeRate;
+        market.totalSupply += amount;
+
+        emit Supply(msg.sender, asset, amount);
+    }
+
+    function withdraw(address asset, uint256 amount) external nonReentrant listed(asset) {
+        if (amount == 0) revert InvalidAmount();
+        _accrueAll();
+
+        Market storage market = markets[asset];
+        Position storage position = positions[asset][msg.sender];
+        if (_supplyBalance(market, position) < amount) revert InsufficientBalance();
+        if (_cash(market) < amount) revert InsufficientLiquidity();
+
+        _reduceSupply(market, position, amount);
+
+        // Debt must stay within the borrow limit on the remaining collateral
+        if (position.collateralEnabled) {
+            Liquidity memory liquidity = _getLiquidity(msg.sender);
+            if (liquidity.debtValue > liquidity.borrowLimit) revert CollateralDisabled();
+        }
+
+        _pushAsset(asset, msg.sender, amount);
+        emit Withdraw(msg.sender, asset, amount);
+    }
+
+    function borrow(address asset, uint256 amount) external nonReentrant listed(asset) {
+        if (amount == 0) revert InvalidAmount();
+        Market storage market = markets[asset];
+        if (!market.borrowEnabled) revert BorrowDisabled();
+        _accrueAll();
+        if (_cash(market) < amount) revert InsufficientLiquidity();
+
+        positions[asset][msg.sender].borrowShares += _toBorrowShares(market, amount);
+        market.totalBorrow += amount;
+
+        Liquidity memory liquidity = _getLiquidity(msg.sender);
+        if (liquidity.debtValue > liquidity.borrowLimit) revert ExceedsBorrowCapacity();
+
+        _pushAsset(asset, msg.sender, amount);
+        emit Borrow(msg.sender, asset, amount);
+    }
+
+    /**
+     * @notice Repay up to `amount` of the caller's `asset` debt. Native QIE sent above the
+     *         debt is refunded; for an ERC20 only the repaid amount is transferred.
+     */
+    function repay(address asset, uint256 amount) external payable nonReentrant listed(asset) {
+        if (amount == 0) revert InvalidAmount();
+        _accrueInterest(asset);
+
+        Market storage market = markets[asset];
+        Position storage position = positions[asset][msg.sender];
+        uint256 debt = _borrowBalance(market, position);
+        uint256 repayAmount = amount > debt ? debt : amount;
+
+        // Native QIE arrives in full with the call; the excess is refunded below
+        _pullAsset(asset, msg.sender, asset == NATIVE ? amount : repayAmount);
+
+        _reduceDebt(market, position, debt, repayAmount);
+        if (asset == NATIVE && amount > repayAmount) _pushAsset(NATIVE, msg.sender, amount - repayAmount);
+
+        emit Repay(msg.sender, asset, repayAmount);
+    }
+
+    function setCollateralEnabled(address asset, bool enabled) external nonReentrant listed(asset) {
+        positions[asset][msg.sender].collateralEnabled = enabled;
+        if (!enabled) {
+            _accrueAll();
+            Liquidity memory liquidity = _getLiquidity(msg.sender);
+            if (liquidity.debtValue > liquidity.borrowLimit) revert ExceedsBorrowCapacity();
+        }
+        emit CollateralToggled(msg.sender, asset, enabled);
+    }
+
+    /**
+     * @notice Repay part of an unhealthy borrower's `debtAsset` debt and seize its USD
+     *         value plus the liquidation bonus in `collateralAsset`. Native QIE sent above
+     *         the debt is refunded.
+     */
+    function liquidate(
+        address borrower,
+        address debtAsset,
+        address collateralAsset,
+        uint256 repayAmount
+    ) external payable nonReentrant listed(debtAsset) listed(collateralAsset) {
+        if (repayAmount == 0) revert InvalidAmount();
+        require(borrower != msg.sender, "Self liquidation");
+        _accrueAll();
+
+        Liquidity memory liquidity = _getLiquidity(borrower);
+        if (liquidity.debtValue == 0 || liquidity.liquidationValue >= liquidity.debtValue) revert NotLiquidatable();
+        if (!positions[collateralAsset][borrower].collateralEnabled) revert CollateralDisabled();
+
+        uint256 repaid = _repayOnBehalf(borrower, debtAsset, repayAmount);
+        uint256 seizeAmount = _getSeizeAmount(debtAsset, collateralAsset, repaid);
+        _seize(borrower, collateralAsset, seizeAmount);
+
+        if (debtAsset == NATIVE && repayAmount > repaid) _pushAsset(NATIVE, msg.sender, repayAmount - repaid);
+
+        emit Liquidate(msg.sender, borrower, debtAsset, collateralAsset, repaid, seizeAmount);
+    }
+
+    // ============ View Functions ============
+
+    function getAssets() external view returns (address[] memory) {
+        return assets;
+    }
+
+    /**
+     * @notice USD price of one whole unit of `asset`, 1e18 fixed point
+     */
+    function getPrice(address asset) external view listed(asset) returns (uint256) {
+        return _getPrice(markets[asset]);
+    }
+
+    function getSupplyBalance(address user, address asset) external view returns (uint256) {
+        Market memory market = _currentMarket(asset);
+        return (positions[asset][user].supplyShares * market.exchangeRate) / 1e18;
+    }
+
+    function getBorrowBalance(address user, address asset) external view returns (uint256) {
+        Market memory market = _currentMarket(asset);
+        return (positions[asset][user].borrowShares * market.borrowIndex) / 1e18;
+    }
+
+    /**
+     * @notice USD values of `user`'s collateral, borrow limit, liquidation value and debt
+     *         across all markets, with interest accrued to this block
+     */
+    function getAccountLiquidity(address user)
+        external
+        view
+        returns (uint256 collateralValue, uint256 borrowLimit, uint256 liquidationValue, uint256 debtValue)
+    {
+        Liquidity memory liquidity = _getLiquidityView(user);
+        return (liquidity.collateralValue, liquidity.borrowLimit, liquidity.liquidationValue, liquidity.debtValue);
+    }
+
+    /**
+     * @notice Liquidation-threshold-weighted collateral value over debt value, 1e18 fixed
+     *         point; below 1e18 the account can be liquidated
+     */
+    function getHealthFactor(address user) external view returns (uint256) {
+        Liquidity memory liquidity = _getLiquidityView(user);
+        if (liquidity.debtValue == 0) return type(uint256).max;
+        return (liquidity.liquidationValue * 1e18) / liquidity.debtValue;
+    }
+
+    /**
+     * @notice Amount of `asset` that `user` can still borrow, limited by the borrow limit
+     *         and the market's liquidity
+     */
+    function getAvailableToBorrow(address user, address asset) external view listed(asset) returns (uint256) {
+        Market memory market = _currentMarket(asset);
+        if (!market.borrowEnabled) return 0;
+        Liquidity memory liquidity = _getLiquidityView(user);
+        if (liquidity.debtValue >= liquidity.borrowLimit) return 0;
+
+        uint256 amount = ((liquidity.borrowLimit - liquidity.debtValue) * 10 ** market.decimals) / _getPrice(market);
+        uint256 cash = market.totalSupply > market.totalBorrow ? market.totalSupply - market.totalBorrow : 0;
+        return amount > cash ? cash : amount;
+    }
+
+    function getSupplyAPY(address asset) external view listed(asset) returns (uint256) {
+        Market memory market = markets[asset];
+        uint256 borrowRate = _calculateBorrowRate(_utilization(market));
+        return (borrowRate * (10000 - market.risk.reserveFactor)) / 10000;
+    }
+
+    function getBorrowAPY(address asset) external view listed(asset) returns (uint256) {
+        return _calculateBorrowRate(_utilization(markets[asset]));
+    }
+
+    // ============ Internal Functions ============
+
+    function _accrueAll() internal {
+        for (uint256 i = 0; i < assets.length; i++) {
+            _accrueInterest(assets[i]);
+        }
+    }
+
+    function _accrueInterest(address asset) internal {
+        Market storage market = markets[asset];
+        Market memory current = _accrued(market);
+        if (current.lastUpdateTime == market.lastUpdateTime) return;
+
+        bool changed = current.borrowIndex != market.borrowIndex;
+        market.totalSupply = current.totalSupply;
+        market.totalBorrow = current.totalBorrow;
+        market.totalReserves = current.totalReserves;
+        market.exchangeRate = current.exchangeRate;
+        market.borrowIndex = current.borrowIndex;
+        market.lastUpdateTime = current.lastUpdateTime;
+        if (changed) emit InterestAccrued(asset, market.exchangeRate, market.borrowIndex, market.totalReserves);
+    }
+
+    // Market state with interest accrued to this block, as in QieLendNative
+    function _accrued(Market memory market) internal view returns (Market memory) {
+        uint256 timeElapsed = block.timestamp - market.lastUpdateTime;
+        market.lastUpdateTime = block.timestamp;
+        if (timeElapsed == 0 || market.totalSupply == 0 || market.totalBorrow == 0) return market;
+
+        uint256 borrowRate = _calculateBorrowRate(_utilization(market));
+        uint256 borrowRatePerSecond = (borrowRate * 1e18) / (10000 * SECONDS_PER_YEAR);
+        uint256 interestAccrued = (market.totalBorrow * borrowRatePerSecond * timeElapsed) / 1e18;
+        uint256 reserveAmount = (interestAccrued * market.risk.reserveFactor) / 10000;
+        uint256 supplyInterest = interestAccrued - reserveAmount;
+
+        market.exchangeRate += (supplyInterest * 1e18) / market.totalSupply;
+        market.borrowIndex += (interestAccrued * market.borrowIndex) / market.totalBorrow;
+        market.totalReserves += reserveAmount;
+        market.totalBorrow += interestAccrued;
+        market.totalSupply += supplyInterest;
+        return market;
+    }
+
+    function _currentMarket(address asset) internal view returns (Market memory) {
+        return _accrued(markets[asset]);
+    }
+
+    function _getLiquidity(address user) internal view returns (Liquidity memory liquidity) {
+        for (uint256 i = 0; i < assets.length; i++) {
+            _addPosition(liquidity, markets[assets[i]], positions[assets[i]][user]);
+        }
+    }
+
+    function _getLiquidityView(address user) internal view returns (Liquidity memory liquidity) {
+        for (uint256 i = 0; i < assets.length; i++) {
+            _addPosition(liquidity, _currentMarket(assets[i]), positions[assets[i]][user]);
+        }
+    }
+
+    // Add one market's position to the account totals; markets without a position are
+    // skipped so an unused asset's feed cannot block the account
+    function _addPosition(Liquidity memory liquidity, Market memory market, Position memory position) internal view {
+        bool hasCollateral = position.collateralEnabled && position.supplyShares > 0;
+        if (!hasCollateral && position.borrowShares == 0) return;
+
+        uint256 price = _getPrice(market);
+        if (hasCollateral) {
+            uint256 value = (_supplyBalance(market, position) * price) / 10 ** market.decimals;
+            liquidity.collateralValue += value;
+            liquidity.borrowLimit += (value * market.risk.collateralFactor) / 10000;
+            liquidity.liquidationValue += (value * market.risk.liquidationThreshold) / 10000;
+        }
+        if (position.borrowShares > 0) {
+            liquidity.debtValue += (_borrowBalance(market, position) * price) / 10 ** market.decimals;
+        }
+    }
+
+    // Feed answer scaled to 1e18; reverts on a non-positive or stale answer
+    function _getPrice(Market memory market) internal view returns (uint256) {
+        AggregatorV3Interface feed = AggregatorV3Interface(market.oracle);
+        (uint80 roundId, int256 answer, , uint256 updatedAt, uint80 answeredInRound) = feed.latestRoundData();
+        if (answer <= 0 || updatedAt == 0) revert InvalidPrice();
+        if (answeredInRound < roundId || block.timestamp - updatedAt > market.heartbeat) revert StalePrice();
+        return (uint256(answer) * 1e18) / 10 ** feed.decimals();
+    }
+
+    // Collateral to seize for repaying `repayAmount` of debt, including the bonus
+    function _getSeizeAmount(address debtAsset, address collateralAsset, uint256 repayAmount) internal view returns (uint256) {
+        Market memory debtMarket = markets[debtAsset];
+        Market memory collateralMarket = markets[collateralAsset];
+        uint256 repayValue = (repayAmount * _getPrice(debtMarket)) / 10 ** debtMarket.decimals;
+        uint256 seizeValue = (repayValue * (10000 + collateralMarket.risk.liquidationBonus)) / 10000;
+        return (seizeValue * 10 ** collateralMarket.decimals) / _getPrice(collateralMarket);
+    }
+
+    // Take up to `amount` of `borrower`'s debt from the liquidator
+    function _repayOnBehalf(address borrower, address asset, uint256 amount) internal returns (uint256 repaid) {
+        Market storage market = markets[asset];
+        Position storage position = positions[asset][borrower];
+        uint256 debt = _borrowBalance(market, position);
+        repaid = amount > debt ? debt : amount;
+
+        _pullAsset(asset, msg.sender, asset == NATIVE ? amount : repaid);
+        _reduceDebt(market, position, debt, repaid);
+    }
+
+    // Move `amount` of `borrower`'s collateral to the liquidator
+    function _seize(address borrower, address asset, uint256 amount) internal {
+        Market storage market = markets[asset];
+        Position storage position = positions[asset][borrower];
+        if (amount > _supplyBalance(market, position)) revert InsufficientCollateral();
+        if (_cash(market) < amount) revert InsufficientLiquidity();
+
+        _reduceSupply(market, position, amount);
+        _pushAsset(asset, msg.sender, amount);
+    }
+
+    function _reduceSupply(Market storage market, Position storage position, uint256 amount) internal {
+        // Rounding up can ask for one share more than a full balance holds
+        uint256 shares = _toSupplyShares(market, amount);
+        position.supplyShares = shares > position.supplyShares ? 0 : position.supplyShares - shares;
+        market.totalSupply = market.totalSupply > amount ? market.totalSupply - amount : 0;
+    }
+
+    function _reduceDebt(Market storage market, Position storage position, uint256 debt, uint256 amount) internal {
+        // Clear the shares outright on full repayment so no rounding dust is left behind
+        position.borrowShares = amount == debt ? 0 : position.borrowShares - _toBorrowShares(market, amount);
+        market.totalBorrow = market.totalBorrow > amount ? market.totalBorrow - amount : 0;
+    }
+
+    function _supplyBalance(Market memory market, Position memory position) internal pure returns (uint256) {
+        return (position.supplyShares * market.exchangeRate) / 1e18;
+    }
+
+    function _borrowBalance(Market memory market, Position memory position) internal pure returns (uint256) {
+        return (position.borrowShares * market.borrowIndex) / 1e18;
+    }
+
+    // Shares for an amount, rounded up so a withdrawal never takes less than it pays out
+    function _toSupplyShares(Market memory market, uint256 amount) internal pure returns (uint256) {
+        return (amount * 1e18 + market.exchangeRate - 1) / market.exchangeRate;
+    }
+
+    // Shares for an amount, rounded up so a borrow never records less debt than it pays out
+    function _toBorrowShares(Market memory market, uint256 amount) internal pure returns (uint256) {
+        return (amount * 1e18 + market.borrowIndex - 1) / market.borrowIndex;
+    }
+
+    function _cash(Market memory market) internal pure returns (uint256) {
+        return market.totalSupply > market.totalBorrow ? market.totalSupply - market.totalBorrow : 0;
+    }
+
+    function _utilization(Market memory market) internal pure returns (uint256) {
+        if (market.totalSupply == 0) return 0;
+        return (market.totalBorrow * 10000) / market.totalSupply;
+    }
+
+    function _pullAsset(address asset, address from, uint256 amount) internal {
+        if (asset == NATIVE) {
+            if (msg.value != amount) revert InvalidAmount();
+        } else {
+            if (msg.value != 0) revert InvalidAmount();
+            require(IERC20Asset(asset).transferFrom(from, address(this), amount), "Transfer failed");
+        }
+    }
+
+    function _pushAsset(address asset, address to, uint256 amount) internal {
+        if (asset == NATIVE) {
+            (bool ok, ) = payable(to).call{value: amount}("");
+            require(ok, "Native transfer failed");
+        } else {
+            require(IERC20Asset(asset).transfer(to, amount), "Transfer failed");
+        }
+    }
+
+    function _checkRisk(RiskParameters calldata risk) internal pure {
+        if (
+            risk.collateralFactor > risk.liquidationThreshold ||
+            risk.liquidationThreshold > 10000 ||
+            risk.liquidationBonus > 10000 ||
+            risk.reserveFactor > 10000 ||
+            // Seizing more than the collateral backing a position would leave bad debt behind
+            (uint256(risk.liquidationThreshold) * (10000 + risk.liquidationBonus)) / 10000 > 10000
+        ) revert InvalidRiskParameters();
+    }
+
+    function _calculateBorrowRate(uint256 utilization) internal pure returns (uint256) {
+        if (utilization <= KINK_UTILIZATION) {
+            return BASE_RATE + (utilization * MULTIPLIER) / KINK_UTILIZATION;
+        } else {
+            uint256 excessUtilization = utilization - KINK_UTILIZATION;
+            uint256 baseRate = BASE_RATE + MULTIPLIER;
+            return baseRate + (excessUtilization * JUMP_MULTIPLIER) / (10000 - KINK_UTILIZATION);
+        }
+    }
+}
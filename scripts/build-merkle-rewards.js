@@ -0,0 +1,194 @@
+import { createPublicClient, http, getAddress, parseUnits, formatUnits, encodePacked, keccak256, concat } from 'viem';
+import { readFileSync, writeFileSync, mkdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import process from 'node:process';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const RPC_URL = process.env.RPC_URL || 'https://rpc1mainnet.qie.digital/';
+const POINTS_CALCULATOR_ADDRESS = process.env.POINTS_CALCULATOR_ADDRESS || process.env.VITE_POINTS_CALCULATOR_ADDRESS || '';
+
+// Season to reward (0-based, as returned by PointsCalculator.seasons)
+const SEASON_ID = Number(process.env.SEASON_ID || 0);
+// Total reward pool, in whole tokens, split pro rata by season points
+const REWARD_TOTAL = process.env.REWARD_TOTAL || '';
+const TOKEN_DECIMALS = Number(process.env.TOKEN_DECIMALS || 18);
+const TOKEN_SYMBOL = process.env.TOKEN_SYMBOL || 'QIE';
+// Optional { "0xaddress": points } snapshot to use instead of reading the chain
+const SNAPSHOT_FILE = process.env.SNAPSHOT_FILE || '';
+const OUTPUT_FILE = process.env.OUTPUT_FILE || join(__dirname, `../public/rewards/season-${SEASON_ID + 1}.json`);
+
+const POINTS_BATCH = 20;
+
+if (!REWARD_TOTAL) {
+  throw new Error('REWARD_TOTAL environment variable is required (tokens to distribute)');
+}
+
+if (!SNAPSHOT_FILE && !POINTS_CALCULATOR_ADDRESS) {
+  throw new Error('POINTS_CALCULATOR_ADDRESS or SNAPSHOT_FILE environment variable is required');
+}
+
+/**
+ * Read final season points for every participant from PointsCalculator.
+ * Returns { address: bigint points } for participants with points.
+ */
+async function readSeasonSnapshot() {
+  const abi = JSON.parse(readFileSync(join(__dirname, '../src/contracts/PointsCalculatorABI.json'), 'utf8'));
+  const client = createPublicClient({ transport: http(RPC_URL) });
+  const address = getAddress(POINTS_CALCULATOR_ADDRESS);
+
+  const season = await client.readContract({ address, abi, functionName: 'seasons', args: [BigInt(SEASON_ID)] });
+  const [, end, , , , , , closedAt] = season;
+  const latestBlock = await client.getBlock();
+  if (latestBlock.timestamp < end) {
+    throw new Error(`Season ${SEASON_ID + 1} has not ended yet (ends ${new Date(Number(end) * 1000).toISOString()})`);
+  }
+  if (closedAt === 0n) {
+    console.warn('⚠️ Season has ended but is not closed. Points are final, but consider calling closeSeason first.');
+  }
+
+  const count = Number(await client.readContract({ address, abi, functionName: 'participantCount' }));
+  console.log(`👥 ${count} participants`);
+
+  const snapshot = {};
+  for (let i = 0; i < count; i += POINTS_BATCH) {
+    const indexes = Array.from({ length: Math.min(POINTS_BATCH, count - i) }, (_, j) => BigInt(i + j));
+    const users = await Promise.all(
+      indexes.map((index) => client.readContract({ address, abi, functionName: 'participants', args: [index] }))
+    );
+    const points = await Promise.all(
+      users.map((user) => client.readContract({ address, abi, functionName: 'getSeasonPoints', args: [BigInt(SEASON_ID), user] }))
+    );
+    users.forEach((user, j) => {
+      if (points[j] > 0n) snapshot[getAddress(user)] = points[j];
+    });
+  }
+
+  return snapshot;
+}
+
+function readSnapshotFile() {
+  const raw = JSON.parse(readFileSync(SNAPSHOT_FILE, 'utf8'));
+  const snapshot = {};
+  for (const [user, points] of Object.entries(raw)) {
+    // Leaderboard exports use decimal points; keep 18 decimals of precision
+    const value = parseUnits(typeof points === 'number' ? points.toFixed(18) : String(points), 18);
+    if (value > 0n) snapshot[getAddress(user)] = value;
+  }
+  return snapshot;
+}
+
+/**
+ * Split the reward pool pro rata by points. Rounding dust stays in the distributor.
+ */
+function allocateRewards(snapshot, rewardTotal) {
+  const totalPoints = Object.values(snapshot).reduce((sum, points) => sum + points, 0n);
+  if (totalPoints === 0n) throw new Error('Snapshot has no points to reward');
+
+  return Object.entries(snapshot)
+    .sort(([a], [b]) => a.toLowerCase().localeCompare(b.toLowerCase()))
+    .map(([account, points], index) => ({
+      index,
+      account,
+      points,
+      amount: (rewardTotal * points) / totalPoints,
+    }))
+    .filter((claim) => claim.amount > 0n);
+}
+
+// Must match MerkleDistributor: keccak256(abi.encodePacked(index, account, amount))
+function hashLeaf({ index, account, amount }) {
+  return keccak256(encodePacked(['uint256', 'address', 'uint256'], [BigInt(index), account, amount]));
+}
+
+// Pairs are hashed in sorted order, matching MerkleDistributor._verify
+function hashPair(a, b) {
+  return BigInt(a) <= BigInt(b) ? keccak256(concat([a, b])) : keccak256(concat([b, a]));
+}
+
+/**
+ * Build every layer of the tree, leaves first. An odd node is carried up unchanged.
+ */
+function buildTree(leaves) {
+  const layers = [leaves];
+  while (layers[layers.length - 1].length > 1) {
+    const layer = layers[layers.length - 1];
+    const next = [];
+    for (let i = 0; i < layer.length; i += 2) {
+      next.push(i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i]);
+    }
+    layers.push(next);
+  }
+  return layers;
+}
+
+function getProof(layers, leafIndex) {
+  const proof = [];
+  let index = leafIndex;
+  for (let i = 0; i < layers.length - 1; i++) {
+    const sibling = index % 2 === 0 ? index + 1 : index - 1;
+    if (sibling < layers[i].length) proof.push(layers[i][sibling]);
+    index = Math.floor(index / 2);
+  }
+  return proof;
+}
+
+function verifyProof(proof, leaf, root) {
+  return proof.reduce((computed, sibling) => hashPair(computed, sibling), leaf) === root;
+}
+
+async function build() {
+  console.log(`🌳 Building Merkle rewards for Season ${SEASON_ID + 1}\n`);
+
+  const snapshot = SNAPSHOT_FILE ? readSnapshotFile() : await readSeasonSnapshot();
+  const rewardTotal = parseUnits(REWARD_TOTAL, TOKEN_DECIMALS);
+  const claims = allocateRewards(snapshot, rewardTotal);
+  if (claims.length === 0) throw new Error('No accounts qualify for rewards');
+
+  const leaves = claims.map(hashLeaf);
+  const layers = buildTree(leaves);
+  const merkleRoot = layers[layers.length - 1][0];
+
+  const output = {
+    seasonId: SEASON_ID,
+    merkleRoot,
+    distributor: null,
+    tokenSymbol: TOKEN_SYMBOL,
+    tokenDecimals: TOKEN_DECIMALS,
+    tokenTotal: claims.reduce((sum, claim) => sum + claim.amount, 0n).toString(),
+    claims: {},
+  };
+
+  claims.forEach((claim, i) => {
+    const proof = getProof(layers, i);
+    if (!verifyProof(proof, leaves[i], merkleRoot)) {
+      throw new Error(`Proof for ${claim.account} does not verify`);
+    }
+    output.claims[claim.account] = {
+      index: claim.index,
+      amount: claim.amount.toString(),
+      points: claim.points.toString(),
+      proof,
+    };
+  });
+
+  mkdirSync(dirname(OUTPUT_FILE), { recursive: true });
+  writeFileSync(OUTPUT_FILE, JSON.stringify(output, null, 2));
+
+  console.log('✅ Merkle root:', merkleRoot);
+  console.log(`💰 ${formatUnits(BigInt(output.tokenTotal), TOKEN_DECIMALS)} ${TOKEN_SYMBOL} across ${claims.length} accounts`);
+  console.log('📝 Claims saved to', OUTPUT_FILE);
+
+  return output;
+}
+
+build()
+  .then(() => {
+    console.log('\nNext steps: deploy the distributor with CLAIMS_FILE=' + OUTPUT_FILE + ' node scripts/deploy-merkle-distributor-viem.js');
+  })
+  .catch((err) => {
+    console.error('❌ Build failed:', err);
+    process.exit(1);
+  });
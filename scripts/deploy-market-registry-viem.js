@@ -0,0 +1,138 @@
+import { createWalletClient, createPublicClient, http, formatEther, getAddress, zeroAddress } from 'viem';
+import { privateKeyToAccount } from 'viem/accounts';
+import { readFileSync, writeFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import process from 'node:process';
+import solc from 'solc';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const RPC_URL = process.env.RPC_URL || 'https://rpc1mainnet.qie.digital/';
+const PRIVATE_KEY = process.env.PRIVATE_KEY || '';
+// Per-market addresses not in src/config/markets.json, as "QIE=0x...,BTC=0x..."
+const POOL_ADDRESSES = process.env.POOL_ADDRESSES || '';
+const ORACLE_ADDRESSES = process.env.ORACLE_ADDRESSES || '';
+
+// Order of the MarketRegistry.Status enum
+const STATUSES = ['coming-soon', 'active', 'paused', 'deprecated'];
+
+if (!PRIVATE_KEY) {
+  throw new Error('PRIVATE_KEY environment variable is required');
+}
+
+const parseAddressMap = (value) =>
+  Object.fromEntries(
+    value
+      .split(',')
+      .map((entry) => entry.trim().split('='))
+      .filter(([symbol, address]) => symbol && address)
+      .map(([symbol, address]) => [symbol.trim(), getAddress(address.trim())])
+  );
+
+function compileMarketRegistry() {
+  const contractPath = join(__dirname, '../contracts/MarketRegistry.sol');
+  const contractSource = readFileSync(contractPath, 'utf8');
+
+  const input = {
+    language: 'Solidity',
+    sources: {
+      'MarketRegistry.sol': {
+        content: contractSource,
+      },
+    },
+    settings: {
+      optimizer: { enabled: true, runs: 200 },
+      outputSelection: { '*': { '*': ['abi', 'evm.bytecode'] } },
+    },
+  };
+
+  const output = JSON.parse(solc.compile(JSON.stringify(input)));
+  if (output.errors?.length) {
+    const errors = output.errors.filter((e) => e.severity === 'error');
+    if (errors.length) throw new Error(errors.map((e) => e.formattedMessage).join('\n'));
+  }
+
+  const contract = output.contracts['MarketRegistry.sol']['MarketRegistry'];
+  return { abi: contract.abi, bytecode: contract.evm.bytecode.object };
+}
+
+// Registry entry for a market in src/config/markets.json
+function toRegistryMarket(market, pools, oracles) {
+  const pool = pools[market.symbol] || market.pool || (market.poolEnv && process.env[market.poolEnv]) || zeroAddress;
+  return {
+    symbol: market.symbol,
+    pool: getAddress(pool),
+    asset: getAddress(market.asset.address || zeroAddress),
+    oracle: oracles[market.symbol] || zeroAddress,
+    status: STATUSES.indexOf(market.status),
+    risk: market.risk || { collateralFactor: 0, liquidationThreshold: 0, liquidationBonus: 0, reserveFactor: 0 },
+  };
+}
+
+async function deploy() {
+  console.log('🚀 Deploying MarketRegistry with viem\n');
+
+  const { markets } = JSON.parse(readFileSync(join(__dirname, '../src/config/markets.json'), 'utf8'));
+  const pools = parseAddressMap(POOL_ADDRESSES);
+  const oracles = parseAddressMap(ORACLE_ADDRESSES);
+  console.log('📋 Markets:', markets.map((market) => `${market.symbol} (${market.status})`).join(', '));
+
+  const { abi, bytecode } = compileMarketRegistry();
+  console.log('✅ Compiled MarketRegistry\n');
+
+  const account = privateKeyToAccount(`0x${PRIVATE_KEY}`);
+  console.log('👤 Deployer:', account.address);
+
+  const publicClient = createPublicClient({ transport: http(RPC_URL) });
+  const walletClient = createWalletClient({ account, transport: http(RPC_URL) });
+
+  const balance = await publicClient.getBalance({ address: account.address });
+  console.log('💰 Balance:', formatEther(balance), 'QIE');
+  if (balance === 0n) throw new Error('Insufficient balance for deployment');
+
+  const hash = await walletClient.deployContract({ abi, bytecode: `0x${bytecode}` });
+
+  console.log('⏳ Tx sent:', hash);
+  const receipt = await publicClient.waitForTransactionReceipt({ hash });
+  const contractAddress = receipt.contractAddress;
+  if (!contractAddress) throw new Error('Deployment failed: no contract address in receipt');
+
+  console.log('✅ MarketRegistry deployed at:', contractAddress);
+  console.log('🔗 Explorer:', `https://mainnet.qie.digital/address/${contractAddress}`);
+
+  // Seed the registry with the static config
+  for (const market of markets) {
+    const listHash = await walletClient.writeContract({
+      address: contractAddress,
+      abi,
+      functionName: 'listMarket',
+      args: [toRegistryMarket(market, pools, oracles)],
+    });
+    await publicClient.waitForTransactionReceipt({ hash: listHash });
+    console.log(`📌 Listed ${market.symbol}:`, listHash);
+  }
+
+  // Persist ABI for frontend
+  const abiPath = join(__dirname, '../src/contracts/MarketRegistryABI.json');
+  writeFileSync(abiPath, JSON.stringify(abi, null, 2));
+  console.log('📝 ABI saved to', abiPath);
+
+  return {
+    contractAddress,
+    txHash: hash,
+    deployer: account.address,
+    markets: markets.length,
+  };
+}
+
+deploy()
+  .then((info) => {
+    console.log('\nDeployment info:\n', JSON.stringify(info, null, 2));
+    console.log(`\nNext step: set VITE_MARKET_REGISTRY_ADDRESS=${info.contractAddress}`);
+  })
+  .catch((err) => {
+    console.error('❌ Deployment failed:', err);
+    process.exit(1);
+  });
@@ -0,0 +1,123 @@
+import { createWalletClient, createPublicClient, http, formatEther, formatUnits, getAddress } from 'viem';
+import { privateKeyToAccount } from 'viem/accounts';
+import { readFileSync, writeFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import process from 'node:process';
+import solc from 'solc';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const RPC_URL = process.env.RPC_URL || 'https://rpc1mainnet.qie.digital/';
+const PRIVATE_KEY = process.env.PRIVATE_KEY || '';
+const REWARD_TOKEN_ADDRESS = process.env.REWARD_TOKEN_ADDRESS || '';
+// Output of scripts/build-merkle-rewards.js
+const CLAIMS_FILE = process.env.CLAIMS_FILE || '';
+// Days until unclaimed rewards can be swept back by the owner
+const CLAIM_DAYS = Number(process.env.CLAIM_DAYS || 90);
+
+if (!PRIVATE_KEY) {
+  throw new Error('PRIVATE_KEY environment variable is required');
+}
+
+if (!REWARD_TOKEN_ADDRESS) {
+  throw new Error('REWARD_TOKEN_ADDRESS environment variable is required (ERC20 paid out to claimers)');
+}
+
+if (!CLAIMS_FILE) {
+  throw new Error('CLAIMS_FILE environment variable is required (output of scripts/build-merkle-rewards.js)');
+}
+
+function compileMerkleDistributor() {
+  const contractPath = join(__dirname, '../contracts/MerkleDistributor.sol');
+  const contractSource = readFileSync(contractPath, 'utf8');
+
+  const input = {
+    language: 'Solidity',
+    sources: {
+      'MerkleDistributor.sol': {
+        content: contractSource,
+      },
+    },
+    settings: {
+      optimizer: { enabled: true, runs: 200 },
+      outputSelection: { '*': { '*': ['abi', 'evm.bytecode'] } },
+    },
+  };
+
+  const output = JSON.parse(solc.compile(JSON.stringify(input)));
+  if (output.errors?.length) {
+    const errors = output.errors.filter((e) => e.severity === 'error');
+    if (errors.length) throw new Error(errors.map((e) => e.formattedMessage).join('\n'));
+  }
+
+  const contract = output.contracts['MerkleDistributor.sol']['MerkleDistributor'];
+  return { abi: contract.abi, bytecode: contract.evm.bytecode.object };
+}
+
+async function deploy() {
+  console.log('🚀 Deploying MerkleDistributor with viem\n');
+
+  const claims = JSON.parse(readFileSync(CLAIMS_FILE, 'utf8'));
+  console.log('🌳 Merkle root:', claims.merkleRoot);
+
+  const { abi, bytecode } = compileMerkleDistributor();
+  console.log('✅ Compiled MerkleDistributor\n');
+
+  const account = privateKeyToAccount(`0x${PRIVATE_KEY}`);
+  console.log('👤 Deployer:', account.address);
+
+  const publicClient = createPublicClient({ transport: http(RPC_URL) });
+  const walletClient = createWalletClient({ account, transport: http(RPC_URL) });
+
+  const balance = await publicClient.getBalance({ address: account.address });
+  console.log('💰 Balance:', formatEther(balance), 'QIE');
+  if (balance === 0n) throw new Error('Insufficient balance for deployment');
+
+  const latestBlock = await publicClient.getBlock();
+  const claimDeadline = latestBlock.timestamp + BigInt(CLAIM_DAYS) * 86400n;
+
+  const hash = await walletClient.deployContract({
+    abi,
+    bytecode: `0x${bytecode}`,
+    args: [getAddress(REWARD_TOKEN_ADDRESS), claims.merkleRoot, BigInt(claims.seasonId), claimDeadline],
+  });
+
+  console.log('⏳ Tx sent:', hash);
+  const receipt = await publicClient.waitForTransactionReceipt({ hash });
+  const contractAddress = receipt.contractAddress;
+  if (!contractAddress) throw new Error('Deployment failed: no contract address in receipt');
+
+  console.log('✅ MerkleDistributor deployed at:', contractAddress);
+  console.log('🔗 Explorer:', `https://mainnet.qie.digital/address/${contractAddress}`);
+  console.log('⏰ Claims close:', new Date(Number(claimDeadline) * 1000).toISOString());
+
+  // Record the distributor in the claims file so the frontend can find it
+  claims.distributor = contractAddress;
+  claims.claimDeadline = Number(claimDeadline);
+  writeFileSync(CLAIMS_FILE, JSON.stringify(claims, null, 2));
+  console.log('📝 Distributor address written to', CLAIMS_FILE);
+
+  // Persist ABI for frontend
+  const abiPath = join(__dirname, '../src/contracts/MerkleDistributorABI.json');
+  writeFileSync(abiPath, JSON.stringify(abi, null, 2));
+  console.log('📝 ABI saved to', abiPath);
+
+  return {
+    contractAddress,
+    txHash: hash,
+    deployer: account.address,
+    fundingRequired: `${formatUnits(BigInt(claims.tokenTotal), claims.tokenDecimals)} ${claims.tokenSymbol}`,
+  };
+}
+
+deploy()
+  .then((info) => {
+    console.log('\nDeployment info:\n', JSON.stringify(info, null, 2));
+    console.log(`\nNext steps: transfer ${info.fundingRequired} to ${info.contractAddress}, then publish ${CLAIMS_FILE} and set VITE_REWARDS_CLAIMS_URL`);
+  })
+  .catch((err) => {
+    console.error('❌ Deployment failed:', err);
+    process.exit(1);
+  });
@@ -0,0 +1,104 @@
+import { createWalletClient, createPublicClient, http, formatEther } from 'viem';
+import { privateKeyToAccount } from 'viem/accounts';
+import { readFileSync, writeFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import process from 'node:process';
+import solc from 'solc';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const RPC_URL = process.env.RPC_URL || 'https://rpc1mainnet.qie.digital/';
+const PRIVATE_KEY = (process.env.PRIVATE_KEY || '').replace(/^0x/, '');
+// Deploy even if the canonical Multicall3 already exists on this network
+const FORCE_DEPLOY = ['1', 'true'].includes((process.env.FORCE_DEPLOY || '').toLowerCase());
+
+// Canonical Multicall3 address, identical on every network it has been deployed to
+const CANONICAL_MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+if (!PRIVATE_KEY) {
+  throw new Error('PRIVATE_KEY environment variable is required');
+}
+
+function compileMulticall3() {
+  const contractPath = join(__dirname, '../contracts/Multicall3.sol');
+  const contractSource = readFileSync(contractPath, 'utf8');
+
+  const input = {
+    language: 'Solidity',
+    sources: {
+      'Multicall3.sol': {
+        content: contractSource,
+      },
+    },
+    settings: {
+      optimizer: { enabled: true, runs: 200 },
+      outputSelection: { '*': { '*': ['abi', 'evm.bytecode'] } },
+    },
+  };
+
+  const output = JSON.parse(solc.compile(JSON.stringify(input)));
+  if (output.errors?.length) {
+    const errors = output.errors.filter((e) => e.severity === 'error');
+    if (errors.length) throw new Error(errors.map((e) => e.formattedMessage).join('\n'));
+  }
+
+  const contract = output.contracts['Multicall3.sol']['Multicall3'];
+  return { abi: contract.abi, bytecode: contract.evm.bytecode.object };
+}
+
+async function deploy() {
+  console.log('🚀 Deploying Multicall3 with viem\n');
+
+  const publicClient = createPublicClient({ transport: http(RPC_URL) });
+
+  const canonicalCode = await publicClient.getCode({ address: CANONICAL_MULTICALL3_ADDRESS });
+  if (canonicalCode && canonicalCode !== '0x' && !FORCE_DEPLOY) {
+    console.log('✅ Canonical Multicall3 already deployed at', CANONICAL_MULTICALL3_ADDRESS);
+    console.log('   The frontend uses it by default; set FORCE_DEPLOY=1 to deploy your own anyway.');
+    return { contractAddress: CANONICAL_MULTICALL3_ADDRESS, txHash: null, deployer: null };
+  }
+
+  const { abi, bytecode } = compileMulticall3();
+  console.log('✅ Compiled Multicall3\n');
+
+  const account = privateKeyToAccount(`0x${PRIVATE_KEY}`);
+  console.log('👤 Deployer:', account.address);
+
+  const walletClient = createWalletClient({ account, transport: http(RPC_URL) });
+
+  const balance = await publicClient.getBalance({ address: account.address });
+  console.log('💰 Balance:', formatEther(balance), 'QIE');
+  if (balance === 0n) throw new Error('Insufficient balance for deployment');
+
+  const hash = await walletClient.deployContract({
+    abi,
+    bytecode: `0x${bytecode}`,
+  });
+
+  console.log('⏳ Tx sent:', hash);
+  const receipt = await publicClient.waitForTransactionReceipt({ hash });
+  const contractAddress = receipt.contractAddress;
+  if (!contractAddress) throw new Error('Deployment failed: no contract address in receipt');
+
+  console.log('✅ Multicall3 deployed at:', contractAddress);
+  console.log('🔗 Explorer:', `https://mainnet.qie.digital/address/${contractAddress}`);
+
+  // Persist ABI for frontend
+  const abiPath = join(__dirname, '../src/contracts/Multicall3ABI.json');
+  writeFileSync(abiPath, JSON.stringify(abi, null, 2));
+  console.log('📝 ABI saved to', abiPath);
+
+  return { contractAddress, txHash: hash, deployer: account.address };
+}
+
+deploy()
+  .then((info) => {
+    console.log('\nDeployment info:\n', JSON.stringify(info, null, 2));
+    console.log('\nNext steps: set VITE_MULTICALL_ADDRESS=' + info.contractAddress);
+  })
+  .catch((err) => {
+    console.error('❌ Deployment failed:', err);
+    process.exit(1);
+  });
@@ -1,4 +1,4 @@
-import { createWalletClient, createPublicClient, http, formatEther } from 'viem';
+import { createWalletClient, createPublicClient, http, formatEther, getAddress, parseEther } from 'viem';
 import { privateKeyToAccount } from 'viem/accounts';
 import { readFileSync, writeFileSync } from 'fs';
 import { join, dirname } from 'path';
@@ -10,11 +10,21 @@ const __dirname = dirname(__filename);
 
 const RPC_URL = process.env.RPC_URL || 'https://rpc1mainnet.qie.digital/';
 const PRIVATE_KEY = process.env.PRIVATE_KEY || '';
+const LENDING_POOL_ADDRESS = process.env.LENDING_POOL_ADDRESS || process.env.VITE_QIE_CONTRACT_ADDRESS || '';
+
+// First season: length in days and points earned per QIE per day
+const SEASON_DAYS = Number(process.env.SEASON_DAYS || 30);
+const SEASON_SUPPLY_POINTS_PER_DAY = process.env.SEASON_SUPPLY_POINTS_PER_DAY || '1';
+const SEASON_BORROW_POINTS_PER_DAY = process.env.SEASON_BORROW_POINTS_PER_DAY || '2';
 
 if (!PRIVATE_KEY) {
   throw new Error('PRIVATE_KEY environment variable is required');
 }
 
+if (!LENDING_POOL_ADDRESS) {
+  throw new Error('LENDING_POOL_ADDRESS environment variable is required (the deployed QieLendNative address)');
+}
+
 function compilePointsCalculator() {
   const contractPath = join(__dirname, '../contracts/PointsCalculator.sol');
   const contractSource = readFileSync(contractPath, 'utf8');
@@ -61,7 +71,7 @@ async function deploy() {
   const hash = await walletClient.deployContract({
     abi,
     bytecode: `0x${bytecode}`,
-    args: [],
+    args: [getAddress(LENDING_POOL_ADDRESS)],
   });
 
   console.log('⏳ Tx sent:', hash);
@@ -72,6 +82,40 @@ async function deploy() {
   console.log('✅ PointsCalculator deployed at:', contractAddress);
   console.log('🔗 Explorer:', `https://mainnet.qie.digital/address/${contractAddress}`);
 
+  // Point the lending pool's balance hooks at the new calculator (deployer must own the pool)
+  const poolAbi = JSON.parse(readFileSync(join(__dirname, '../src/contracts/QieLendNativeABI.json'), 'utf8'));
+  try {
+    const hookHash = await walletClient.writeContract({
+      address: getAddress(LENDING_POOL_ADDRESS),
+      abi: poolAbi,
+      functionName: 'setPointsCalculator',
+      args: [contractAddress],
+    });
+    await publicClient.waitForTransactionReceipt({ hash: hookHash });
+    console.log('🔗 QieLendNative.setPointsCalculator:', hookHash);
+  } catch (err) {
+    console.warn('⚠️ Could not register the calculator on the lending pool. Call setPointsCalculator from the pool owner.');
+    console.warn(err.shortMessage || err.message);
+  }
+
+  // Schedule Season 1 to start a few minutes from now
+  const latestBlock = await publicClient.getBlock();
+  const seasonStart = latestBlock.timestamp + 300n;
+  const seasonEnd = seasonStart + BigInt(SEASON_DAYS) * 86400n;
+  const seasonHash = await walletClient.writeContract({
+    address: contractAddress,
+    abi,
+    functionName: 'addSeason',
+    args: [
+      seasonStart,
+      seasonEnd,
+      parseEther(SEASON_SUPPLY_POINTS_PER_DAY) / 86400n,
+      parseEther(SEASON_BORROW_POINTS_PER_DAY) / 86400n,
+    ],
+  });
+  await publicClient.waitForTransactionReceipt({ hash: seasonHash });
+  console.log('📅 Season 1:', new Date(Number(seasonStart) * 1000).toISOString(), '→', new Date(Number(seasonEnd) * 1000).toISOString());
+
   // Persist ABI for frontend
   const abiPath = join(__dirname, '../src/contracts/PointsCalculatorABI.json');
   writeFileSync(abiPath, JSON.stringify(abi, null, 2));
@@ -2,11 +2,16 @@ const hre = require("hardhat");
 
 async function main() {
   const PointsCalculator = await hre.ethers.getContractFactory("PointsCalculator");
-  const contract = await PointsCalculator.deploy();
+  const lendingPool = process.env.LENDING_POOL_ADDRESS || process.env.VITE_QIE_CONTRACT_ADDRESS;
+  if (!lendingPool) {
+    throw new Error("LENDING_POOL_ADDRESS environment variable is required");
+  }
+  const contract = await PointsCalculator.deploy(lendingPool);
   await contract.waitForDeployment();
 
   const address = await contract.getAddress();
   console.log("PointsCalculator deployed to:", address);
+  console.log("Next: call setPointsCalculator(" + address + ") on QieLendNative from the pool owner");
 }
 
 main()
@@ -0,0 +1,130 @@
+import { createWalletClient, createPublicClient, http, formatEther, getAddress, zeroAddress } from 'viem';
+import { privateKeyToAccount } from 'viem/accounts';
+import { readFileSync, writeFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import process from 'node:process';
+import solc from 'solc';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const RPC_URL = process.env.RPC_URL || 'https://rpc1mainnet.qie.digital/';
+const PRIVATE_KEY = process.env.PRIVATE_KEY || '';
+// USD price feed of each asset to list, as "QIE=0x...,BTC=0x..."; markets in
+// src/config/markets.json without a feed here, or without risk parameters, are skipped
+const ORACLE_ADDRESSES = process.env.ORACLE_ADDRESSES || '';
+// Seconds after which a feed answer is rejected as stale
+const ORACLE_HEARTBEAT = Number(process.env.ORACLE_HEARTBEAT || 3600);
+
+if (!PRIVATE_KEY) {
+  throw new Error('PRIVATE_KEY environment variable is required');
+}
+
+if (!ORACLE_ADDRESSES) {
+  throw new Error('ORACLE_ADDRESSES environment variable is required (e.g. QIE=0x...)');
+}
+
+const parseAddressMap = (value) =>
+  Object.fromEntries(
+    value
+      .split(',')
+      .map((entry) => entry.trim().split('='))
+      .filter(([symbol, address]) => symbol && address)
+      .map(([symbol, address]) => [symbol.trim(), getAddress(address.trim())])
+  );
+
+function compileQieLendPool() {
+  const contractPath = join(__dirname, '../contracts/QieLendPool.sol');
+  const contractSource = readFileSync(contractPath, 'utf8');
+
+  const input = {
+    language: 'Solidity',
+    sources: {
+      'QieLendPool.sol': {
+        content: contractSource,
+      },
+    },
+    settings: {
+      optimizer: { enabled: true, runs: 200 },
+      outputSelection: { '*': { '*': ['abi', 'evm.bytecode'] } },
+    },
+  };
+
+  const output = JSON.parse(solc.compile(JSON.stringify(input)));
+  if (output.errors?.length) {
+    const errors = output.errors.filter((e) => e.severity === 'error');
+    if (errors.length) throw new Error(errors.map((e) => e.formattedMessage).join('\n'));
+  }
+
+  const contract = output.contracts['QieLendPool.sol']['QieLendPool'];
+  return { abi: contract.abi, bytecode: contract.evm.bytecode.object };
+}
+
+async function deploy() {
+  console.log('🚀 Deploying QieLendPool with viem\n');
+
+  const { markets } = JSON.parse(readFileSync(join(__dirname, '../src/config/markets.json'), 'utf8'));
+  const oracles = parseAddressMap(ORACLE_ADDRESSES);
+  const listings = markets.filter((market) => market.risk && oracles[market.symbol]);
+  if (!listings.length) throw new Error('No market in src/config/markets.json has both risk parameters and an oracle');
+  console.log('📋 Assets:', listings.map((market) => market.symbol).join(', '));
+
+  const { abi, bytecode } = compileQieLendPool();
+  console.log('✅ Compiled QieLendPool\n');
+
+  const account = privateKeyToAccount(`0x${PRIVATE_KEY}`);
+  console.log('👤 Deployer:', account.address);
+
+  const publicClient = createPublicClient({ transport: http(RPC_URL) });
+  const walletClient = createWalletClient({ account, transport: http(RPC_URL) });
+
+  const balance = await publicClient.getBalance({ address: account.address });
+  console.log('💰 Balance:', formatEther(balance), 'QIE');
+  if (balance === 0n) throw new Error('Insufficient balance for deployment');
+
+  const hash = await walletClient.deployContract({ abi, bytecode: `0x${bytecode}` });
+
+  console.log('⏳ Tx sent:', hash);
+  const receipt = await publicClient.waitForTransactionReceipt({ hash });
+  const contractAddress = receipt.contractAddress;
+  if (!contractAddress) throw new Error('Deployment failed: no contract address in receipt');
+
+  console.log('✅ QieLendPool deployed at:', contractAddress);
+  console.log('🔗 Explorer:', `https://mainnet.qie.digital/address/${contractAddress}`);
+
+  // List each asset; native QIE goes under the zero address
+  for (const market of listings) {
+    const asset = market.asset.native ? zeroAddress : getAddress(market.asset.address);
+    const listHash = await walletClient.writeContract({
+      address: contractAddress,
+      abi,
+      functionName: 'listAsset',
+      args: [asset, oracles[market.symbol], ORACLE_HEARTBEAT, market.risk, market.status === 'active'],
+    });
+    await publicClient.waitForTransactionReceipt({ hash: listHash });
+    console.log(`📌 Listed ${market.symbol}:`, listHash);
+  }
+
+  // Persist ABI for frontend
+  const abiPath = join(__dirname, '../src/contracts/QieLendPoolABI.json');
+  writeFileSync(abiPath, JSON.stringify(abi, null, 2));
+  console.log('📝 ABI saved to', abiPath);
+
+  return {
+    contractAddress,
+    txHash: hash,
+    deployer: account.address,
+    assets: listings.map((market) => market.symbol),
+  };
+}
+
+deploy()
+  .then((info) => {
+    console.log('\nDeployment info:\n', JSON.stringify(info, null, 2));
+    console.log(`\nNext step: set VITE_QIE_POOL_ADDRESS=${info.contractAddress}`);
+  })
+  .catch((err) => {
+    console.error('❌ Deployment failed:', err);
+    process.exit(1);
+  });
@@ -0,0 +1,282 @@
+import { createWalletClient, createPublicClient, http, formatEther, parseEther, getAddress, maxUint256 } from 'viem';
+import { privateKeyToAccount } from 'viem/accounts';
+import { readFileSync, appendFileSync, mkdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import process from 'node:process';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Use RPC_URL=http://127.0.0.1:8545 to run against a local Hardhat node
+const RPC_URL = process.env.RPC_URL || 'https://rpc1mainnet.qie.digital/';
+const PRIVATE_KEY = (process.env.PRIVATE_KEY || '').replace(/^0x/, '');
+// Address to simulate from in a dry run without a private key
+const KEEPER_ADDRESS = process.env.KEEPER_ADDRESS || '';
+const LENDING_POOL_ADDRESS = process.env.LENDING_POOL_ADDRESS || process.env.VITE_QIE_CONTRACT_ADDRESS || '';
+const FROM_BLOCK = BigInt(process.env.FROM_BLOCK || process.env.VITE_QIE_CONTRACT_DEPLOY_BLOCK || 0);
+const LOG_BLOCK_RANGE = BigInt(process.env.LOG_BLOCK_RANGE || process.env.VITE_LOG_BLOCK_RANGE || 5000);
+
+// Simulate and log liquidations without sending them
+const DRY_RUN = ['1', 'true'].includes((process.env.DRY_RUN || '').toLowerCase());
+// Run a single pass over the current block and exit (for cron jobs and tests)
+const ONCE = ['1', 'true'].includes((process.env.ONCE || '').toLowerCase());
+// Minimum profit after gas, in QIE
+const MIN_PROFIT = parseEther(process.env.MIN_PROFIT || '0');
+// Largest repayment per liquidation, in QIE (defaults to the full debt)
+const MAX_REPAY = process.env.MAX_REPAY ? parseEther(process.env.MAX_REPAY) : maxUint256;
+// QIE left in the keeper wallet for gas
+const GAS_RESERVE = parseEther(process.env.GAS_RESERVE || '1');
+// Stored health factors lag interest accrual, so positions just above 1 are simulated too
+const WATCH_HEALTH_FACTOR = parseEther(process.env.WATCH_HEALTH_FACTOR || '1.02');
+const POLL_INTERVAL_MS = Number(process.env.POLL_INTERVAL_MS || 4000);
+const LOG_FILE = process.env.LOG_FILE || join(__dirname, '../logs/liquidation-keeper.jsonl');
+
+const HEALTH_FACTOR_ONE = 10n ** 18n;
+const READ_BATCH = 20;
+
+if (!PRIVATE_KEY && !DRY_RUN) {
+  throw new Error('PRIVATE_KEY environment variable is required (set DRY_RUN=1 to run without one)');
+}
+
+if (!PRIVATE_KEY && !KEEPER_ADDRESS) {
+  throw new Error('KEEPER_ADDRESS environment variable is required for a dry run without PRIVATE_KEY');
+}
+
+if (!LENDING_POOL_ADDRESS) {
+  throw new Error('LENDING_POOL_ADDRESS environment variable is required (the deployed QieLendNative address)');
+}
+
+const abi = JSON.parse(readFileSync(join(__dirname, '../src/contracts/QieLendNativeABI.json'), 'utf8'));
+const pool = getAddress(LENDING_POOL_ADDRESS);
+const account = PRIVATE_KEY ? privateKeyToAccount(`0x${PRIVATE_KEY}`) : null;
+const keeper = account ? account.address : getAddress(KEEPER_ADDRESS);
+
+const publicClient = createPublicClient({ transport: http(RPC_URL) });
+const walletClient = account ? createWalletClient({ account, transport: http(RPC_URL) }) : null;
+
+const borrowers = new Set();
+let lastScannedBlock = FROM_BLOCK - 1n;
+let liquidationBonus = 0n;
+
+/**
+ * Append one action to the JSON log and echo it to the console
+ */
+function logAction(action, details = {}) {
+  const entry = { time: new Date().toISOString(), action, dryRun: DRY_RUN, ...details };
+  const line = JSON.stringify(entry, (_, value) => (typeof value === 'bigint' ? value.toString() : value));
+  appendFileSync(LOG_FILE, line + '\n');
+  console.log(line);
+}
+
+/**
+ * Add every address that borrowed since the last scan
+ */
+async function scanBorrowers(toBlock) {
+  for (let start = lastScannedBlock + 1n; start <= toBlock; start += LOG_BLOCK_RANGE) {
+    const end = start + LOG_BLOCK_RANGE - 1n < toBlock ? start + LOG_BLOCK_RANGE - 1n : toBlock;
+    const logs = await publicClient.getContractEvents({
+      address: pool,
+      abi,
+      eventName: 'Borrow',
+      fromBlock: start,
+      toBlock: end,
+    });
+    for (const log of logs) {
+      const user = getAddress(log.args.user);
+      if (!borrowers.has(user)) {
+        borrowers.add(user);
+        logAction('borrower-discovered', { block: log.blockNumber, borrower: user });
+      }
+    }
+    lastScannedBlock = end;
+  }
+}
+
+/**
+ * Read every tracked borrower's position at `blockNumber`
+ */
+async function readPositions(blockNumber) {
+  const addresses = [...borrowers];
+  const positions = [];
+
+  for (let i = 0; i < addresses.length; i += READ_BATCH) {
+    const batch = addresses.slice(i, i + READ_BATCH);
+    const results = await Promise.all(
+      batch.map(async (borrower) => {
+        const read = (functionName) =>
+          publicClient.readContract({ address: pool, abi, functionName, args: [borrower], blockNumber });
+        const [healthFactor, borrowed, supplied] = await Promise.all([
+          read('getHealthFactor'),
+          read('getBorrowBalance'),
+          read('getSupplyBalance'),
+        ]);
+        return { borrower, healthFactor, borrowed, supplied };
+      })
+    );
+    positions.push(...results.filter((position) => position.borrowed > 0n));
+  }
+
+  return positions.sort((a, b) => (a.healthFactor < b.healthFactor ? -1 : a.healthFactor > b.healthFactor ? 1 : 0));
+}
+
+/**
+ * Largest repayment that the borrower's debt and collateral allow, capped by MAX_REPAY
+ * and what the keeper wallet can spend
+ */
+function getRepayAmount(position, spendable) {
+  // The contract requires repay * (1 + bonus) <= supplied
+  const collateralLimit = (position.supplied * 10000n) / (10000n + liquidationBonus);
+  return [position.borrowed, collateralLimit, MAX_REPAY, spendable].reduce((min, value) => (value < min ? value : min));
+}
+
+/**
+ * Simulate a liquidation, check it pays for its gas, then send it (unless DRY_RUN)
+ */
+async function tryLiquidate(position, blockNumber) {
+  const { borrower, healthFactor } = position;
+  const balance = await publicClient.getBalance({ address: keeper });
+  const spendable = balance > GAS_RESERVE ? balance - GAS_RESERVE : 0n;
+  const repay = getRepayAmount(position, spendable);
+
+  if (repay === 0n) {
+    logAction('skipped', { block: blockNumber, borrower, healthFactor, reason: 'insufficient keeper balance' });
+    return;
+  }
+
+  // Simulation runs the contract's interest accrual, so it is the final word on
+  // whether the position can be liquidated right now
+  let gas;
+  try {
+    await publicClient.simulateContract({
+      address: pool,
+      abi,
+      functionName: 'liquidate',
+      args: [borrower],
+      value: repay,
+      account: keeper,
+    });
+    gas = await publicClient.estimateContractGas({
+      address: pool,
+      abi,
+      functionName: 'liquidate',
+      args: [borrower],
+      value: repay,
+      account: keeper,
+    });
+  } catch (err) {
+    if (healthFactor < HEALTH_FACTOR_ONE) {
+      logAction('simulation-failed', { block: blockNumber, borrower, healthFactor, repay, error: err.shortMessage || err.message });
+    }
+    return;
+  }
+
+  const gasPrice = await publicClient.getGasPrice();
+  const gasCost = gas * gasPrice;
+  const bonus = (repay * liquidationBonus) / 10000n;
+  const profit = bonus - gasCost;
+  const details = { block: blockNumber, borrower, healthFactor, repay, seize: repay + bonus, bonus, gas, gasPrice, gasCost, profit };
+
+  if (profit < MIN_PROFIT) {
+    logAction('unprofitable', details);
+    return;
+  }
+
+  if (DRY_RUN) {
+    logAction('would-liquidate', details);
+    return;
+  }
+
+  try {
+    const hash = await walletClient.writeContract({
+      address: pool,
+      abi,
+      functionName: 'liquidate',
+      args: [borrower],
+      value: repay,
+      // Headroom over the estimate for the nested points hook and seize transfer;
+      // unused gas is refunded
+      gas: (gas * 3n) / 2n,
+    });
+    logAction('submitted', { ...details, txHash: hash });
+
+    const receipt = await publicClient.waitForTransactionReceipt({ hash });
+    const actualGasCost = receipt.gasUsed * receipt.effectiveGasPrice;
+    logAction(receipt.status === 'success' ? 'liquidated' : 'reverted', {
+      ...details,
+      txHash: hash,
+      gasUsed: receipt.gasUsed,
+      gasCost: actualGasCost,
+      profit: bonus - actualGasCost,
+    });
+  } catch (err) {
+    logAction('failed', { ...details, error: err.shortMessage || err.message });
+  }
+}
+
+/**
+ * One keeper pass: pick up new borrowers, recompute health factors, liquidate
+ */
+async function runPass(blockNumber) {
+  await scanBorrowers(blockNumber);
+  const positions = await readPositions(blockNumber);
+  const candidates = positions.filter((position) => position.healthFactor < WATCH_HEALTH_FACTOR);
+
+  console.log(
+    `🧱 Block ${blockNumber}: ${positions.length} open borrows, ${candidates.length} at risk` +
+      (positions.length ? `, lowest health factor ${formatEther(positions[0].healthFactor)}` : '')
+  );
+
+  // One at a time: each liquidation changes the keeper's balance
+  for (const position of candidates) {
+    await tryLiquidate(position, blockNumber);
+  }
+}
+
+async function start() {
+  console.log('🤖 QieLend liquidation keeper\n');
+  console.log('🔗 RPC:', RPC_URL);
+  console.log('🏦 Lending pool:', pool);
+  console.log('👤 Keeper:', keeper);
+  console.log('🧪 Dry run:', DRY_RUN);
+  console.log('📝 Log file:', LOG_FILE, '\n');
+
+  mkdirSync(dirname(LOG_FILE), { recursive: true });
+  liquidationBonus = await publicClient.readContract({ address: pool, abi, functionName: 'LIQUIDATION_BONUS' });
+  logAction('started', { rpc: RPC_URL, pool, keeper, liquidationBonus, minProfit: MIN_PROFIT });
+
+  if (ONCE) {
+    await runPass(await publicClient.getBlockNumber());
+    return;
+  }
+
+  let running = false;
+  const unwatch = publicClient.watchBlockNumber({
+    pollingInterval: POLL_INTERVAL_MS,
+    emitMissed: false,
+    onBlockNumber: async (blockNumber) => {
+      // Skip blocks that arrive while a pass is still running; the next pass catches up
+      if (running) return;
+      running = true;
+      try {
+        await runPass(blockNumber);
+      } catch (err) {
+        logAction('error', { block: blockNumber, error: err.shortMessage || err.message });
+      } finally {
+        running = false;
+      }
+    },
+    onError: (err) => logAction('error', { error: err.shortMessage || err.message }),
+  });
+
+  process.on('SIGINT', () => {
+    unwatch();
+    logAction('stopped');
+    process.exit(0);
+  });
+}
+
+start().catch((err) => {
+  console.error('❌ Keeper failed:', err);
+  process.exit(1);
+});
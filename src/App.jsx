@@ -1,7 +1,22 @@
-import { useEffect, useMemo, useState } from 'react'
+import { useCallback, useEffect, useMemo, useState } from 'react'
 import { ethers } from 'ethers'
 import './App.css'
 import * as contractUtils from './utils/contract.js'
+import * as protocolMath from './utils/protocolMath.js'
+import {
+  formatAmount,
+  formatAmountInput,
+  formatHealthFactor,
+  formatUsd,
+  getAmountInputError,
+  parseAmount,
+  toDisplayNumber,
+  QIE_DECIMALS,
+} from './utils/format.js'
+import { PRICE_FEEDS, getPrice, getRoundHistory } from './utils/oracle.js'
+import { MARKETS, getMarkets, getPrimaryMarket } from './utils/markets.js'
+import { RPC_URLS, getReadProvider, getRpcStatus, subscribeRpcStatus } from './utils/rpc.js'
+import { registerSyncTask, refreshSyncTask, setSyncAccount } from './utils/sync.js'
 
 const QIE_NETWORK = {
   chainId: '0x7C6', // 1990 in hex
@@ -11,13 +26,14 @@ const QIE_NETWORK = {
     symbol: 'QIE',
     decimals: 18,
   },
-  rpcUrls: ['https://rpc1mainnet.qie.digital/'],
+  rpcUrls: RPC_URLS,
   blockExplorerUrls: ['https://mainnet.qie.digital/'],
 }
 
-// Contract address will be added here when deployed
+// Lending contract of the primary market in src/config/markets.json; once the market
+// registry is read, the app follows its primary market instead (lendingPool state)
 // IMPORTANT: Set VITE_QIE_CONTRACT_ADDRESS in Vercel environment variables
-const CONTRACT_ADDRESS = import.meta.env.VITE_QIE_CONTRACT_ADDRESS || '0x0000000000000000000000000000000000000000'
+const CONTRACT_ADDRESS = contractUtils.getLendingMarket()?.pool || '0x0000000000000000000000000000000000000000'
 const POINTS_CONTRACT_ADDRESS =
   import.meta.env.VITE_POINTS_CALCULATOR_ADDRESS || '0x0000000000000000000000000000000000000000'
 
@@ -54,22 +70,26 @@ const detectQieProvider = () => {
   return null
 }
 
+// Health factor shown without an open position (1e18 fixed point)
+const DEFAULT_HEALTH_FACTOR = ethers.parseEther('1.5')
+
+// Amounts are wei and health factors 1e18 fixed point, like the contract data
 const mockState = {
   totals: {
-    supply: 1_250_000,
-    borrow: 740_000,
+    supply: ethers.parseEther('1250000'),
+    borrow: ethers.parseEther('740000'),
     supplyApy: 4.2,
     borrowApy: 7.8,
     reserveFactor: 12,
-    cap: 2_500_000,
-    marketSize: 1_250_000,
+    cap: ethers.parseEther('2500000'),
+    marketSize: ethers.parseEther('1250000'),
   },
   user: {
-    supplied: 18_500,
-    borrowed: 9_200,
-    healthFactor: 1.72,
+    supplied: ethers.parseEther('18500'),
+    borrowed: ethers.parseEther('9200'),
+    healthFactor: ethers.parseEther('1.72'),
     targetHealth: 1.5,
-    balance: 28_660,
+    balance: ethers.parseEther('28660'),
   },
   leaderboard: [
     { address: '0x9f3...b1c', points: 128_420 },
@@ -82,61 +102,218 @@ const mockState = {
 const format = (value) =>
   value.toLocaleString(undefined, { maximumFractionDigits: 0 })
 
+// Contract errors an action preview can predict, in user-facing words
+const ACTION_PREVIEW_ERRORS = {
+  InvalidAmount: 'Enter an amount',
+  InsufficientBalance: 'Exceeds your supplied balance',
+  CollateralDisabled: 'Enable collateral first, or keep enough collateral for your borrows',
+  ExceedsBorrowCapacity: 'Exceeds your borrow capacity',
+  InsufficientLiquidity: 'Not enough liquidity in the protocol',
+}
+
+// contract.js helpers for the dashboard actions; each also takes { simulate: true }
+const ACTION_SENDERS = {
+  supply: contractUtils.supply,
+  withdraw: contractUtils.withdraw,
+  borrow: contractUtils.borrow,
+  repay: contractUtils.repay,
+}
+
+// Transaction tray labels by contract.js action name
+const TX_ACTION_LABELS = {
+  supply: 'Supply',
+  withdraw: 'Withdraw',
+  borrow: 'Borrow',
+  repay: 'Repay',
+  collateral: 'Collateral',
+  claimRewards: 'Claim rewards',
+  claimSeasonReward: 'Claim season reward',
+  liquidate: 'Liquidation',
+  approve: 'Approve',
+}
+
+const describeTxStage = (status) => {
+  switch (status.stage) {
+    case 'signing':
+      return 'Awaiting signature'
+    case 'submitted':
+      if (status.pendingReplacement?.mode === 'speedUp') return 'Submitted · speed-up sent'
+      if (status.pendingReplacement?.mode === 'cancel') return 'Submitted · cancellation sent'
+      return 'Submitted'
+    case 'confirming':
+      return `Confirming ${status.confirmations}/${status.required}`
+    case 'confirmed':
+      return status.replacement ? 'Confirmed (sped up)' : 'Confirmed'
+    case 'replaced':
+      return status.replacement?.reason === 'cancelled' ? 'Cancelled' : 'Replaced'
+    case 'dropped':
+      return 'Dropped'
+    default:
+      return status.error?.type === 'rejected' ? 'Rejected' : 'Failed'
+  }
+}
+
+// Simulation errors that mean the transaction would certainly fail, so it can't be confirmed
+const BLOCKING_SIMULATION_ERRORS = ['custom', 'revert', 'panic', 'funds']
+
+// Rate curve chart geometry (SVG viewBox units)
+const RATE_CHART = { width: 640, height: 260, padLeft: 44, padRight: 16, padTop: 16, padBottom: 32 }
+
+// Analytics page time ranges and charted series
+const ANALYTICS_RANGES = [
+  { key: '24h', label: '24h', seconds: 24 * 60 * 60 },
+  { key: '7d', label: '7d', seconds: 7 * 24 * 60 * 60 },
+  { key: '30d', label: '30d', seconds: 30 * 24 * 60 * 60 },
+  { key: 'all', label: 'All', seconds: null },
+]
+
+// `unit: null` series are amounts of the market's asset, labelled with its symbol
+const ANALYTICS_SERIES = [
+  { key: 'totalSupply', label: 'TVL', unit: null, digits: 2 },
+  { key: 'totalBorrow', label: 'Borrows', unit: null, digits: 2 },
+  { key: 'utilization', label: 'Utilization', unit: '%', digits: 2 },
+  { key: 'totalReserves', label: 'Reserves', unit: null, digits: 4 },
+  { key: 'supplyIndex', label: 'Supply Index', unit: '', digits: 6 },
+  { key: 'borrowIndex', label: 'Borrow Index', unit: '', digits: 6 },
+]
+
+const ANALYTICS_CHART = { width: 480, height: 160, padLeft: 56, padRight: 12, padTop: 12, padBottom: 24 }
+
+// Price feeds of the configured markets, by oracle.js feed symbol
+const MARKET_PRICE_SYMBOLS = [...new Set(MARKETS.map((market) => market.oracle))].filter((symbol) => PRICE_FEEDS[symbol])
+
+// Market page badges, by markets.js status
+const MARKET_STATUS_LABELS = {
+  active: 'Active',
+  'coming-soon': 'Coming Soon',
+  paused: 'Paused',
+  deprecated: 'Deprecated',
+}
+
+// Flags for degraded oracle prices, by getPrice status. 'single-source' is not flagged:
+// it is the normal status of an asset with one configured feed.
+const PRICE_STATUS_LABELS = {
+  deviation: 'Sources disagree',
+  stale: 'Stale',
+  'out-of-bounds': 'Out of range',
+  invalid: 'Invalid',
+  unavailable: 'Unavailable',
+}
+
+const SPARKLINE = { width: 80, height: 24 }
+
+// SVG path through the prices of recent oracle rounds, scaled to fill the sparkline
+const getSparklinePath = (rounds) => {
+  if (!rounds || rounds.length < 2) return null
+  const prices = rounds.map((round) => round.price)
+  const min = Math.min(...prices)
+  const range = Math.max(...prices) - min || 1
+  return prices
+    .map((price, i) => {
+      const x = (i / (prices.length - 1)) * SPARKLINE.width
+      const y = SPARKLINE.height - ((price - min) / range) * SPARKLINE.height
+      return `${i ? 'L' : 'M'}${x.toFixed(1)},${y.toFixed(1)}`
+    })
+    .join(' ')
+}
+
 const formatAddress = (address) => {
   if (!address) return ''
   return `${address.slice(0, 6)}...${address.slice(-4)}`
 }
 
-// Leaderboard localStorage helpers
-const LEADERBOARD_STORAGE_KEY = 'qielend_leaderboard'
+const getExplorerTxUrl = (hash) => `${QIE_NETWORK.blockExplorerUrls[0]}tx/${hash}`
+
+const HISTORY_LABELS = {
+  Supply: 'Supply',
+  Withdraw: 'Withdraw',
+  Borrow: 'Borrow',
+  Repay: 'Repay',
+  CollateralToggled: 'Collateral',
+  RewardsClaimed: 'Claim Rewards',
+  Liquidate: 'Liquidation',
+}
+
+// Event caches belong to one deployment, so their localStorage keys carry the chain ID
+// and pool address; pointing the app at another pool starts a fresh scan
+const deploymentCacheKey = (name, pool) =>
+  `${name}_${parseInt(QIE_NETWORK.chainId, 16)}_${pool.toLowerCase()}`
 
-const getLeaderboardFromStorage = () => {
+// Leaderboard cache. The leaderboard itself is rebuilt from on-chain events;
+// localStorage only keeps the last synced block and scores between visits.
+const LEADERBOARD_CACHE_KEY = 'qielend_leaderboard_cache'
+
+const getLeaderboardCache = (pool) => {
   try {
-    const stored = localStorage.getItem(LEADERBOARD_STORAGE_KEY)
-    return stored ? JSON.parse(stored) : {}
+    const stored = localStorage.getItem(deploymentCacheKey(LEADERBOARD_CACHE_KEY, pool))
+    return stored ? JSON.parse(stored) : null
   } catch (e) {
-    console.error('Error reading leaderboard from storage:', e)
-    return {}
+    console.error('Error reading leaderboard cache:', e)
+    return null
   }
 }
 
-const saveLeaderboardToStorage = (leaderboard) => {
+const saveLeaderboardCache = (pool, cache) => {
   try {
-    localStorage.setItem(LEADERBOARD_STORAGE_KEY, JSON.stringify(leaderboard))
+    localStorage.setItem(deploymentCacheKey(LEADERBOARD_CACHE_KEY, pool), JSON.stringify(cache))
   } catch (e) {
-    console.error('Error saving leaderboard to storage:', e)
+    console.error('Error saving leaderboard cache:', e)
   }
 }
 
-const initializeWalletInLeaderboard = (address) => {
-  if (!address) {
-    console.warn('initializeWalletInLeaderboard called with no address')
-    return
+// Borrowers discovered from Borrow events, so each scan only reads new blocks
+const BORROWERS_CACHE_KEY = 'qielend_borrowers_cache'
+
+const getBorrowersCache = (pool) => {
+  try {
+    const stored = localStorage.getItem(deploymentCacheKey(BORROWERS_CACHE_KEY, pool))
+    return stored ? JSON.parse(stored) : null
+  } catch (e) {
+    console.error('Error reading borrowers cache:', e)
+    return null
   }
+}
+
+const saveBorrowersCache = (pool, cache) => {
   try {
-    const leaderboard = getLeaderboardFromStorage()
-    const normalizedAddress = address.toLowerCase()
-    if (!leaderboard[normalizedAddress]) {
-      leaderboard[normalizedAddress] = { address: normalizedAddress, points: 0 }
-      saveLeaderboardToStorage(leaderboard)
-      console.log('Initialized wallet in leaderboard with 0 points:', normalizedAddress)
-    } else {
-      console.log('Wallet already in leaderboard:', normalizedAddress)
-    }
-  } catch (error) {
-    console.error('Error initializing wallet in leaderboard:', error)
+    localStorage.setItem(deploymentCacheKey(BORROWERS_CACHE_KEY, pool), JSON.stringify(cache))
+  } catch (e) {
+    console.error('Error saving borrowers cache:', e)
   }
 }
 
-const updateWalletPoints = (address, points) => {
-  if (!address) return
-  const leaderboard = getLeaderboardFromStorage()
-  const normalizedAddress = address.toLowerCase()
-  leaderboard[normalizedAddress] = { address: normalizedAddress, points: Math.max(0, points) }
-  saveLeaderboardToStorage(leaderboard)
-  console.log('Updated wallet points in leaderboard:', normalizedAddress, points)
+// Protocol history replayed from events, so each visit only reads new blocks
+const ANALYTICS_CACHE_KEY = 'qielend_analytics_cache'
+
+const getAnalyticsCache = (pool) => {
+  try {
+    const stored = localStorage.getItem(deploymentCacheKey(ANALYTICS_CACHE_KEY, pool))
+    return stored ? JSON.parse(stored) : null
+  } catch (e) {
+    console.error('Error reading analytics cache:', e)
+    return null
+  }
+}
+
+const saveAnalyticsCache = (pool, cache) => {
+  try {
+    localStorage.setItem(deploymentCacheKey(ANALYTICS_CACHE_KEY, pool), JSON.stringify(cache))
+  } catch (e) {
+    console.error('Error saving analytics cache:', e)
+  }
 }
 
+const rankEntries = (entries) =>
+  Object.entries(entries)
+    .map(([address, entryPoints]) => ({ fullAddress: address, points: Math.max(entryPoints || 0, 0) }))
+    .sort((a, b) => b.points - a.points)
+    .map((entry, idx) => ({
+      address: formatAddress(entry.fullAddress),
+      fullAddress: entry.fullAddress,
+      points: entry.points,
+      rank: idx + 1,
+    }))
+
 // Transaction count tracking
 const TRANSACTION_COUNT_STORAGE_KEY = 'qielend_transaction_count'
 
@@ -163,12 +340,43 @@ const incrementTransactionCount = () => {
   }
 }
 
+// Transactions submitted but not yet confirmed, resumed after a page reload. Keyed by
+// sender and nonce, which stay the same when a transaction is sped up.
+const PENDING_TRANSACTIONS_KEY = 'qielend_pending_transactions'
+
+const getPendingTransactions = () => {
+  try {
+    const stored = localStorage.getItem(PENDING_TRANSACTIONS_KEY)
+    return stored ? JSON.parse(stored) : {}
+  } catch (e) {
+    console.error('Error reading pending transactions:', e)
+    return {}
+  }
+}
+
+const savePendingTransactions = (pending) => {
+  try {
+    localStorage.setItem(PENDING_TRANSACTIONS_KEY, JSON.stringify(pending))
+  } catch (e) {
+    console.error('Error saving pending transactions:', e)
+  }
+}
+
+// Hashes already resumed this page load, since effects can run more than once
+const resumedTransactions = new Set()
+
 function App() {
   const [supplyAmount, setSupplyAmount] = useState('')
   const [borrowAmount, setBorrowAmount] = useState('')
   const [withdrawAmount, setWithdrawAmount] = useState('')
   const [repayAmount, setRepayAmount] = useState('')
+  // Repay field text filled in by MAX when it covers the whole debt; while the field
+  // still holds it, the repay goes through repayAll so the excess is refunded
+  const [fullRepayInput, setFullRepayInput] = useState(null)
   const [activeAction, setActiveAction] = useState('supply')
+  const [txReview, setTxReview] = useState(null)
+  const [isApproving, setIsApproving] = useState(false)
+  const [trackedTxs, setTrackedTxs] = useState([])
   const [activePage, setActivePage] = useState('landing')
   const [activeTab, setActiveTab] = useState('supply')
   const [points, setPoints] = useState(12_340)
@@ -177,32 +385,58 @@ function App() {
   const [isConnecting, setIsConnecting] = useState(false)
   const [showWalletMenu, setShowWalletMenu] = useState(false)
   const [collateralEnabled, setCollateralEnabled] = useState(true)
-  const [rewards, setRewards] = useState(0)
+  const [rewards, setRewards] = useState(0n)
   const [lastRewardUpdate, setLastRewardUpdate] = useState(Date.now())
   const [contractData, setContractData] = useState(null)
   const [isLoadingContract, setIsLoadingContract] = useState(false)
   const [provider, setProvider] = useState(null)
-  const [walletBalance, setWalletBalance] = useState(0)
-  const [availableToBorrowLive, setAvailableToBorrowLive] = useState(0)
-  const [qiePrice, setQiePrice] = useState(0.13) // Default fallback price
+  const [walletBalance, setWalletBalance] = useState(0n)
+  const [availableToBorrowLive, setAvailableToBorrowLive] = useState(0n)
   const [landingStats, setLandingStats] = useState({
-    marketSize: 0,
-    totalVolume: 0,
+    marketSize: 0n,
+    totalVolume: 0n,
     totalUsers: 0,
     totalTransactions: 0
   })
-  const [tokenPrices, setTokenPrices] = useState({
-    SOL: null,
-    ETH: null,
-    BTC: null,
-    XRP: null,
-    BNB: null
-  })
+  const [prices, setPrices] = useState({}) // Last accepted oracle price by symbol; missing until one arrives
+  const [priceStatus, setPriceStatus] = useState({}) // getPrice status by symbol
+  const [priceHistory, setPriceHistory] = useState({}) // getRoundHistory rounds by symbol
+  const [markets, setMarkets] = useState(MARKETS) // markets.js registry
+  const [lendingPool, setLendingPool] = useState(CONTRACT_ADDRESS) // contract.js lending market's pool
+  const [marketParams, setMarketParams] = useState(protocolMath.NATIVE_PARAMS) // lendingPool's risk and rate constants
+  // Market the dashboard acts on (the pool in contract.js)
+  const primaryMarket = getPrimaryMarket(markets)
+  const assetSymbol = primaryMarket?.asset.symbol ?? 'QIE'
+  const assetDecimals = primaryMarket?.asset.decimals ?? QIE_DECIMALS
+  const assetPrice = prices[primaryMarket?.oracle] ?? null
+  const marketOpen = primaryMarket?.status === 'active'
+  const [historyEntries, setHistoryEntries] = useState([])
+  const [historyCursor, setHistoryCursor] = useState(null)
+  const [isLoadingHistory, setIsLoadingHistory] = useState(false)
+  const [leaderboardCache, setLeaderboardCache] = useState(() => getLeaderboardCache(CONTRACT_ADDRESS))
+  const [isSyncingLeaderboard, setIsSyncingLeaderboard] = useState(false)
+  const [seasons, setSeasons] = useState([])
+  const [seasonStandings, setSeasonStandings] = useState({})
+  const [selectedSeason, setSelectedSeason] = useState('all')
+  const [rewardClaim, setRewardClaim] = useState(null)
+  const [liquidationPositions, setLiquidationPositions] = useState([])
+  const [liquidationBonus, setLiquidationBonus] = useState(0)
+  const [isScanningBorrowers, setIsScanningBorrowers] = useState(false)
+  const [liquidationTarget, setLiquidationTarget] = useState(null)
+  const [liquidationAmount, setLiquidationAmount] = useState('')
+  const [rateCurveHover, setRateCurveHover] = useState(null) // utilization in basis points
+  const [analyticsHistory, setAnalyticsHistory] = useState(null)
+  const [isLoadingAnalytics, setIsLoadingAnalytics] = useState(false)
+  const [analyticsRange, setAnalyticsRange] = useState('7d')
+  const [analyticsHover, setAnalyticsHover] = useState(null) // timestamp under the cursor
+  const [rpcStatus, setRpcStatus] = useState(getRpcStatus)
+  const [isLiquidating, setIsLiquidating] = useState(false)
+  const [isClaimingReward, setIsClaimingReward] = useState(false)
 
   // Simple client-side routing to reflect the active page in the URL
   useEffect(() => {
     const path = window.location.pathname.replace('/', '') || 'landing'
-    const validPages = ['landing', 'dashboard', 'portfolio', 'overview', 'market', 'points']
+    const validPages = ['landing', 'dashboard', 'portfolio', 'overview', 'market', 'analytics', 'points', 'history', 'liquidations']
     setActivePage(validPages.includes(path) ? path : 'landing')
 
     const handlePopState = () => {
@@ -259,17 +493,7 @@ function App() {
             setProvider(provider)
             const autoConnectedAccount = accounts[0]
             setAccount(autoConnectedAccount)
-            // Initialize wallet in leaderboard if not already present
-            initializeWalletInLeaderboard(autoConnectedAccount)
           setWallet('metamask')
-            
-            // Fetch data after auto-connect
-            if (CONTRACT_ADDRESS !== '0x0000000000000000000000000000000000000000') {
-              setTimeout(() => {
-                fetchContractData()
-                fetchWalletBalance()
-              }, 1000)
-            }
           } catch (error) {
             console.error('Error during auto-connect:', error)
           }
@@ -278,43 +502,46 @@ function App() {
     }
   }, [])
 
-  // Fetch contract data when account is connected, or fetch protocol totals for overview
+  // Track the read RPC pool so outages are shown instead of silent zeros
   useEffect(() => {
-    if (account && provider && CONTRACT_ADDRESS !== '0x0000000000000000000000000000000000000000') {
-      fetchContractData()
-    } else if (CONTRACT_ADDRESS !== '0x0000000000000000000000000000000000000000') {
-      // Even without account, fetch protocol totals for overview page
-      const fetchProtocolTotals = async () => {
-        try {
-          const rpcProvider = new ethers.JsonRpcProvider('https://rpc1mainnet.qie.digital/')
-          const protocolTotals = await contractUtils.getProtocolTotals(rpcProvider)
-          const [supplyAPY, borrowAPY] = await Promise.all([
-            contractUtils.getSupplyAPY(rpcProvider).catch(() => 0),
-            contractUtils.getBorrowAPY(rpcProvider).catch(() => 0),
-          ])
-          
-          setContractData(prev => ({
-            ...prev,
-            totals: {
-              supply: protocolTotals.supply || 0,
-              borrow: protocolTotals.borrow || 0,
-              supplyApy: supplyAPY || 0,
-              borrowApy: borrowAPY || 0,
-              reserveFactor: protocolTotals.reserveFactor || 0,
-              cap: protocolTotals.cap || 0,
-              marketSize: protocolTotals.supply || 0,
-            }
-          }))
-        } catch (error) {
-          console.error('Error fetching protocol totals for overview:', error)
-        }
+    getReadProvider()
+    return subscribeRpcStatus(setRpcStatus)
+  }, [])
+
+  // Wallet balance of the market's asset: native QIE or its ERC20 token
+  const fetchWalletBalance = useCallback(async () => {
+    if (!account || !provider) {
+      setWalletBalance(account ? 0n : mockState.user.balance)
+      return
+    }
+    try {
+      // Ensure provider is properly set up
+      const ethersProvider = provider
+      if (!ethersProvider) {
+        console.error('Provider is null')
+        setWalletBalance(0n)
+        return
       }
-      fetchProtocolTotals()
+      
+      // Get balance with proper error handling
+      const balance = await contractUtils.getWalletBalance(ethersProvider, account)
+      console.log('Wallet balance fetched:', formatAmount(balance, { digits: 4, decimals: assetDecimals }), assetSymbol, 'for account:', account)
+      setWalletBalance(balance)
+    } catch (err) {
+      console.error('Error fetching wallet balance:', err)
+      // Try to get network info for debugging
+      try {
+        const network = await provider.getNetwork()
+        console.log('Current network:', network)
+      } catch (netErr) {
+        console.error('Error getting network:', netErr)
+      }
+      setWalletBalance(0n)
     }
-  }, [account, provider])
+  }, [account, provider, assetDecimals, assetSymbol])
 
-  const fetchContractData = async () => {
-    if (!account || !provider || CONTRACT_ADDRESS === '0x0000000000000000000000000000000000000000') return
+  const fetchContractData = useCallback(async () => {
+    if (!account || !provider || lendingPool === '0x0000000000000000000000000000000000000000') return
     
     setIsLoadingContract(true)
     try {
@@ -329,155 +556,79 @@ function App() {
         console.error('Error checking network:', netErr)
       }
       
-      // Fetch user account first to avoid divide-by-zero paths for empty accounts
-      const userAccount = await contractUtils.getUserAccount(provider, account)
-
-      const [protocolTotals, supplyAPY, borrowAPY] = await Promise.all([
-        contractUtils.getProtocolTotals(provider),
-        contractUtils.getSupplyAPY(provider),
-        contractUtils.getBorrowAPY(provider),
-      ])
-
-      let availableToBorrow = 0
-      let healthFactor = 1.5
-      let accruedRewards = 0
-
-      // Get actual balances that account for exchangeRate and borrowIndex
-      // These are the real balances, not the raw struct values
-      let actualSupplyBalance = 0
-      let actualBorrowBalance = 0
-      
-      try {
-        const balances = await Promise.all([
-          contractUtils.getSupplyBalance(provider, account),
-          contractUtils.getBorrowBalance(provider, account)
-        ])
-        actualSupplyBalance = balances[0] || 0
-        actualBorrowBalance = balances[1] || 0
-      } catch (e) {
-        console.error('Error fetching actual balances, using raw values', e)
-        // Fallback to raw values if view functions fail
-        actualSupplyBalance = userAccount.supplyBalance || 0
-        actualBorrowBalance = userAccount.borrowBalance || 0
+      // One batched read for the whole refresh; reads that revert come back as null
+      const { market: marketState, totals: protocolTotals, user } = await contractUtils.getDashboardState(provider, account)
+      const accountState = user.account
+
+      // Actual balances account for exchangeRate and borrowIndex, unlike the raw struct values
+      const actualSupplyBalance = user.supplied ?? 0n
+      const actualBorrowBalance = user.borrowed ?? 0n
+
+      const hasPositions = actualSupplyBalance > 0n || actualBorrowBalance > 0n
+      const hasSupplied = actualSupplyBalance > 0n
+      const protocolHasSupply = protocolTotals.supply > 0n
+
+      // Health factor and rewards divide by protocol totals, so they are only
+      // meaningful with open positions and supply in the protocol
+      const healthFactor =
+        hasPositions && protocolHasSupply && user.healthFactor !== null ? user.healthFactor : DEFAULT_HEALTH_FACTOR
+      const accruedRewards = hasPositions && protocolHasSupply ? user.rewards ?? 0n : 0n
+
+      let availableToBorrow = 0n
+      if (hasSupplied && user.collateralEnabled && protocolHasSupply) {
+        // Contract value matches the borrow function exactly; compute client-side if the read failed
+        const maxBorrow = (actualSupplyBalance * marketState.params.collateralFactor) / protocolMath.BPS
+        availableToBorrow =
+          user.availableToBorrow ?? (maxBorrow > actualBorrowBalance ? maxBorrow - actualBorrowBalance : 0n)
       }
 
-      const hasPositions = actualSupplyBalance > 0 || actualBorrowBalance > 0
-      const hasSupplied = actualSupplyBalance > 0
-      const protocolHasSupply = (protocolTotals.supply || 0) > 0
-
-      // Only call contract functions that might divide by zero if we have valid positions
-      // and protocol has supply to avoid DIVIDE_BY_ZERO panics
-      if (hasPositions && protocolHasSupply) {
-        try {
-          healthFactor = await contractUtils.getHealthFactor(provider, account)
-        } catch (e) {
-          console.error('getHealthFactor failed, defaulting to 1.5', e)
-          healthFactor = 1.5
-        }
-        try {
-          accruedRewards = await contractUtils.getAccruedRewards(provider, account)
-        } catch (e) {
-          console.error('getAccruedRewards failed, defaulting to 0', e)
-          accruedRewards = 0
-        }
-      }
-
-      // Use contract's getAvailableToBorrow to get exact calculation (matches borrow function logic)
-      if (hasSupplied && userAccount.collateralEnabled && protocolHasSupply) {
-        try {
-          availableToBorrow = await contractUtils.getAvailableToBorrow(provider, account)
-        } catch (e) {
-          console.error('Error fetching availableToBorrow from contract, calculating client-side', e)
-          // Fallback to client-side calculation if contract call fails
-          const COLLATERAL_FACTOR = 0.7 // 70% LTV
-          const maxBorrow = actualSupplyBalance * COLLATERAL_FACTOR
-          availableToBorrow = Math.max(0, maxBorrow - actualBorrowBalance)
-        }
-      } else {
-        availableToBorrow = 0
-      }
-
-      // Set defaults if no positions
-      if (!hasPositions) {
-        availableToBorrow = 0
-        accruedRewards = 0
-        healthFactor = 1.5
-      }
-
-      let calculatedPoints = 0
-      if (POINTS_CONTRACT_ADDRESS !== '0x0000000000000000000000000000000000000000') {
-        try {
-          // Always recalculate points with latest balances
-          calculatedPoints = await contractUtils.calculatePoints(
-            provider,
-            actualSupplyBalance,
-            actualBorrowBalance
-          )
-          console.log('Points calculated in fetchContractData:', calculatedPoints, 'Supply:', actualSupplyBalance, 'Borrow:', actualBorrowBalance)
-        } catch (err) {
-          console.error('Error calculating points:', err)
-          calculatedPoints = 0
-        }
-      }
-      // If no assets, keep points at zero
-      if (actualSupplyBalance === 0 && actualBorrowBalance === 0) {
-        calculatedPoints = 0
-      }
+      // Points accrue on-chain per second of exposure; this is the running total
+      const accumulatedPoints = user.points ?? 0
 
       setContractData({
         user: {
           supplied: actualSupplyBalance,
           borrowed: actualBorrowBalance,
-          healthFactor:
-            actualSupplyBalance === 0 && actualBorrowBalance === 0
-              ? 1.5
-              : healthFactor || 1.5,
-          collateralEnabled: userAccount.collateralEnabled,
+          healthFactor: hasPositions ? healthFactor || DEFAULT_HEALTH_FACTOR : DEFAULT_HEALTH_FACTOR,
+          collateralEnabled: user.collateralEnabled,
         },
         totals: {
-          supply: protocolTotals.supply || 0,
-          borrow: protocolTotals.borrow || 0,
-          marketSize: protocolTotals.supply || 0,
-          supplyApy: supplyAPY || 4.2,
-          borrowApy: borrowAPY || 7.8,
+          supply: protocolTotals.supply,
+          borrow: protocolTotals.borrow,
+          marketSize: protocolTotals.supply,
+          supplyApy: protocolTotals.supplyApy || 4.2,
+          borrowApy: protocolTotals.borrowApy || 7.8,
         },
-        availableToBorrow: availableToBorrow || 0,
-        rewards: accruedRewards || 0,
-        points: calculatedPoints,
+        availableToBorrow,
+        rewards: accruedRewards,
+        points: accumulatedPoints,
+        // Raw contract state for protocolMath previews
+        state: { market: marketState, account: accountState },
       })
 
-      setAvailableToBorrowLive(availableToBorrow || 0)
-      setCollateralEnabled(userAccount.collateralEnabled)
-      setRewards(accruedRewards || 0)
-      setPoints(calculatedPoints)
-      // Update points in leaderboard immediately
-      if (account) {
-        updateWalletPoints(account, calculatedPoints)
-        console.log('Updated points in leaderboard for', account, ':', calculatedPoints)
-      }
+      setAvailableToBorrowLive(availableToBorrow)
+      setCollateralEnabled(user.collateralEnabled)
+      setRewards(accruedRewards)
+      setPoints(accumulatedPoints)
       await fetchWalletBalance()
     } catch (error) {
       console.error('Error fetching contract data:', error)
       // Even on error, try to fetch at least protocol totals for overview
       try {
-        const rpcProvider = new ethers.JsonRpcProvider('https://rpc1mainnet.qie.digital/')
-        if (CONTRACT_ADDRESS !== '0x0000000000000000000000000000000000000000') {
-          const protocolTotals = await contractUtils.getProtocolTotals(rpcProvider)
-          const [supplyAPY, borrowAPY] = await Promise.all([
-            contractUtils.getSupplyAPY(rpcProvider).catch(() => 0),
-            contractUtils.getBorrowAPY(rpcProvider).catch(() => 0),
-          ])
+        const rpcProvider = getReadProvider()
+        if (lendingPool !== '0x0000000000000000000000000000000000000000') {
+          const { totals: protocolTotals } = await contractUtils.getDashboardState(rpcProvider)
           
           setContractData(prev => ({
             ...prev,
             totals: {
-              supply: protocolTotals.supply || 0,
-              borrow: protocolTotals.borrow || 0,
-              supplyApy: supplyAPY || 0,
-              borrowApy: borrowAPY || 0,
+              supply: protocolTotals.supply,
+              borrow: protocolTotals.borrow,
+              supplyApy: protocolTotals.supplyApy || 0,
+              borrowApy: protocolTotals.borrowApy || 0,
               reserveFactor: protocolTotals.reserveFactor || 0,
-              cap: protocolTotals.cap || 0,
-              marketSize: protocolTotals.supply || 0,
+              cap: protocolTotals.cap || 0n,
+              marketSize: protocolTotals.supply,
             }
           }))
         }
@@ -487,21 +638,54 @@ function App() {
     } finally {
       setIsLoadingContract(false)
     }
-  }
+  }, [account, provider, lendingPool, fetchWalletBalance])
+
+  // Sync contract data when account is connected, or protocol totals for overview,
+  // whenever a block contains a QieLendNative event
+  useEffect(() => {
+    setSyncAccount(account)
+    if (account && provider && lendingPool !== '0x0000000000000000000000000000000000000000') {
+      return registerSyncTask('contractData', { run: fetchContractData, events: ['*'] })
+    } else if (lendingPool !== '0x0000000000000000000000000000000000000000') {
+      // Even without account, fetch protocol totals for overview page
+      const fetchProtocolTotals = async () => {
+        try {
+          const rpcProvider = getReadProvider()
+          const { totals: protocolTotals } = await contractUtils.getDashboardState(rpcProvider)
+          
+          setContractData(prev => ({
+            ...prev,
+            totals: {
+              supply: protocolTotals.supply,
+              borrow: protocolTotals.borrow,
+              supplyApy: protocolTotals.supplyApy || 0,
+              borrowApy: protocolTotals.borrowApy || 0,
+              reserveFactor: protocolTotals.reserveFactor || 0,
+              cap: protocolTotals.cap || 0n,
+              marketSize: protocolTotals.supply,
+            }
+          }))
+        } catch (error) {
+          console.error('Error fetching protocol totals for overview:', error)
+        }
+      }
+      return registerSyncTask('contractData', { run: fetchProtocolTotals, events: ['*'] })
+    }
+  }, [account, provider, lendingPool, fetchContractData])
 
   // Fetch landing page stats from contract
   useEffect(() => {
     const fetchLandingStats = async () => {
       // Always get leaderboard and transaction count (works even without contract)
       const totalTransactions = getTransactionCount()
-      const leaderboard = getLeaderboardFromStorage()
-      const totalUsers = Math.max(Object.keys(leaderboard).length, 1)
+      const leaderboardCache = getLeaderboardCache(lendingPool)
+      const totalUsers = Math.max(Object.keys(leaderboardCache?.entries || {}).length, 1)
       
-      if (CONTRACT_ADDRESS === '0x0000000000000000000000000000000000000000') {
-        console.warn('Contract address not configured:', CONTRACT_ADDRESS)
+      if (lendingPool === '0x0000000000000000000000000000000000000000') {
+        console.warn('Contract address not configured:', lendingPool)
         setLandingStats({
-          marketSize: 0,
-          totalVolume: 0,
+          marketSize: 0n,
+          totalVolume: 0n,
           totalUsers: totalUsers,
           totalTransactions: totalTransactions
         })
@@ -510,16 +694,16 @@ function App() {
       
       try {
         // Create a provider for contract calls (no wallet needed)
-        const rpcProvider = new ethers.JsonRpcProvider('https://rpc1mainnet.qie.digital/')
-        console.log('Fetching protocol totals from contract:', CONTRACT_ADDRESS)
+        const rpcProvider = getReadProvider()
+        console.log('Fetching protocol totals from contract:', lendingPool)
         
         // Check if contract has code
-        const code = await rpcProvider.getCode(CONTRACT_ADDRESS)
+        const code = await rpcProvider.getCode(lendingPool)
         if (!code || code === '0x' || code === '0x0') {
-          console.warn('Contract has no code at address:', CONTRACT_ADDRESS, '- Using fallback stats')
+          console.warn('Contract has no code at address:', lendingPool, '- Using fallback stats')
           setLandingStats({
-            marketSize: 0,
-            totalVolume: 0,
+            marketSize: 0n,
+            totalVolume: 0n,
             totalUsers: totalUsers,
             totalTransactions: totalTransactions
           })
@@ -529,8 +713,8 @@ function App() {
         const protocolTotals = await contractUtils.getProtocolTotals(rpcProvider)
         console.log('Protocol totals fetched:', protocolTotals)
         
-        const marketSize = protocolTotals.supply || 0
-        const totalVolume = protocolTotals.borrow || 0
+        const marketSize = protocolTotals.supply
+        const totalVolume = protocolTotals.borrow
         
         console.log('Setting landing stats:', {
           marketSize,
@@ -549,41 +733,44 @@ function App() {
         console.error('Error fetching landing stats:', error)
         // On error, still show user count and transaction count
         setLandingStats({
-          marketSize: 0,
-          totalVolume: 0,
+          marketSize: 0n,
+          totalVolume: 0n,
           totalUsers: totalUsers,
           totalTransactions: totalTransactions
         })
       }
     }
     
-    // Fetch immediately
-    fetchLandingStats()
-    // Refresh stats every 30 seconds
-    const interval = setInterval(fetchLandingStats, 30000)
-    return () => clearInterval(interval)
-  }, [])
-
-  // Update rewards in real-time
+    // Market size and volume only change with these events; the interval picks up
+    // locally recorded users and transactions
+    return registerSyncTask('landingStats', {
+      run: fetchLandingStats,
+      events: ['Supply', 'Withdraw', 'Borrow', 'Repay', 'Liquidate', 'InterestAccrued'],
+      intervalMs: 60000,
+    })
+  }, [lendingPool])
+
+  // Rewards accrue every second without events, so they refresh on a timer between
+  // contract data syncs
+  const hasSupplied = Boolean(contractData?.user?.supplied)
   useEffect(() => {
-    if (!account || !provider || CONTRACT_ADDRESS === '0x0000000000000000000000000000000000000000') return
+    if (!account || !provider || lendingPool === '0x0000000000000000000000000000000000000000') return
     
-    const interval = setInterval(async () => {
+    const syncRewards = async () => {
       try {
         // If no supplied assets, keep rewards at 0
-        if (!contractData?.user?.supplied) {
-          setRewards(0)
+        if (!hasSupplied) {
+          setRewards(0n)
           return
         }
-        const accruedRewards = await contractUtils.getAccruedRewards(provider, account)
-        setRewards(accruedRewards || 0)
+        setRewards(await contractUtils.getAccruedRewards(provider, account))
       } catch (error) {
         console.error('Error fetching rewards:', error)
       }
-    }, 10000)
-    
-    return () => clearInterval(interval)
-  }, [account, provider])
+    }
+
+    return registerSyncTask('rewards', { run: syncRewards, intervalMs: 10000, immediate: false })
+  }, [account, provider, hasSupplied, lendingPool])
 
   const connectMetaMask = async () => {
     const mm = detectMetaMaskProvider()
@@ -639,16 +826,6 @@ function App() {
       setAccount(connectedAccount)
       setWallet('metamask')
       setShowWalletMenu(false)
-      // Initialize wallet in leaderboard with 0 points
-      initializeWalletInLeaderboard(connectedAccount)
-      
-      // Fetch data immediately after connection
-      if (CONTRACT_ADDRESS !== '0x0000000000000000000000000000000000000000') {
-        setTimeout(() => {
-          fetchContractData()
-          fetchWalletBalance()
-        }, 1000)
-      }
     } catch (error) {
       console.error('Error connecting MetaMask:', error)
       alert(`Failed to connect MetaMask: ${error.message || 'Please try again.'}`)
@@ -673,8 +850,6 @@ function App() {
       setAccount(connectedAccount)
         setWallet('qiewallet')
         setShowWalletMenu(false)
-      // Initialize wallet in leaderboard with 0 points
-      initializeWalletInLeaderboard(connectedAccount)
       } catch (error) {
         console.error('Error connecting QIE Wallet:', error)
         alert('Failed to connect QIE Wallet. Please try again.')
@@ -689,25 +864,74 @@ function App() {
     setProvider(null)
     setShowWalletMenu(false)
     setContractData(null)
-    setRewards(0)
+    setRewards(0n)
   }
 
   const utilization = useMemo(() => {
     const totals = contractData?.totals || mockState.totals
     const { supply, borrow } = totals
     if (!supply) return 0
-    return (borrow / supply) * 100
+    return Number((borrow * protocolMath.BPS) / supply) / 100
   }, [contractData])
 
+  // Borrow and supply APR across utilization, from the contract's kinked rate model
+  const rateCurve = useMemo(() => {
+    const { width, height, padLeft, padRight, padTop, padBottom } = RATE_CHART
+    const toPercent = (bps) => Number(bps) / 100
+    const ratesAt = (utilizationBps) => {
+      const borrowRate = protocolMath.calculateBorrowRate(BigInt(utilizationBps), marketParams)
+      const supplyRate = protocolMath.calculateSupplyRate(borrowRate, marketParams)
+      return { borrowApr: toPercent(borrowRate), supplyApr: toPercent(supplyRate) }
+    }
+
+    const maxApr = ratesAt(10000).borrowApr
+    const x = (utilizationBps) => padLeft + (utilizationBps / 10000) * (width - padLeft - padRight)
+    const y = (apr) => height - padBottom - (apr / maxApr) * (height - padTop - padBottom)
+
+    const points = []
+    for (let utilizationBps = 0; utilizationBps <= 10000; utilizationBps += 100) {
+      points.push({ utilizationBps, ...ratesAt(utilizationBps) })
+    }
+    const toPath = (key) => points.map((point, i) => `${i ? 'L' : 'M'}${x(point.utilizationBps)},${y(point[key])}`).join(' ')
+
+    const kink = Number(marketParams.kinkUtilization)
+    return {
+      ratesAt,
+      x,
+      y,
+      aprTicks: [0, 0.25, 0.5, 0.75, 1].map((fraction) => fraction * maxApr),
+      borrowPath: toPath('borrowApr'),
+      supplyPath: toPath('supplyApr'),
+      kinkBps: kink,
+      // How much steeper the borrow rate climbs past the kink
+      jumpRatio: (Number(marketParams.jumpMultiplier) / (10000 - kink)) / (Number(marketParams.multiplier) / kink),
+    }
+  }, [marketParams])
+
+  // Rates under the cursor, or at the current utilization when not hovering
+  const rateCurveFocus = useMemo(() => {
+    const utilizationBps = rateCurveHover ?? Math.round(Math.min(100, utilization) * 100)
+    return { utilizationBps, currentBps: Math.round(Math.min(100, utilization) * 100), ...rateCurve.ratesAt(utilizationBps) }
+  }, [rateCurve, rateCurveHover, utilization])
+
+  const handleRateCurveHover = (event) => {
+    const { width, padLeft, padRight } = RATE_CHART
+    const rect = event.currentTarget.getBoundingClientRect()
+    const viewBoxX = ((event.clientX - rect.left) / rect.width) * width
+    const fraction = (viewBoxX - padLeft) / (width - padLeft - padRight)
+    setRateCurveHover(Math.round(Math.max(0, Math.min(1, fraction)) * 10000))
+  }
+
   const netApy = useMemo(() => {
     const totals = contractData?.totals || mockState.totals
-    const user = account && contractData?.user ? contractData.user : { supplied: 0, borrowed: 0 }
+    const user = account && contractData?.user ? contractData.user : { supplied: 0n, borrowed: 0n }
     const { supplyApy, borrowApy } = totals
-    const { supplied, borrowed } = user
-    if (!supplied) return 0
+    if (!user.supplied) return 0
+    const supplied = toDisplayNumber(user.supplied, assetDecimals)
+    const borrowed = toDisplayNumber(user.borrowed, assetDecimals)
     const gross = (supplied * supplyApy - borrowed * borrowApy) / supplied
     return gross
-  }, [account, contractData])
+  }, [account, contractData, assetDecimals])
 
   // Points & leaderboard
   useEffect(() => {
@@ -730,84 +954,138 @@ function App() {
     return points || 0
   }, [contractData, points])
 
+  // Rebuild the global leaderboard from Supply/Borrow events, starting after the cached block
+  const syncLeaderboard = useCallback(async () => {
+    if (
+      lendingPool === '0x0000000000000000000000000000000000000000' ||
+      POINTS_CONTRACT_ADDRESS === '0x0000000000000000000000000000000000000000'
+    ) return
+
+    setIsSyncingLeaderboard(true)
+    try {
+      const readProvider = provider || getReadProvider()
+      const cache = await contractUtils.syncLeaderboard(readProvider, getLeaderboardCache(lendingPool))
+      saveLeaderboardCache(lendingPool, cache)
+      setLeaderboardCache(cache)
+
+      // Per-season standings, recomputed from getSeasonPoints every time. Points stop
+      // accruing when a season ends, so an ended season's standings are already final.
+      const seasonList = await contractUtils.getSeasons(readProvider)
+      const participants = Object.keys(cache.entries)
+      const standings = {}
+      for (const season of seasonList) {
+        if (season.status === 'upcoming') continue
+        standings[season.id] = await contractUtils.getSeasonStandings(readProvider, season.id, participants)
+      }
+      setSeasons(seasonList)
+      setSeasonStandings(standings)
+    } catch (error) {
+      console.error('Error syncing leaderboard:', error)
+    } finally {
+      setIsSyncingLeaderboard(false)
+    }
+  }, [provider, lendingPool])
+
+  useEffect(() => {
+    if (activePage === 'points' || activePage === 'landing') {
+      syncLeaderboard()
+    }
+  }, [activePage, syncLeaderboard])
+
+  // Season reward published through the Merkle distributor, if this account has one
+  const loadRewardClaim = useCallback(async () => {
+    if (!account) {
+      setRewardClaim(null)
+      return
+    }
+
+    try {
+      const readProvider = provider || getReadProvider()
+      setRewardClaim(await contractUtils.getRewardClaim(readProvider, account))
+    } catch (error) {
+      console.error('Error loading season reward:', error)
+      setRewardClaim(null)
+    }
+  }, [account, provider])
+
+  useEffect(() => {
+    if (activePage === 'points') {
+      loadRewardClaim()
+    }
+  }, [activePage, loadRewardClaim])
+
   const computedLeaderboard = useMemo(() => {
-    // Load all wallets from localStorage
-    const storedLeaderboard = getLeaderboardFromStorage()
-    const leaderboardArray = Object.values(storedLeaderboard).map(entry => ({
-      address: formatAddress(entry.address),
-      points: Math.max(entry.points || 0, 0),
-      fullAddress: entry.address
-    }))
-    
-    // If current account is connected, ensure it's in the leaderboard with current points
+    if (selectedSeason !== 'all') {
+      const entries = seasonStandings[selectedSeason] || {}
+      return rankEntries(Object.fromEntries(Object.entries(entries).filter(([, entryPoints]) => entryPoints > 0)))
+    }
+
+    const entries = { ...(leaderboardCache?.entries || {}) }
+
+    // The connected account's points are refreshed after every action, so prefer them
+    // over the last synced score
     if (account) {
-      const normalizedAccount = account.toLowerCase()
-      const existingIndex = leaderboardArray.findIndex(entry => entry.fullAddress === normalizedAccount)
-      const currentPoints = Math.max(displayPoints, 0)
-      
-      console.log('Leaderboard computation:', {
-        account: normalizedAccount,
-        displayPoints,
-        currentPoints,
-        existingIndex,
-        storedPoints: existingIndex >= 0 ? leaderboardArray[existingIndex].points : 'not found'
-      })
-      
-      if (existingIndex >= 0) {
-        // Update existing entry with current points (always use latest)
-        leaderboardArray[existingIndex].points = currentPoints
-        // Also update in localStorage to keep it in sync
-        updateWalletPoints(account, currentPoints)
-      } else {
-        // Add current account if not in leaderboard
-        leaderboardArray.push({
-          address: formatAddress(account),
-          points: currentPoints,
-          fullAddress: normalizedAccount
-        })
-        // Initialize in localStorage
-        initializeWalletInLeaderboard(account)
-        updateWalletPoints(account, currentPoints)
-      }
+      entries[account.toLowerCase()] = Math.max(displayPoints, 0)
     }
-    
-    return leaderboardArray
-      .sort((a, b) => b.points - a.points)
-      .map((entry, idx) => ({
-        address: entry.address,
-        points: entry.points,
-        rank: idx + 1,
-      }))
-  }, [account, displayPoints])
+
+    return rankEntries(entries)
+  }, [account, displayPoints, leaderboardCache, seasonStandings, selectedSeason])
+
+  const accountRank = useMemo(() => {
+    if (!account) return null
+    return computedLeaderboard.find((entry) => entry.fullAddress === account.toLowerCase())?.rank || null
+  }, [account, computedLeaderboard])
+
+  // The connected account's rank and points in every season that has started
+  const accountSeasonRanks = useMemo(() => {
+    if (!account) return []
+    const normalizedAccount = account.toLowerCase()
+    return seasons
+      .filter((season) => seasonStandings[season.id])
+      .map((season) => {
+        const ranked = rankEntries(seasonStandings[season.id]).filter((entry) => entry.points > 0)
+        const entry = ranked.find((item) => item.fullAddress === normalizedAccount)
+        return { season, rank: entry?.rank || null, points: entry?.points || 0, total: ranked.length }
+      })
+  }, [account, seasons, seasonStandings])
+
+  const activeSeason = useMemo(
+    () => seasons.find((season) => season.status === 'active') || null,
+    [seasons]
+  )
 
   const availableToBorrow = useMemo(() => {
     if (account && contractData) {
-      return contractData.availableToBorrow || 0
+      return contractData.availableToBorrow ?? 0n
     }
-    if (account && !contractData) return 0
+    if (account && !contractData) return 0n
     const { supplied, borrowed } = mockState.user
     // Only use collateral-enabled assets for borrowing calculation
-    if (!supplied || !collateralEnabled || !account) return 0
-    const collateralFactor = 0.7 // 70% of collateral can be borrowed
-    const maxBorrow = supplied * collateralFactor
-    const currentBorrow = borrowed
-    return Math.max(0, maxBorrow - currentBorrow)
-  }, [account, collateralEnabled, contractData])
+    if (!supplied || !collateralEnabled || !account) return 0n
+    const maxBorrow = (supplied * marketParams.collateralFactor) / protocolMath.BPS
+    return maxBorrow > borrowed ? maxBorrow - borrowed : 0n
+  }, [account, collateralEnabled, contractData, marketParams])
 
   // Update displayed values to use contract data when available
   const displayState = useMemo(() => {
-    const defaultUserState = { supplied: 0, borrowed: 0, healthFactor: 1.5, targetHealth: 1.5, balance: 0 }
+    const defaultUserState = {
+      supplied: 0n,
+      borrowed: 0n,
+      healthFactor: DEFAULT_HEALTH_FACTOR,
+      targetHealth: 1.5,
+      balance: 0n,
+    }
     
     const userStateRaw =
       account && contractData && contractData.user
         ? contractData.user
         : defaultUserState
 
-    const hasPositions = (userStateRaw?.supplied || 0) > 0 || (userStateRaw?.borrowed || 0) > 0
+    const hasPositions = (userStateRaw?.supplied ?? 0n) > 0n || (userStateRaw?.borrowed ?? 0n) > 0n
     const userState = {
       ...defaultUserState,
       ...userStateRaw,
-      healthFactor: hasPositions ? (userStateRaw?.healthFactor || 1.5) : 1.5,
+      healthFactor: hasPositions ? userStateRaw?.healthFactor || DEFAULT_HEALTH_FACTOR : DEFAULT_HEALTH_FACTOR,
     }
 
     const totalsState = contractData?.totals || mockState.totals
@@ -819,113 +1097,144 @@ function App() {
   }, [account, contractData])
 
   const collateralMetrics = useMemo(() => {
-    const borrowed = displayState.user.borrowed || 0
-    const liveAvailable = availableToBorrowLive || availableToBorrow || 0
-    const capacity = borrowed + liveAvailable
-    const remaining = Math.max(0, liveAvailable)
-    return { capacity, remaining }
+    const borrowed = displayState.user.borrowed ?? 0n
+    const remaining = availableToBorrowLive || availableToBorrow || 0n
+    return { capacity: borrowed + remaining, remaining }
   }, [displayState.user.borrowed, availableToBorrow, availableToBorrowLive])
 
-  // Wallet native QIE balance
-  const fetchWalletBalance = async () => {
-    if (!account || !provider) {
-      setWalletBalance(account ? 0 : mockState.user.balance)
-      return
+  // The balance changes with the user's own contract actions, and on a timer for
+  // plain transfers
+  useEffect(() => {
+    return registerSyncTask('walletBalance', {
+      run: fetchWalletBalance,
+      events: ['*'],
+      accountOnly: true,
+      intervalMs: 15000,
+    })
+  }, [fetchWalletBalance, lendingPool])
+
+  // Fetch oracle prices on mount and every 60 seconds. When no source is accepted the
+  // last accepted price stays on screen; priceStatus flags it, or disagreeing sources.
+  useEffect(() => {
+    const fetchPrices = async () => {
+      const results = await Promise.all(MARKET_PRICE_SYMBOLS.map((symbol) => getPrice(symbol)))
+
+      setPriceStatus((prev) => ({
+        ...prev,
+        ...Object.fromEntries(MARKET_PRICE_SYMBOLS.map((symbol, i) => [symbol, results[i].status])),
+      }))
+      setPrices((prev) => ({
+        ...prev,
+        ...Object.fromEntries(MARKET_PRICE_SYMBOLS.map((symbol, i) => [symbol, results[i].price ?? prev[symbol]])),
+      }))
     }
-    try {
-      // Ensure provider is properly set up
-      const ethersProvider = provider
-      if (!ethersProvider) {
-        console.error('Provider is null')
-        setWalletBalance(0)
-        return
-      }
-      
-      // Get balance with proper error handling
-      const balance = await ethersProvider.getBalance(account)
-      const balanceFormatted = parseFloat(ethers.formatEther(balance))
-      console.log('Wallet balance fetched:', balanceFormatted, 'QIE for account:', account)
-      setWalletBalance(balanceFormatted)
-    } catch (err) {
-      console.error('Error fetching wallet balance:', err)
-      // Try to get network info for debugging
+
+    return registerSyncTask('prices', { run: fetchPrices, intervalMs: 60000 })
+  }, [])
+
+  // Market registry; listings change rarely and without pool events
+  useEffect(() => {
+    const fetchMarkets = async () => setMarkets(await getMarkets())
+
+    return registerSyncTask('markets', { run: fetchMarkets, intervalMs: 10 * 60 * 1000 })
+  }, [])
+
+  // contract.js operates the primary market; when the registry moves it to another pool
+  // or asset, lendingPool changes and every loader that depends on it runs again
+  useEffect(() => {
+    if (contractUtils.setLendingMarket(primaryMarket)) {
+      setLendingPool(primaryMarket?.pool || '0x0000000000000000000000000000000000000000')
+    }
+  }, [primaryMarket])
+
+  // The pool's own risk and rate constants: QieLend and QieLendNative use different scales
+  useEffect(() => {
+    setMarketParams(protocolMath.NATIVE_PARAMS)
+    if (lendingPool === '0x0000000000000000000000000000000000000000') return
+
+    const fetchMarketParams = async () => {
       try {
-        const network = await provider.getNetwork()
-        console.log('Current network:', network)
-      } catch (netErr) {
-        console.error('Error getting network:', netErr)
+        setMarketParams(await contractUtils.getMarketParams(getReadProvider()))
+      } catch (error) {
+        console.error('Error loading market parameters:', error)
       }
-      setWalletBalance(0)
     }
-  }
 
+    fetchMarketParams()
+  }, [lendingPool])
+
+  // Recent oracle rounds for the Market page sparklines
   useEffect(() => {
-    let isMounted = true
-    const loop = async () => {
-      if (!isMounted) return
-      await fetchWalletBalance()
-      if (isMounted) setTimeout(loop, 5000)
-    }
-    loop()
-    return () => {
-      isMounted = false
+    if (activePage !== 'market') return
+
+    const fetchPriceHistory = async () => {
+      const histories = await Promise.all(
+        MARKET_PRICE_SYMBOLS.map((symbol) =>
+          getRoundHistory(symbol).catch((error) => {
+            console.error(`Error loading ${symbol} price history:`, error)
+            return []
+          })
+        )
+      )
+      setPriceHistory(Object.fromEntries(MARKET_PRICE_SYMBOLS.map((symbol, i) => [symbol, histories[i]])))
     }
-  }, [account, provider])
 
-  // Fetch QIE price from Oracle
-  const fetchQIEPrice = async () => {
-    try {
-      // getQIEPrice can handle null provider (creates its own)
-      const price = await contractUtils.getQIEPrice(provider)
-      setQiePrice(price)
-    } catch (err) {
-      console.error('Error fetching QIE price from Oracle:', err)
-      // Keep current price or fallback to 0.13
-      if (qiePrice === 0.13) {
-        // Only log if we haven't set a price yet
-        console.warn('Using fallback QIE price: 0.13')
-      }
-    }
+    return registerSyncTask('priceHistory', { run: fetchPriceHistory, intervalMs: 5 * 60 * 1000 })
+  }, [activePage])
+
+  // Market page price cell: last accepted price, a flag when the feed is degraded, and
+  // a sparkline of recent rounds
+  const renderMarketPrice = (symbol, price, digits) => {
+    const path = getSparklinePath(priceHistory[symbol])
+    const flag = PRICE_STATUS_LABELS[priceStatus[symbol]]
+    return (
+      <div className="market-price">
+        {path && (
+          <svg className="price-sparkline" viewBox={`0 0 ${SPARKLINE.width} ${SPARKLINE.height}`} preserveAspectRatio="none">
+            <path d={path} />
+          </svg>
+        )}
+        <strong>
+          {price === null || price === undefined
+            ? '—'
+            : `$${price.toLocaleString('en-US', { maximumFractionDigits: digits, minimumFractionDigits: digits })}`}
+        </strong>
+        {flag && <span className="price-flag">{flag}</span>}
+      </div>
+    )
   }
 
-  // Fetch QIE price on mount and periodically
-  useEffect(() => {
-    fetchQIEPrice() // Fetch immediately
-    const interval = setInterval(() => {
-      fetchQIEPrice()
-    }, 60000) // Update every 60 seconds
+  // Load on-chain transaction history. `toBlock` continues from the previous page's
+  // cursor; without it the history starts again from the latest block.
+  const loadHistory = useCallback(async (toBlock = null) => {
+    if (!account || lendingPool === '0x0000000000000000000000000000000000000000') return
 
-    return () => clearInterval(interval)
-  }, [provider]) // Re-fetch if provider changes
+    setIsLoadingHistory(true)
+    try {
+      const readProvider = provider || getReadProvider()
+      const { entries, nextToBlock } = await contractUtils.getTransactionHistory(readProvider, account, { toBlock })
+      setHistoryEntries(prev => (toBlock === null ? entries : [...prev, ...entries]))
+      setHistoryCursor(nextToBlock)
+    } catch (error) {
+      console.error('Error loading transaction history:', error)
+    } finally {
+      setIsLoadingHistory(false)
+    }
+  }, [account, provider, lendingPool])
 
-  // Fetch token prices from oracles
   useEffect(() => {
-    const fetchTokenPrices = async () => {
-      const prices = {}
-      const tokens = ['SOL', 'ETH', 'BTC', 'XRP', 'BNB']
-      
-      for (const token of tokens) {
-        try {
-          const price = await contractUtils.getTokenPrice(token, provider)
-          prices[token] = price
-        } catch (error) {
-          console.error(`Error fetching ${token} price:`, error)
-          prices[token] = null
-        }
-      }
-      
-      setTokenPrices(prev => ({ ...prev, ...prices }))
+    setHistoryEntries([])
+    setHistoryCursor(null)
+    if (activePage === 'history' && account) {
+      loadHistory()
     }
-    
-    fetchTokenPrices()
-    const interval = setInterval(fetchTokenPrices, 60000) // Update every 60 seconds
-    return () => clearInterval(interval)
-  }, [provider])
+  }, [activePage, account, loadHistory])
 
+  // Capped number for the health bar and risk meter; exact values go through formatHealthFactor
   const displayedHealthFactor = useMemo(() => {
-    const raw = displayState.user.healthFactor
+    const raw = toDisplayNumber(displayState.user.healthFactor)
     // If supplied but no borrow, health factor is effectively very safe; show capped high value
-    if (displayState.user.supplied > 0 && displayState.user.borrowed === 0) {
+    if (displayState.user.supplied > 0n && displayState.user.borrowed === 0n) {
       if (Number.isFinite(raw)) return Math.min(Math.max(raw, 1.5), 10)
       return 10
     }
@@ -934,46 +1243,201 @@ function App() {
     return Math.min(Math.max(raw, 0), 10)
   }, [displayState.user.healthFactor, displayState.user.supplied, displayState.user.borrowed])
 
+  // 0% at the health factor of a fully borrowed position (liquidation threshold /
+  // collateral factor), 100% at the liquidation point of 1.0
   const liquidationPercentage = useMemo(() => {
     const healthFactor = displayedHealthFactor
-    if (healthFactor >= 1.5) return 0
+    const safeHealthFactor = toDisplayNumber(protocolMath.getMaxBorrowHealthFactor(marketParams))
+    if (healthFactor >= safeHealthFactor) return 0
     if (healthFactor <= 1.0) return 100
-    const range = 1.5 - 1.0
+    const range = safeHealthFactor - 1.0
     const distance = healthFactor - 1.0
     return Math.max(0, Math.min(100, ((range - distance) / range) * 100))
-  }, [displayedHealthFactor])
+  }, [displayedHealthFactor, marketParams])
+
+  // Resulting position for the amount in the action panel, using the contract's own math
+  const actionPreview = useMemo(() => {
+    if (!contractData?.state) return null
+    const amountInput =
+      activeAction === 'supply'
+        ? supplyAmount
+        : activeAction === 'withdraw'
+          ? withdrawAmount
+          : activeAction === 'borrow'
+            ? borrowAmount
+            : repayAmount
+
+    if (getAmountInputError(amountInput, assetDecimals)) return null
+    const amount = parseAmount(amountInput, assetDecimals) ?? 0n
+
+    const { market, account: accountState } = contractData.state
+    const now = BigInt(Math.floor(Date.now() / 1000))
+    const preview = protocolMath.previewAction(activeAction, amount, accountState, market, now)
+    // Amounts stay wei; APYs become percent
+    const toDisplay = (side) =>
+      side && { ...side, supplyApy: Number(side.supplyApy) / 100, borrowApy: Number(side.borrowApy) / 100 }
+
+    // With no amount entered the position is unchanged
+    if (amount === 0n) return { before: toDisplay(preview.before), after: toDisplay(preview.before), error: null }
+    return { before: toDisplay(preview.before), after: toDisplay(preview.after), error: preview.error }
+  }, [contractData, activeAction, supplyAmount, withdrawAmount, borrowAmount, repayAmount, assetDecimals])
+
+  // Show a contract.js tracked transaction in the status tray; resolves once confirmed
+  const watchTransaction = (tx) => {
+    setTrackedTxs((prev) => [
+      ...prev,
+      {
+        id: tx.id,
+        tx,
+        action: tx.action,
+        amount: tx.amount,
+        decimals: tx.decimals,
+        status: tx.getStatus(),
+        isReplacing: false,
+      },
+    ])
+    tx.subscribe((status) => {
+      setTrackedTxs((prev) => prev.map((entry) => (entry.id === tx.id ? { ...entry, status } : entry)))
+
+      // Persist until final so the transaction survives a reload
+      if (status.nonce === null) return
+      const pending = getPendingTransactions()
+      const key = `${status.from.toLowerCase()}:${status.nonce}`
+      if (status.stage === 'submitted' || status.stage === 'confirming') {
+        pending[key] = {
+          // A sped-up transaction is resumed from its replacement; a cancelled one from
+          // the original, which then ends as replaced
+          hash: status.pendingReplacement?.mode === 'speedUp' ? status.pendingReplacement.hash : status.hash,
+          action: tx.action,
+          // BigInts don't survive JSON, so the amount is kept as a decimal string of base units
+          amount: tx.amount === null ? null : tx.amount.toString(),
+          decimals: tx.decimals,
+          from: status.from,
+          nonce: status.nonce,
+          startBlock: status.startBlock,
+        }
+      } else {
+        delete pending[key]
+      }
+      savePendingTransactions(pending)
+    })
+    return tx.wait()
+  }
+
+  // Resume this account's transactions that were still pending when the page was closed
+  useEffect(() => {
+    if (!account || !provider) return
+    Object.values(getPendingTransactions())
+      .filter((pending) => pending.from.toLowerCase() === account.toLowerCase() && !resumedTransactions.has(pending.hash))
+      .forEach((pending) => {
+        resumedTransactions.add(pending.hash)
+        const amount = /^\d+$/.test(pending.amount ?? '') ? BigInt(pending.amount) : null
+        watchTransaction(contractUtils.resumeTransaction(provider, { ...pending, amount }))
+          .then(() => refreshSyncTask('contractData'))
+          .catch((error) => console.error('Resumed transaction did not confirm:', error))
+      })
+  }, [account, provider])
+
+  const dismissTrackedTx = (id) => setTrackedTxs((prev) => prev.filter((entry) => entry.id !== id))
+
+  // Speed up or cancel a stuck transaction; its tray entry follows whichever gets mined
+  const replaceTrackedTx = async (entry, mode) => {
+    const setReplacing = (isReplacing) =>
+      setTrackedTxs((prev) => prev.map((item) => (item.id === entry.id ? { ...item, isReplacing } : item)))
+
+    setReplacing(true)
+    try {
+      if (mode === 'speedUp') await entry.tx.speedUp(provider, account)
+      else await entry.tx.cancel(provider, account)
+    } catch (error) {
+      console.error(`Error sending ${mode} replacement:`, error)
+      alert(contractUtils.decodeContractError(error, mode).message)
+    } finally {
+      setReplacing(false)
+    }
+  }
+
+  const actionAmounts = { supply: supplyAmount, withdraw: withdrawAmount, borrow: borrowAmount, repay: repayAmount }
+  const isFullRepay = fullRepayInput !== null && repayAmount === fullRepayInput
+  const getActionSender = (action) => (action === 'repay' && isFullRepay ? contractUtils.repayAll : ACTION_SENDERS[action])
+
+  const setActionAmount = (action, val) => {
+    if (action === 'supply') setSupplyAmount(val)
+    else if (action === 'withdraw') setWithdrawAmount(val)
+    else if (action === 'borrow') setBorrowAmount(val)
+    else setRepayAmount(val)
+  }
+
+  // Fill in the largest amount that still goes through once the transaction is mined,
+  // with interest accrued until then
+  const fillMaxAmount = async (action) => {
+    if (!account || !provider) return
+    try {
+      const max = await contractUtils.getMaxAmounts(provider, account)
+      const val = formatAmountInput(max[action], assetDecimals)
+      setActionAmount(action, val)
+      if (action === 'repay') setFullRepayInput(max.repayAll ? val : null)
+    } catch (error) {
+      console.error(`Error computing max ${action}:`, error)
+    }
+  }
+
+  // Simulate an action before the wallet prompt; the user confirms from the preview
+  const reviewAction = async (action) => {
+    if (!account || !provider) return
+    // The review is tied to the text in the amount field; the simulation gets its exact wei
+    const amount = actionAmounts[action] ?? null
+    const value = parseAmount(amount, assetDecimals)
+    if (action !== 'claimRewards' && !value) return
+
+    setTxReview({ action, amount, simulation: null })
+    let simulation
+    try {
+      simulation =
+        action === 'claimRewards'
+          ? await contractUtils.claimRewards(provider, account, { simulate: true })
+          : await getActionSender(action)(provider, value, account, { simulate: true })
+    } catch (error) {
+      console.error(`Error simulating ${action}:`, error)
+      simulation = { ok: false, error: contractUtils.decodeContractError(error, action), gasCost: null, gasCostUsd: null, balances: null }
+    }
+    // Drop the result if the user has changed the action or amount meanwhile
+    setTxReview((prev) => (prev?.action === action && prev.amount === amount ? { ...prev, simulation } : prev))
+  }
+
+  const actionReview =
+    txReview?.action === activeAction && txReview.amount === actionAmounts[activeAction] ? txReview : null
+  const claimReview = txReview?.action === 'claimRewards' ? txReview : null
 
   const claimRewards = async () => {
-    if (!account || !provider || rewards <= 0) return
+    if (!account || !provider || rewards <= 0n) return
     
     try {
-      await contractUtils.claimRewards(provider, account)
-      await fetchContractData()
-      alert(`Successfully claimed ${rewards.toFixed(4)} QIE rewards!`)
+      await watchTransaction(await contractUtils.claimRewards(provider, account))
+      await refreshSyncTask('contractData')
     } catch (error) {
       console.error('Error claiming rewards:', error)
-      alert('Failed to claim rewards. Please try again.')
+      alert(contractUtils.decodeContractError(error, 'claimRewards').message)
     }
   }
 
   const handleSupply = async () => {
-    if (!account || !provider || !supplyAmount || parseFloat(supplyAmount) <= 0) return
+    const amount = parseAmount(supplyAmount, assetDecimals)
+    if (!account || !provider || !amount) return
     
     // Check if collateral was previously enabled
     const wasCollateralEnabled = collateralEnabled
     
     try {
-      await contractUtils.supply(provider, supplyAmount, account)
+      await watchTransaction(await contractUtils.supply(provider, amount, account))
       // Increment transaction count
       incrementTransactionCount()
       setSupplyAmount('')
-      // Wait a bit for the transaction to be confirmed on-chain
-      await new Promise(resolve => setTimeout(resolve, 2000))
       
       // If collateral was enabled before, enable it for the new supply
       if (wasCollateralEnabled) {
         try {
-          await contractUtils.setCollateralEnabled(provider, true, account)
+          await watchTransaction(await contractUtils.setCollateralEnabled(provider, true, account))
           console.log('Collateral automatically enabled for new supply')
         } catch (collateralError) {
           console.error('Error enabling collateral after supply:', collateralError)
@@ -981,99 +1445,66 @@ function App() {
         }
       }
       
-      await fetchContractData()
+      await refreshSyncTask('contractData')
       
       // Update available to borrow after supply
       try {
         const available = await contractUtils.getAvailableToBorrow(provider, account)
-        setAvailableToBorrowLive(available || 0)
-        console.log('Available to borrow updated after supply:', available)
+        setAvailableToBorrowLive(available)
+        console.log('Available to borrow updated after supply:', formatAmount(available, { digits: 4, decimals: assetDecimals }))
       } catch (e) {
         console.error('Error updating availableToBorrow after supply:', e)
       }
-      
-      // Explicitly recalculate points after data fetch
-      if (POINTS_CONTRACT_ADDRESS !== '0x0000000000000000000000000000000000000000') {
-        try {
-          const [supplyBal, borrowBal] = await Promise.all([
-            contractUtils.getSupplyBalance(provider, account),
-            contractUtils.getBorrowBalance(provider, account)
-          ])
-          const newPoints = await contractUtils.calculatePoints(provider, supplyBal, borrowBal)
-          setPoints(newPoints)
-          updateWalletPoints(account, newPoints)
-          console.log('Points updated after supply:', newPoints)
-        } catch (err) {
-          console.error('Error updating points after supply:', err)
-        }
-      }
-      alert('Successfully supplied QIE!')
     } catch (error) {
       console.error('Error supplying:', error)
-      alert('Failed to supply. Please try again.')
+      alert(contractUtils.decodeContractError(error, 'supply').message)
     }
   }
 
   const handleWithdraw = async () => {
-    if (!account || !provider || !withdrawAmount || parseFloat(withdrawAmount) <= 0) {
+    const requestedAmount = parseAmount(withdrawAmount, assetDecimals)
+    if (!account || !provider || !requestedAmount) {
       console.log('Withdraw validation failed:', { account, provider, withdrawAmount })
       return
     }
     
-    const requestedAmount = parseFloat(withdrawAmount)
-    const supplied = contractData?.user?.supplied || 0
+    const supplied = contractData?.user?.supplied ?? 0n
     
     // Basic balance check only - let contract handle collateral validation
     if (requestedAmount > supplied) {
-      alert(`Cannot withdraw ${requestedAmount.toFixed(4)} QIE. You have ${supplied.toFixed(4)} QIE supplied.`)
+      alert(
+        `Cannot withdraw ${formatAmount(requestedAmount, { digits: 4, decimals: assetDecimals })} ${assetSymbol}. You have ${formatAmount(supplied, { digits: 4, decimals: assetDecimals })} ${assetSymbol} supplied.`
+      )
       return
     }
     
     console.log('Attempting withdraw:', { requestedAmount, supplied, account })
     
     try {
-      const tx = await contractUtils.withdraw(provider, withdrawAmount, account)
-      console.log('Withdraw transaction sent:', tx)
+      const receipt = await watchTransaction(await contractUtils.withdraw(provider, requestedAmount, account))
+      console.log('Withdraw transaction confirmed:', receipt.hash)
       // Increment transaction count
       incrementTransactionCount()
       setWithdrawAmount('')
-      // Wait a bit for the transaction to be confirmed on-chain
-      await new Promise(resolve => setTimeout(resolve, 2000))
-      await fetchContractData()
-      // Explicitly recalculate points after data fetch
-      if (POINTS_CONTRACT_ADDRESS !== '0x0000000000000000000000000000000000000000') {
-        try {
-          const [supplyBal, borrowBal] = await Promise.all([
-            contractUtils.getSupplyBalance(provider, account),
-            contractUtils.getBorrowBalance(provider, account)
-          ])
-          const newPoints = await contractUtils.calculatePoints(provider, supplyBal, borrowBal)
-          setPoints(newPoints)
-          updateWalletPoints(account, newPoints)
-          console.log('Points updated after withdraw:', newPoints)
-        } catch (err) {
-          console.error('Error updating points after withdraw:', err)
-        }
-      }
-      alert('Successfully withdrew QIE!')
+      await refreshSyncTask('contractData')
     } catch (error) {
       console.error('Error withdrawing:', error)
       
-      const borrowed = contractData?.user?.borrowed || 0
+      const borrowed = contractData?.user?.borrowed ?? 0n
       
-      // Decode custom error if present
-      let errorMessage = 'Failed to withdraw. Please try again.'
-      if (error.data) {
-        const errorSelector = error.data.slice(0, 10)
-        // Error selectors: CollateralDisabled=0x02e2d6e6, InsufficientBalance=0xf4d678b8
-        if (errorSelector === '0x02e2d6e6') {
-          const maxWithdrawable = borrowed > 0 ? Math.max(0, supplied - (borrowed / 0.7)) : supplied
-          errorMessage = `Cannot withdraw ${requestedAmount.toFixed(4)} QIE. This would leave insufficient collateral for your ${borrowed.toFixed(4)} QIE borrowed. Maximum withdrawable: ${maxWithdrawable.toFixed(4)} QIE.`
-        } else if (errorSelector === '0xf4d678b8') {
-          errorMessage = `Insufficient balance. You have ${supplied.toFixed(4)} QIE supplied.`
-        }
-      } else if (error.reason) {
-        errorMessage = error.reason
+      // Add the position's numbers to the decoded contract error
+      const decoded = contractUtils.decodeContractError(error, 'withdraw')
+      let errorMessage = decoded.message
+      if (decoded.name === 'CollateralDisabled') {
+        const maxWithdrawable = contractData?.state
+          ? protocolMath.getMaxWithdraw(
+              contractData.state.account,
+              protocolMath.accrueInterest(contractData.state.market, BigInt(Math.floor(Date.now() / 1000)))
+            )
+          : supplied
+        errorMessage = `Cannot withdraw ${formatAmount(requestedAmount, { digits: 4, decimals: assetDecimals })} ${assetSymbol}. This would leave insufficient collateral for your ${formatAmount(borrowed, { digits: 4, decimals: assetDecimals })} ${assetSymbol} borrowed. Maximum withdrawable: ${formatAmount(maxWithdrawable, { digits: 4, decimals: assetDecimals })} ${assetSymbol}.`
+      } else if (decoded.name === 'InsufficientBalance') {
+        errorMessage = `Insufficient balance. You have ${formatAmount(supplied, { digits: 4, decimals: assetDecimals })} ${assetSymbol} supplied.`
       }
       
       alert(errorMessage)
@@ -1081,25 +1512,27 @@ function App() {
   }
 
   const handleBorrow = async () => {
-    if (!account || !provider || !borrowAmount || parseFloat(borrowAmount) <= 0) return
+    const requestedAmount = parseAmount(borrowAmount, assetDecimals)
+    if (!account || !provider || !requestedAmount) return
     
     // Refresh availableToBorrow from contract right before borrowing to get latest value
-    let available = 0
+    let available = 0n
     try {
       available = await contractUtils.getAvailableToBorrow(provider, account)
-      setAvailableToBorrowLive(available || 0)
-      console.log('Available to borrow from contract:', available)
+      setAvailableToBorrowLive(available)
+      console.log('Available to borrow from contract:', formatAmount(available, { digits: 4, decimals: assetDecimals }))
     } catch (e) {
       console.error('Error fetching availableToBorrow:', e)
-      available = contractData?.availableToBorrow || 0
+      available = contractData?.availableToBorrow ?? 0n
     }
     
-    const requestedAmount = parseFloat(borrowAmount)
-    console.log('Requested borrow amount:', requestedAmount, 'Available:', available)
+    console.log('Requested borrow amount:', formatAmount(requestedAmount, { digits: 4, decimals: assetDecimals }), 'Available:', formatAmount(available, { digits: 4, decimals: assetDecimals }))
     
-    // Validate borrow amount against available capacity (with small buffer for rounding)
-    if (requestedAmount > available + 0.0001) {
-      alert(`Cannot borrow ${requestedAmount.toFixed(4)} QIE. Available to borrow: ${available.toFixed(4)} QIE`)
+    // Both amounts are exact wei, so no rounding buffer is needed
+    if (requestedAmount > available) {
+      alert(
+        `Cannot borrow ${formatAmount(requestedAmount, { digits: 4, decimals: assetDecimals })} ${assetSymbol}. Available to borrow: ${formatAmount(available, { digits: 4, decimals: assetDecimals })} ${assetSymbol}`
+      )
       return
     }
     
@@ -1110,90 +1543,323 @@ function App() {
     }
     
     try {
-      await contractUtils.borrow(provider, borrowAmount, account)
+      await watchTransaction(await contractUtils.borrow(provider, requestedAmount, account))
       // Increment transaction count
-      incrementTransactionCount()
-      setBorrowAmount('')
-      // Wait a bit for the transaction to be confirmed on-chain
-      await new Promise(resolve => setTimeout(resolve, 2000))
-      await fetchContractData()
-      // Explicitly recalculate points after data fetch
-      if (POINTS_CONTRACT_ADDRESS !== '0x0000000000000000000000000000000000000000') {
-        try {
-          const [supplyBal, borrowBal] = await Promise.all([
-            contractUtils.getSupplyBalance(provider, account),
-            contractUtils.getBorrowBalance(provider, account)
-          ])
-          const newPoints = await contractUtils.calculatePoints(provider, supplyBal, borrowBal)
-          setPoints(newPoints)
-          updateWalletPoints(account, newPoints)
-          console.log('Points updated after borrow:', newPoints)
-        } catch (err) {
-          console.error('Error updating points after borrow:', err)
-        }
-      }
-      alert('Successfully borrowed QIE!')
+      incrementTransactionCount()
+      setBorrowAmount('')
+      await refreshSyncTask('contractData')
     } catch (error) {
       console.error('Error borrowing:', error)
       
       // Refresh availableToBorrow to show current value in error
       try {
         available = await contractUtils.getAvailableToBorrow(provider, account)
-        setAvailableToBorrowLive(available || 0)
+        setAvailableToBorrowLive(available)
       } catch (e) {
         // Ignore
       }
       
-      // Decode custom error if present
-      let errorMessage = 'Failed to borrow. Please try again.'
-      if (error.data) {
-        const errorSelector = error.data.slice(0, 10)
-        // Error selectors: ExceedsBorrowCapacity=0x5e4c2038, CollateralDisabled=0x02e2d6e6, InsufficientLiquidity=0xbb55fd27
-        if (errorSelector === '0x5e4c2038') {
-          errorMessage = `Borrow amount (${requestedAmount.toFixed(4)} QIE) exceeds available capacity. Current available: ${available.toFixed(4)} QIE. Please refresh and try again.`
-        } else if (errorSelector === '0x02e2d6e6') {
-          errorMessage = 'Collateral is not enabled. Please enable collateral first.'
-        } else if (errorSelector === '0xbb55fd27') {
-          errorMessage = 'Insufficient liquidity in the protocol. Please try a smaller amount.'
-        }
-      } else if (error.reason) {
-        errorMessage = error.reason
+      const decoded = contractUtils.decodeContractError(error, 'borrow')
+      if (decoded.name === 'ExceedsBorrowCapacity') {
+        alert(`Borrow amount (${formatAmount(requestedAmount, { digits: 4, decimals: assetDecimals })} ${assetSymbol}) exceeds available capacity. Current available: ${formatAmount(available, { digits: 4, decimals: assetDecimals })} ${assetSymbol}. Please refresh and try again.`)
+      } else {
+        alert(decoded.message)
       }
-      
-      alert(errorMessage)
     }
   }
 
   const handleRepay = async () => {
-    if (!account || !provider || !repayAmount || parseFloat(repayAmount) <= 0) return
+    const amount = parseAmount(repayAmount, assetDecimals)
+    if (!account || !provider || !amount) return
     
     try {
-      await contractUtils.repay(provider, repayAmount, account)
+      await watchTransaction(await getActionSender('repay')(provider, amount, account))
       // Increment transaction count
       incrementTransactionCount()
       setRepayAmount('')
-      // Wait a bit for the transaction to be confirmed on-chain
-      await new Promise(resolve => setTimeout(resolve, 2000))
-      await fetchContractData()
-      // Explicitly recalculate points after data fetch
-      if (POINTS_CONTRACT_ADDRESS !== '0x0000000000000000000000000000000000000000') {
-        try {
-          const [supplyBal, borrowBal] = await Promise.all([
-            contractUtils.getSupplyBalance(provider, account),
-            contractUtils.getBorrowBalance(provider, account)
-          ])
-          const newPoints = await contractUtils.calculatePoints(provider, supplyBal, borrowBal)
-          setPoints(newPoints)
-          updateWalletPoints(account, newPoints)
-          console.log('Points updated after repay:', newPoints)
-        } catch (err) {
-          console.error('Error updating points after repay:', err)
-        }
-      }
-      alert('Successfully repaid QIE!')
+      setFullRepayInput(null)
+      await refreshSyncTask('contractData')
     } catch (error) {
       console.error('Error repaying:', error)
-      alert('Failed to repay. Please try again.')
+      alert(contractUtils.decodeContractError(error, 'repay').message)
+    }
+  }
+
+  // An ERC20 market's supply or repay first approves the token, then simulates again
+  const approveReviewedAction = async () => {
+    const review = txReview
+    if (!account || !provider || !review?.simulation?.approval) return
+
+    setIsApproving(true)
+    try {
+      await watchTransaction(await contractUtils.approve(provider, review.simulation.approval, account))
+      await reviewAction(review.action)
+    } catch (error) {
+      console.error('Error approving:', error)
+      alert(contractUtils.decodeContractError(error, 'approve').message)
+    } finally {
+      setIsApproving(false)
+    }
+  }
+
+  const confirmReviewedAction = () => {
+    const action = txReview?.action
+    setTxReview(null)
+    if (action === 'claimRewards') claimRewards()
+    else if (action === 'supply') handleSupply()
+    else if (action === 'withdraw') handleWithdraw()
+    else if (action === 'borrow') handleBorrow()
+    else if (action === 'repay') handleRepay()
+  }
+
+  // Simulation result for a reviewed action, with Confirm and Cancel
+  const renderTxReview = (review) => {
+    const { simulation } = review
+    const before = simulation?.balances?.before
+    const after = simulation?.balances?.after
+    const blocked = Boolean(simulation?.error && BLOCKING_SIMULATION_ERRORS.includes(simulation.error.type))
+
+    return (
+      <div className="tx-review">
+        <p className="label">Transaction preview</p>
+        {!simulation ? (
+          <p className="hint">Simulating…</p>
+        ) : (
+          <>
+            {simulation.error ? (
+              <p className="liquidation-warning">{simulation.error.message}</p>
+            ) : (
+              <p className="tx-review-ok">Simulation succeeded</p>
+            )}
+            {simulation.gasCost !== null && (
+              <div className="detail-row">
+                <span>Network fee</span>
+                <strong>
+                  ~{formatAmount(simulation.gasCost, { digits: 6 })} QIE
+                  {simulation.gasCostUsd !== null && ` ($${simulation.gasCostUsd.toFixed(4)})`}
+                </strong>
+              </div>
+            )}
+            {before && after && (
+              <>
+                <div className="detail-row">
+                  <span>Wallet</span>
+                  <strong>{formatAmount(before.wallet, { decimals: assetDecimals })} → {formatAmount(after.wallet, { decimals: assetDecimals })}</strong>
+                </div>
+                <div className="detail-row">
+                  <span>Supplied</span>
+                  <strong>{formatAmount(before.supplied, { decimals: assetDecimals })} → {formatAmount(after.supplied, { decimals: assetDecimals })}</strong>
+                </div>
+                <div className="detail-row">
+                  <span>Borrowed</span>
+                  <strong>{formatAmount(before.borrowed, { decimals: assetDecimals })} → {formatAmount(after.borrowed, { decimals: assetDecimals })}</strong>
+                </div>
+                <div className="detail-row">
+                  <span>Health factor</span>
+                  <strong>{formatHealthFactor(before.healthFactor)} → {formatHealthFactor(after.healthFactor)}</strong>
+                </div>
+              </>
+            )}
+          </>
+        )}
+        <div className="tx-review-actions">
+          <button className="ghost small" onClick={() => setTxReview(null)}>
+            Cancel
+          </button>
+          {simulation?.approval ? (
+            <button className="primary" onClick={approveReviewedAction} disabled={isApproving}>
+              {isApproving ? 'Approving…' : `Approve ${assetSymbol}`}
+            </button>
+          ) : (
+            <button className="primary" onClick={confirmReviewedAction} disabled={!simulation || blocked}>
+              Confirm
+            </button>
+          )}
+        </div>
+      </div>
+    )
+  }
+
+  const handleClaimSeasonReward = async () => {
+    if (!account || !provider || !rewardClaim || rewardClaim.claimed) return
+
+    setIsClaimingReward(true)
+    try {
+      await watchTransaction(await contractUtils.claimSeasonReward(provider, rewardClaim, account))
+      incrementTransactionCount()
+      await loadRewardClaim()
+    } catch (error) {
+      console.error('Error claiming season reward:', error)
+      alert(contractUtils.decodeContractError(error, 'claimSeasonReward').message)
+    } finally {
+      setIsClaimingReward(false)
+    }
+  }
+
+  // Borrowers from Borrow events, with their current health factors, riskiest first
+  const scanBorrowers = useCallback(async () => {
+    if (lendingPool === '0x0000000000000000000000000000000000000000') return
+
+    setIsScanningBorrowers(true)
+    try {
+      const readProvider = provider || getReadProvider()
+      const cache = await contractUtils.syncBorrowers(readProvider, getBorrowersCache(lendingPool))
+      saveBorrowersCache(lendingPool, cache)
+      const [positions, bonus] = await Promise.all([
+        contractUtils.getBorrowerPositions(readProvider, cache.borrowers),
+        contractUtils.getLiquidationBonus(readProvider),
+      ])
+      setLiquidationPositions(positions)
+      setLiquidationBonus(bonus)
+    } catch (error) {
+      console.error('Error scanning borrowers:', error)
+    } finally {
+      setIsScanningBorrowers(false)
+    }
+  }, [provider, lendingPool])
+
+  useEffect(() => {
+    if (activePage === 'liquidations') {
+      scanBorrowers()
+    }
+  }, [activePage, scanBorrowers])
+
+  // Protocol totals and indexes over time, replayed from contract events
+  const loadAnalytics = useCallback(async () => {
+    if (lendingPool === '0x0000000000000000000000000000000000000000') return
+
+    setIsLoadingAnalytics(true)
+    try {
+      const readProvider = provider || getReadProvider()
+      const cache = await contractUtils.syncProtocolHistory(readProvider, getAnalyticsCache(lendingPool))
+      saveAnalyticsCache(lendingPool, cache)
+      setAnalyticsHistory(cache)
+    } catch (error) {
+      console.error('Error loading protocol analytics:', error)
+    } finally {
+      setIsLoadingAnalytics(false)
+    }
+  }, [provider, lendingPool])
+
+  useEffect(() => {
+    if (activePage === 'analytics') {
+      loadAnalytics()
+    }
+  }, [activePage, loadAnalytics])
+
+  // Points inside the selected range. The value at the start of the range carries over
+  // from the last earlier point, and the latest values extend to now.
+  const analyticsSeries = useMemo(() => {
+    const history = analyticsHistory?.points || []
+    if (!history.length) return null
+
+    const now = Math.floor(Date.now() / 1000)
+    const range = ANALYTICS_RANGES.find((option) => option.key === analyticsRange)
+    const start = range.seconds ? now - range.seconds : history[0].timestamp
+    const carried = [...history].reverse().find((point) => point.timestamp < start)
+    const points = [
+      ...(carried ? [{ ...carried, timestamp: start }] : []),
+      ...history.filter((point) => point.timestamp >= start),
+    ]
+    if (!points.length) return null
+    points.push({ ...points[points.length - 1], timestamp: now })
+
+    const { width, height, padLeft, padRight, padTop, padBottom } = ANALYTICS_CHART
+    const span = Math.max(1, now - points[0].timestamp)
+    const x = (timestamp) => padLeft + ((timestamp - points[0].timestamp) / span) * (width - padLeft - padRight)
+
+    const charts = ANALYTICS_SERIES.map((series) => {
+      const values = points.map((point) => point[series.key])
+      // Indexes sit just above 1, so their axis is fitted to the data instead of starting at 0
+      const isIndex = series.key.endsWith('Index')
+      const max = Math.max(...values)
+      const min = isIndex ? Math.min(...values) : 0
+      const top = max === min ? max + (isIndex ? 0.0001 : 1) : max + (max - min) * 0.1
+      const y = (value) => height - padBottom - ((value - min) / (top - min)) * (height - padTop - padBottom)
+      // Step line: values only change at events
+      const path = points
+        .map((point, i) => (i ? `H${x(point.timestamp)} V${y(point[series.key])}` : `M${x(point.timestamp)},${y(point[series.key])}`))
+        .join(' ')
+      const unit = series.unit ?? assetSymbol
+      return { ...series, unit, path, y, min, top, change: values[values.length - 1] - values[0] }
+    })
+
+    return { points, start: points[0].timestamp, now, x, charts }
+  }, [analyticsHistory, analyticsRange, assetSymbol])
+
+  // Last recorded point at or before the hovered time (the latest point when not hovering)
+  const analyticsFocus = useMemo(() => {
+    if (!analyticsSeries) return null
+    const { points } = analyticsSeries
+    if (analyticsHover === null) return points[points.length - 1]
+    return [...points].reverse().find((point) => point.timestamp <= analyticsHover) || points[0]
+  }, [analyticsSeries, analyticsHover])
+
+  const handleAnalyticsHover = (event) => {
+    if (!analyticsSeries) return
+    const { width, padLeft, padRight } = ANALYTICS_CHART
+    const rect = event.currentTarget.getBoundingClientRect()
+    const viewBoxX = ((event.clientX - rect.left) / rect.width) * width
+    const fraction = Math.max(0, Math.min(1, (viewBoxX - padLeft) / (width - padLeft - padRight)))
+    setAnalyticsHover(analyticsSeries.start + fraction * (analyticsSeries.now - analyticsSeries.start))
+  }
+
+  // Download the recorded points of the selected range for reporting
+  const exportAnalyticsCsv = () => {
+    if (!analyticsSeries) return
+    // Only blocks that were actually recorded, not the range-start and "now" fill-ins
+    const rows = (analyticsHistory?.points || []).filter((point) => point.timestamp >= analyticsSeries.start)
+    const header = ['block', 'timestamp', 'date', ...ANALYTICS_SERIES.map((series) => series.key)]
+    const lines = rows.map((point) =>
+      [
+        point.blockNumber,
+        point.timestamp,
+        new Date(point.timestamp * 1000).toISOString(),
+        ...ANALYTICS_SERIES.map((series) => point[series.key]),
+      ].join(',')
+    )
+    const blob = new Blob([[header.join(','), ...lines].join('\n')], { type: 'text/csv' })
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = `qielend-analytics-${analyticsRange}-${new Date().toISOString().slice(0, 10)}.csv`
+    link.click()
+    URL.revokeObjectURL(url)
+  }
+
+  const selectedLiquidation = useMemo(
+    () => liquidationPositions.find((position) => position.address === liquidationTarget) || null,
+    [liquidationPositions, liquidationTarget]
+  )
+
+  const liquidationPreview = useMemo(() => {
+    if (!selectedLiquidation) return null
+    return contractUtils.previewLiquidation(selectedLiquidation, parseAmount(liquidationAmount, assetDecimals) ?? 0n, liquidationBonus)
+  }, [selectedLiquidation, liquidationAmount, liquidationBonus, assetDecimals])
+
+  const handleLiquidate = async () => {
+    if (!account || !provider || !selectedLiquidation || !liquidationPreview) return
+    if (liquidationPreview.repay <= 0n || !liquidationPreview.sufficientCollateral) return
+
+    setIsLiquidating(true)
+    try {
+      // An ERC20 market pulls the repayment, so it needs an allowance first
+      if (await contractUtils.needsApproval(provider, account, liquidationPreview.repay)) {
+        await watchTransaction(await contractUtils.approve(provider, liquidationPreview.repay, account))
+      }
+      // Send only what the contract will use; it keeps anything above the debt
+      await watchTransaction(
+        await contractUtils.liquidate(provider, selectedLiquidation.address, liquidationPreview.repay, account)
+      )
+      incrementTransactionCount()
+      setLiquidationTarget(null)
+      setLiquidationAmount('')
+      await Promise.all([scanBorrowers(), refreshSyncTask('contractData')])
+    } catch (error) {
+      console.error('Error liquidating:', error)
+      alert(contractUtils.decodeContractError(error, 'liquidate').message)
+    } finally {
+      setIsLiquidating(false)
     }
   }
 
@@ -1201,13 +1867,12 @@ function App() {
     if (!account || !provider) return
     
     try {
-      await contractUtils.setCollateralEnabled(provider, enabled, account)
+      await watchTransaction(await contractUtils.setCollateralEnabled(provider, enabled, account))
       // Refresh from chain to reflect actual state
-      await fetchContractData()
-      alert(`Collateral ${enabled ? 'enabled' : 'disabled'} successfully!`)
+      await refreshSyncTask('contractData')
     } catch (error) {
       console.error('Error toggling collateral:', error)
-      alert('Failed to toggle collateral. Please try again.')
+      alert(contractUtils.decodeContractError(error, 'collateral').message)
     }
   }
 
@@ -1233,11 +1898,7 @@ function App() {
               <div className="stat-item glass">
                 <div className="stat-label">Total market size®</div>
                 <div className="stat-value">
-                  {landingStats.marketSize >= 1000000 
-                    ? `${(landingStats.marketSize / 1000000).toFixed(1)}M+ QIE`
-                    : landingStats.marketSize >= 1000
-                    ? `${(landingStats.marketSize / 1000).toFixed(1)}K+ QIE`
-                    : `${landingStats.marketSize.toFixed(0)} QIE`}
+                  {formatAmount(landingStats.marketSize, { digits: 1, compact: true, decimals: assetDecimals })} {assetSymbol}
                 </div>
               </div>
               <div className="stat-item glass">
@@ -1315,7 +1976,7 @@ function App() {
       <nav className="top-nav dark">
         <div className="logo">QieLend</div>
         <ul className="nav-links">
-          {['dashboard', 'portfolio', 'overview', 'market', 'points'].map((key) => (
+          {['dashboard', 'portfolio', 'overview', 'market', 'analytics', 'points', 'history', 'liquidations'].map((key) => (
             <li key={key}>
               <button
                 className={`link ${activePage === key ? 'active' : ''}`}
@@ -1371,6 +2032,13 @@ function App() {
         </div>
       </nav>
 
+      {!rpcStatus.available && (
+        <div className="rpc-banner">
+          QIE RPC {RPC_URLS.length > 1 ? 'endpoints are' : 'endpoint is'} unreachable. Retrying automatically; figures
+          shown may be out of date.
+        </div>
+      )}
+
       {activePage === 'dashboard' && (
         <div className="dashboard-layout-new">
           {!account ? (
@@ -1387,18 +2055,18 @@ function App() {
             <div className="dashboard-top-cards">
               <div className="dashboard-metric-card">
                 <p className="label">MY SUPPLY BALANCE</p>
-                    <h2>{displayState.user.supplied.toFixed(2)} QIE</h2>
-                    <p className="subtext">~${(displayState.user.supplied * qiePrice).toFixed(2)} • NET APR {netApy.toFixed(2)}%</p>
+                    <h2>{formatAmount(displayState.user.supplied, { decimals: assetDecimals })} {assetSymbol}</h2>
+                    <p className="subtext">~{formatUsd(displayState.user.supplied, assetPrice, { decimals: assetDecimals })} • NET APR {netApy.toFixed(2)}%</p>
               </div>
               <div className="dashboard-metric-card">
                 <p className="label">AVAILABLE TO BORROW</p>
-                    <h2>{(availableToBorrowLive || availableToBorrow || 0).toFixed(2)} QIE</h2>
-                    <p className="subtext">~${((availableToBorrowLive || availableToBorrow || 0) * qiePrice).toFixed(2)}</p>
+                    <h2>{formatAmount(collateralMetrics.remaining, { decimals: assetDecimals })} {assetSymbol}</h2>
+                    <p className="subtext">~{formatUsd(collateralMetrics.remaining, assetPrice, { decimals: assetDecimals })}</p>
               </div>
               <div className="dashboard-metric-card">
                     <p className="label">WALLET BALANCE</p>
-                    <h2>{walletBalance.toFixed(2)} QIE</h2>
-                    <p className="subtext">~${(walletBalance * qiePrice).toFixed(2)}</p>
+                    <h2>{formatAmount(walletBalance, { decimals: assetDecimals })} {assetSymbol}</h2>
+                    <p className="subtext">~{formatUsd(walletBalance, assetPrice, { decimals: assetDecimals })}</p>
               </div>
               <div className="dashboard-metric-card health-factor-card">
                 <p className="label">HEALTH FACTOR</p>
@@ -1416,15 +2084,15 @@ function App() {
               <section className="dashboard-card summary-card">
                 <div className="card-header">
                   <h3>Supplies</h3>
-                      <div className="summary-pill">Supply Balance {displayState.user.supplied.toFixed(2)} QIE</div>
+                      <div className="summary-pill">Supply Balance {formatAmount(displayState.user.supplied, { decimals: assetDecimals })} {assetSymbol}</div>
                       <div className="summary-pill">
-                        Collateral room {collateralEnabled ? `${collateralMetrics.remaining.toFixed(2)} QIE` : '0.00 QIE'}
+                        Collateral room {collateralEnabled ? `${formatAmount(collateralMetrics.remaining, { decimals: assetDecimals })} ${assetSymbol}` : `0.00 ${assetSymbol}`}
                       </div>
                 </div>
                 <div className="summary-grid">
                   <div>
                     <p className="label">Token</p>
-                    <p className="asset-name">QIE</p>
+                    <p className="asset-name">{assetSymbol}</p>
                   </div>
                   <div>
                     <p className="label">APR</p>
@@ -1432,8 +2100,8 @@ function App() {
                   </div>
                   <div>
                     <p className="label">Balance</p>
-                        <p className="asset-apr">{displayState.user.supplied.toFixed(2)} QIE</p>
-                        <p className="subtext" style={{ fontSize: '0.75rem', opacity: 0.7 }}>~${(displayState.user.supplied * qiePrice).toFixed(2)}</p>
+                        <p className="asset-apr">{formatAmount(displayState.user.supplied, { decimals: assetDecimals })} {assetSymbol}</p>
+                        <p className="subtext" style={{ fontSize: '0.75rem', opacity: 0.7 }}>~{formatUsd(displayState.user.supplied, assetPrice, { decimals: assetDecimals })}</p>
           </div>
                   <div>
                     <p className="label">Collateral</p>
@@ -1451,8 +2119,8 @@ function App() {
                 <div className="section-footer">
                   {collateralEnabled ? (
                         <>
-                          <p>Available to borrow: <strong>{(availableToBorrowLive || availableToBorrow || 0).toFixed(2)} QIE</strong> (~${((availableToBorrowLive || availableToBorrow || 0) * qiePrice).toFixed(2)})</p>
-                          <p>Collateral remaining: <strong>{collateralMetrics.remaining.toFixed(2)} QIE</strong></p>
+                          <p>Available to borrow: <strong>{formatAmount(collateralMetrics.remaining, { decimals: assetDecimals })} {assetSymbol}</strong> (~{formatUsd(collateralMetrics.remaining, assetPrice, { decimals: assetDecimals })})</p>
+                          <p>Collateral remaining: <strong>{formatAmount(collateralMetrics.remaining, { decimals: assetDecimals })} {assetSymbol}</strong></p>
                         </>
                   ) : (
                     <p className="liquidation-warning">Enable collateral to borrow</p>
@@ -1463,12 +2131,12 @@ function App() {
               <section className="dashboard-card summary-card">
                 <div className="card-header">
                   <h3>Borrows</h3>
-                      <div className="summary-pill">Borrow Balance {displayState.user.borrowed.toFixed(2)} QIE</div>
+                      <div className="summary-pill">Borrow Balance {formatAmount(displayState.user.borrowed, { decimals: assetDecimals })} {assetSymbol}</div>
                 </div>
                 <div className="summary-grid">
                   <div>
                     <p className="label">Token</p>
-                    <p className="asset-name">QIE</p>
+                    <p className="asset-name">{assetSymbol}</p>
                   </div>
                   <div>
                     <p className="label">APR</p>
@@ -1476,8 +2144,8 @@ function App() {
           </div>
             <div>
                     <p className="label">Balance</p>
-                        <p className="asset-apr">{displayState.user.borrowed.toFixed(2)} QIE</p>
-                        <p className="subtext" style={{ fontSize: '0.75rem', opacity: 0.7 }}>~${(displayState.user.borrowed * qiePrice).toFixed(2)}</p>
+                        <p className="asset-apr">{formatAmount(displayState.user.borrowed, { decimals: assetDecimals })} {assetSymbol}</p>
+                        <p className="subtext" style={{ fontSize: '0.75rem', opacity: 0.7 }}>~{formatUsd(displayState.user.borrowed, assetPrice, { decimals: assetDecimals })}</p>
             </div>
             <div>
                     <p className="label">Health</p>
@@ -1503,15 +2171,16 @@ function App() {
                     <h3>Rewards</h3>
                         <button
                           className="claim-btn"
-                          onClick={claimRewards}
-                          disabled={rewards === 0 || !contractData?.user?.supplied}
+                          onClick={() => reviewAction('claimRewards')}
+                          disabled={rewards === 0n || !contractData?.user?.supplied || Boolean(claimReview)}
                         >
                       Claim
                     </button>
                   </div>
+                  {claimReview && renderTxReview(claimReview)}
                   <div className="rewards-amount">
                     <p className="label">Accumulating</p>
-                        <h2>{rewards.toFixed(2)} QIE</h2>
+                        <h2>{formatAmount(rewards, { decimals: assetDecimals })} {assetSymbol}</h2>
                     <p className="rewards-hint">APR earnings accumulate in real-time based on your supplied assets ({displayState.totals.supplyApy}% APY)</p>
                   </div>
                 </div>
@@ -1535,7 +2204,8 @@ function App() {
             <div className="action-content">
               <div className="amount-input">
                     <input
-                  type="number"
+                  type="text"
+                  inputMode="decimal"
                   placeholder="0.00"
                   value={
                     activeAction === 'supply'
@@ -1546,19 +2216,16 @@ function App() {
                           ? borrowAmount
                           : repayAmount
                   }
-                  onChange={(e) => {
-                    const val = e.target.value
-                    if (activeAction === 'supply') setSupplyAmount(val)
-                    else if (activeAction === 'withdraw') setWithdrawAmount(val)
-                    else if (activeAction === 'borrow') setBorrowAmount(val)
-                    else setRepayAmount(val)
-                  }}
+                  onChange={(e) => setActionAmount(activeAction, e.target.value)}
                 />
-                <p className="muted">QIE</p>
+                <p className="muted">{assetSymbol}</p>
               </div>
+              {getAmountInputError(actionAmounts[activeAction], assetDecimals) && (
+                <p className="liquidation-warning">{getAmountInputError(actionAmounts[activeAction], assetDecimals)}</p>
+              )}
 
               <div className="percent-buttons">
-                {[25, 50, 75, 100].map((pct) => (
+                {[25, 50, 75].map((pct) => (
                   <button
                     key={pct}
                     className="percent-btn"
@@ -1571,46 +2238,57 @@ function App() {
                             : activeAction === 'borrow'
                               ? availableToBorrow
                               : displayState.user.borrowed
-                      const val = (max * pct) / 100
-                      if (activeAction === 'supply') setSupplyAmount(val.toString())
-                      else if (activeAction === 'withdraw') setWithdrawAmount(val.toString())
-                      else if (activeAction === 'borrow') setBorrowAmount(val.toString())
-                      else setRepayAmount(val.toString())
+                      setActionAmount(activeAction, formatAmountInput((max * BigInt(pct)) / 100n, assetDecimals))
                     }}
                   >
                     {pct}%
                   </button>
                 ))}
+                <button className="percent-btn" disabled={!account} onClick={() => fillMaxAmount(activeAction)}>
+                  MAX
+                </button>
               </div>
+              {activeAction === 'repay' && isFullRepay && (
+                <p className="muted">Repays your whole debt including interest up to the block it is mined in; the rest is refunded.</p>
+              )}
 
               <div className="asset-selector">
                     <span>
                       {activeAction === 'supply' ? 'Supply' : 
                        activeAction === 'withdraw' ? 'Withdraw' : 
                        activeAction === 'borrow' ? 'Borrow' : 
-                       'Repay'} QIE
+                       'Repay'} {assetSymbol}
                     </span>
               </div>
 
+              {!marketOpen && primaryMarket && (activeAction === 'supply' || activeAction === 'borrow') && (
+                <p className="liquidation-warning">
+                  The {assetSymbol} market is {MARKET_STATUS_LABELS[primaryMarket.status]?.toLowerCase() || primaryMarket.status}; only withdrawals and repayments are open.
+                </p>
+              )}
+
               <div className="health-preview">
                 <p className="label">Health Factor</p>
                     <p className="health-value">
-                      {displayedHealthFactor.toFixed(1)} → {displayedHealthFactor.toFixed(1)}
+                      {actionPreview
+                        ? `${formatHealthFactor(actionPreview.before.healthFactor)} → ${actionPreview.after ? formatHealthFactor(actionPreview.after.healthFactor) : '—'}`
+                        : `${displayedHealthFactor.toFixed(1)} → ${displayedHealthFactor.toFixed(1)}`}
                     </p>
+                {actionPreview?.error && (
+                  <p className="liquidation-warning">{ACTION_PREVIEW_ERRORS[actionPreview.error] || actionPreview.error}</p>
+                )}
             </div>
 
           <button
                 className="primary wide action-btn" 
                 disabled={
                   !account || 
-                  (activeAction === 'borrow' && (!collateralEnabled || availableToBorrow <= 0))
+                  Boolean(actionReview) ||
+                  Boolean(getAmountInputError(actionAmounts[activeAction], assetDecimals)) ||
+                  (activeAction === 'borrow' && (!collateralEnabled || availableToBorrow <= 0n)) ||
+                  ((activeAction === 'supply' || activeAction === 'borrow') && !marketOpen)
                 }
-                onClick={() => {
-                  if (activeAction === 'supply') handleSupply()
-                  else if (activeAction === 'withdraw') handleWithdraw()
-                  else if (activeAction === 'borrow') handleBorrow()
-                  else handleRepay()
-                }}
+                onClick={() => reviewAction(activeAction)}
               >
                 {activeAction === 'supply'
                   ? 'Deposit'
@@ -1621,11 +2299,25 @@ function App() {
                       : 'Repay'}
           </button>
 
+              {actionReview && renderTxReview(actionReview)}
+
               <div className="action-details">
                 <div className="detail-row">
-                  <span>Balance QIE</span>
-                  <strong>{format(walletBalance)}</strong>
+                  <span>Balance {assetSymbol}</span>
+                  <strong>{formatAmount(walletBalance, { decimals: assetDecimals })}</strong>
                 </div>
+                {primaryMarket?.risk && (
+                  <>
+                    <div className="detail-row">
+                      <span>Max LTV</span>
+                      <strong>{primaryMarket.risk.collateralFactor / 100}%</strong>
+                    </div>
+                    <div className="detail-row">
+                      <span>Liquidation threshold</span>
+                      <strong>{primaryMarket.risk.liquidationThreshold / 100}%</strong>
+                    </div>
+                  </>
+                )}
                 <div className="detail-row">
                   <span>
                     {activeAction === 'supply' || activeAction === 'withdraw' ? 'Supply' : 'Borrow'} APR
@@ -1643,10 +2335,28 @@ function App() {
                   </span>
                   <strong>
                     {activeAction === 'supply' || activeAction === 'withdraw'
-                      ? format(displayState.user.supplied)
-                      : format(displayState.user.borrowed)}
+                      ? formatAmount(displayState.user.supplied, { decimals: assetDecimals })
+                      : formatAmount(displayState.user.borrowed, { decimals: assetDecimals })}
+                    {actionPreview?.after &&
+                      ` → ${formatAmount(activeAction === 'supply' || activeAction === 'withdraw' ? actionPreview.after.supplied : actionPreview.after.borrowed, { decimals: assetDecimals })}`}
                   </strong>
                 </div>
+                {actionPreview?.after && (
+                  <>
+                    <div className="detail-row">
+                      <span>Borrow capacity</span>
+                      <strong>
+                        {formatAmount(actionPreview.before.availableToBorrow, { decimals: assetDecimals })} → {formatAmount(actionPreview.after.availableToBorrow, { decimals: assetDecimals })}
+                      </strong>
+                    </div>
+                    <div className="detail-row">
+                      <span>Supply / Borrow APY</span>
+                      <strong>
+                        {actionPreview.after.supplyApy.toFixed(2)}% / {actionPreview.after.borrowApy.toFixed(2)}%
+                      </strong>
+                    </div>
+                  </>
+                )}
               </div>
             </div>
           </div>
@@ -1663,33 +2373,25 @@ function App() {
             <div className="market-stat">
               <p className="label">Total Market Size</p>
                 <h2>
-                  {displayState.totals.marketSize >= 1000000 
-                    ? `${(displayState.totals.marketSize / 1000000).toFixed(2)}M QIE`
-                    : displayState.totals.marketSize >= 1000
-                    ? `${(displayState.totals.marketSize / 1000).toFixed(2)}K QIE`
-                    : `${displayState.totals.marketSize.toFixed(2)} QIE`}
+                  {formatAmount(displayState.totals.marketSize, { compact: true, decimals: assetDecimals })} {assetSymbol}
                 </h2>
                 <p className="subtext" style={{ fontSize: '0.875rem', opacity: 0.7 }}>
-                  ~${(displayState.totals.marketSize * qiePrice).toLocaleString('en-US', { maximumFractionDigits: 0 })}
+                  ~{formatUsd(displayState.totals.marketSize, assetPrice, { digits: 0, decimals: assetDecimals })}
                 </p>
             </div>
             <div className="market-stat">
               <p className="label">Total Supplied</p>
                 <h2>
-                  {displayState.totals.supply >= 1000000 
-                    ? `${(displayState.totals.supply / 1000000).toFixed(2)}M QIE`
-                    : displayState.totals.supply >= 1000
-                    ? `${(displayState.totals.supply / 1000).toFixed(2)}K QIE`
-                    : `${displayState.totals.supply.toFixed(2)} QIE`}
+                  {formatAmount(displayState.totals.supply, { compact: true, decimals: assetDecimals })} {assetSymbol}
                 </h2>
                 <p className="subtext" style={{ fontSize: '0.875rem', opacity: 0.7 }}>
-                  ~${(displayState.totals.supply * qiePrice).toLocaleString('en-US', { maximumFractionDigits: 0 })}
+                  ~{formatUsd(displayState.totals.supply, assetPrice, { digits: 0, decimals: assetDecimals })}
                 </p>
             </div>
             <div className="market-stat">
               <p className="label">Total Borrowed</p>
-                <h2>{displayState.totals.borrow.toLocaleString('en-US', { maximumFractionDigits: 4 })} QIE</h2>
-                <p className="subtext" style={{ fontSize: '0.875rem', opacity: 0.7 }}>~${(displayState.totals.borrow * qiePrice).toLocaleString('en-US', { maximumFractionDigits: 0 })}</p>
+                <h2>{formatAmount(displayState.totals.borrow, { digits: 4, decimals: assetDecimals })} {assetSymbol}</h2>
+                <p className="subtext" style={{ fontSize: '0.875rem', opacity: 0.7 }}>~{formatUsd(displayState.totals.borrow, assetPrice, { digits: 0, decimals: assetDecimals })}</p>
             </div>
             <div className="market-stat">
               <p className="label">Utilization</p>
@@ -1710,70 +2412,39 @@ function App() {
                 <div className="market-col-minimal price-col">Price</div>
                 <div className="market-col-minimal apr-col">Supply APR</div>
                 <div className="market-col-minimal apr-col">Borrow APR</div>
+                <div className="market-col-minimal ltv-col">Max LTV</div>
                 <div className="market-col-minimal status-col">Status</div>
               </div>
               <div className="markets-body-minimal">
-                {/* QIE - Active Market */}
-                <div className="market-row-minimal active">
-                  <div className="market-col-minimal asset-col">
-                    <div className="asset-info-minimal">
-                      <div>
-                        <p className="asset-name-minimal">QIE</p>
-                        <p className="asset-symbol-minimal">QIE Network</p>
-                      </div>
-                    </div>
-                  </div>
-                  <div className="market-col-minimal price-col">
-                    <strong>${qiePrice.toFixed(4)}</strong>
-                  </div>
-                  <div className="market-col-minimal apr-col">
-                    <strong>{displayState.totals.supplyApy.toFixed(2)}%</strong>
-                  </div>
-                  <div className="market-col-minimal apr-col">
-                    <strong>{displayState.totals.borrowApy.toFixed(2)}%</strong>
-                  </div>
-                  <div className="market-col-minimal status-col">
-                    <span className="status-badge-minimal active">Active</span>
-                  </div>
-                </div>
-
-                {/* Coming Soon Markets */}
-                {[
-                  { symbol: 'SOL', name: 'Solana', supplyApr: 4.5, borrowApr: 7.2 },
-                  { symbol: 'ETH', name: 'Ethereum', supplyApr: 3.8, borrowApr: 6.5 },
-                  { symbol: 'BTC', name: 'Bitcoin', supplyApr: 2.5, borrowApr: 5.8 },
-                  { symbol: 'XRP', name: 'Ripple', supplyApr: 4.2, borrowApr: 7.0 },
-                  { symbol: 'BNB', name: 'Binance Coin', supplyApr: 4.0, borrowApr: 6.8 },
-                ].map((asset) => {
-                  const livePrice = tokenPrices[asset.symbol]
-                  const fallbackPrice = asset.symbol === 'SOL' ? 150.25 : asset.symbol === 'ETH' ? 2450.80 : asset.symbol === 'BTC' ? 43250.00 : asset.symbol === 'XRP' ? 0.62 : 315.50
-                  const displayPrice = livePrice !== null && livePrice !== undefined ? livePrice : fallbackPrice
-                  
+                {markets.map((market) => {
+                  // Rates are only known for the pool this app is connected to
+                  const isPrimary = market === primaryMarket
                   return (
-                    <div key={asset.symbol} className="market-row-minimal coming-soon">
+                    <div key={market.symbol} className={`market-row-minimal ${market.status}`}>
                       <div className="market-col-minimal asset-col">
                         <div className="asset-info-minimal">
                           <div>
-                            <p className="asset-name-minimal">{asset.name}</p>
-                            <p className="asset-symbol-minimal">{asset.symbol}</p>
+                            <p className="asset-name-minimal">{market.name}</p>
+                            <p className="asset-symbol-minimal">{market.symbol}</p>
                           </div>
                         </div>
                       </div>
                       <div className="market-col-minimal price-col">
-                        <strong>
-                          {livePrice !== null && livePrice !== undefined 
-                            ? `$${displayPrice.toLocaleString('en-US', { maximumFractionDigits: 2, minimumFractionDigits: 2 })}`
-                            : `$${displayPrice.toLocaleString('en-US', { maximumFractionDigits: 2, minimumFractionDigits: 2 })}`}
-                        </strong>
+                        {renderMarketPrice(market.oracle, prices[market.oracle], market.priceDigits ?? 2)}
                       </div>
                       <div className="market-col-minimal apr-col">
-                        <strong>{asset.supplyApr.toFixed(2)}%</strong>
+                        <strong>{isPrimary ? `${displayState.totals.supplyApy.toFixed(2)}%` : '—'}</strong>
                       </div>
                       <div className="market-col-minimal apr-col">
-                        <strong>{asset.borrowApr.toFixed(2)}%</strong>
+                        <strong>{isPrimary ? `${displayState.totals.borrowApy.toFixed(2)}%` : '—'}</strong>
+                      </div>
+                      <div className="market-col-minimal ltv-col">
+                        <strong>{market.risk ? `${market.risk.collateralFactor / 100}%` : '—'}</strong>
                       </div>
                       <div className="market-col-minimal status-col">
-                        <span className="status-badge-minimal coming-soon">Coming Soon</span>
+                        <span className={`status-badge-minimal ${market.status}`}>
+                          {MARKET_STATUS_LABELS[market.status] || market.status}
+                        </span>
                       </div>
                     </div>
                   )
@@ -1781,6 +2452,97 @@ function App() {
               </div>
             </div>
           </div>
+          <div className="portfolio-summary-card glass rate-curve-card">
+            <div className="rate-curve-header">
+              <h3>{assetSymbol} Interest Rate Model</h3>
+              <div className="rate-curve-readout">
+                <span>
+                  {rateCurveHover === null ? 'Current' : 'At'} {(rateCurveFocus.utilizationBps / 100).toFixed(0)}% utilization
+                </span>
+                <span className="borrow">Borrow APR {rateCurveFocus.borrowApr.toFixed(2)}%</span>
+                <span className="supply">Supply APR {rateCurveFocus.supplyApr.toFixed(2)}%</span>
+              </div>
+            </div>
+            <svg
+              className="rate-curve-chart"
+              viewBox={`0 0 ${RATE_CHART.width} ${RATE_CHART.height}`}
+              onMouseMove={handleRateCurveHover}
+              onMouseLeave={() => setRateCurveHover(null)}
+            >
+              {rateCurve.aprTicks.map((apr) => (
+                <g key={apr}>
+                  <line
+                    className="grid-line"
+                    x1={RATE_CHART.padLeft}
+                    x2={RATE_CHART.width - RATE_CHART.padRight}
+                    y1={rateCurve.y(apr)}
+                    y2={rateCurve.y(apr)}
+                  />
+                  <text className="axis-label" x={RATE_CHART.padLeft - 8} y={rateCurve.y(apr) + 4} textAnchor="end">
+                    {apr.toFixed(0)}%
+                  </text>
+                </g>
+              ))}
+              {[0, 2500, 5000, 7500, 10000].map((bps) => (
+                <text
+                  key={bps}
+                  className="axis-label"
+                  x={rateCurve.x(bps)}
+                  y={RATE_CHART.height - RATE_CHART.padBottom + 18}
+                  textAnchor="middle"
+                >
+                  {bps / 100}%
+                </text>
+              ))}
+
+              <line
+                className="kink-line"
+                x1={rateCurve.x(rateCurve.kinkBps)}
+                x2={rateCurve.x(rateCurve.kinkBps)}
+                y1={RATE_CHART.padTop}
+                y2={RATE_CHART.height - RATE_CHART.padBottom}
+              />
+              <text className="axis-label" x={rateCurve.x(rateCurve.kinkBps) - 6} y={RATE_CHART.padTop + 10} textAnchor="end">
+                Kink {rateCurve.kinkBps / 100}%
+              </text>
+
+              <path className="rate-line borrow" d={rateCurve.borrowPath} />
+              <path className="rate-line supply" d={rateCurve.supplyPath} />
+
+              <line
+                className="current-line"
+                x1={rateCurve.x(rateCurveFocus.currentBps)}
+                x2={rateCurve.x(rateCurveFocus.currentBps)}
+                y1={RATE_CHART.padTop}
+                y2={RATE_CHART.height - RATE_CHART.padBottom}
+              />
+              {rateCurveHover !== null && (
+                <line
+                  className="hover-line"
+                  x1={rateCurve.x(rateCurveFocus.utilizationBps)}
+                  x2={rateCurve.x(rateCurveFocus.utilizationBps)}
+                  y1={RATE_CHART.padTop}
+                  y2={RATE_CHART.height - RATE_CHART.padBottom}
+                />
+              )}
+              <circle
+                className="rate-dot borrow"
+                cx={rateCurve.x(rateCurveFocus.utilizationBps)}
+                cy={rateCurve.y(rateCurveFocus.borrowApr)}
+                r="4"
+              />
+              <circle
+                className="rate-dot supply"
+                cx={rateCurve.x(rateCurveFocus.utilizationBps)}
+                cy={rateCurve.y(rateCurveFocus.supplyApr)}
+                r="4"
+              />
+            </svg>
+            <p className="rate-curve-note">
+              Current utilization is {utilization.toFixed(1)}%. Past the {rateCurve.kinkBps / 100}% kink the borrow rate
+              climbs {rateCurve.jumpRatio.toFixed(0)}x faster, to draw in repayments and new supply.
+            </p>
+          </div>
         </div>
       )}
 
@@ -1799,10 +2561,10 @@ function App() {
                   <div className="summary-section">
                     <h4 className="summary-section-title">Wallet Assets</h4>
                     <div className="summary-row">
-                      <span>QIE</span>
+                      <span>{assetSymbol}</span>
                       <div className="summary-value">
-                        <strong>{walletBalance.toFixed(2)} QIE</strong>
-                        <span className="summary-usd">~${(walletBalance * qiePrice).toFixed(2)}</span>
+                        <strong>{formatAmount(walletBalance, { decimals: assetDecimals })} {assetSymbol}</strong>
+                        <span className="summary-usd">~{formatUsd(walletBalance, assetPrice, { decimals: assetDecimals })}</span>
                       </div>
                     </div>
                   </div>
@@ -1810,10 +2572,10 @@ function App() {
                   <div className="summary-section">
                     <h4 className="summary-section-title">Supplied</h4>
                     <div className="summary-row">
-                      <span>QIE Supplied</span>
+                      <span>{assetSymbol} Supplied</span>
                       <div className="summary-value">
-                        <strong>{displayState.user.supplied.toFixed(2)} QIE</strong>
-                        <span className="summary-usd">~${(displayState.user.supplied * qiePrice).toFixed(2)}</span>
+                        <strong>{formatAmount(displayState.user.supplied, { decimals: assetDecimals })} {assetSymbol}</strong>
+                        <span className="summary-usd">~{formatUsd(displayState.user.supplied, assetPrice, { decimals: assetDecimals })}</span>
                       </div>
                     </div>
                     <div className="summary-row">
@@ -1822,17 +2584,17 @@ function App() {
                     </div>
                     <div className="summary-row">
                       <span>Rewards</span>
-                      <strong>{rewards.toFixed(2)} QIE</strong>
+                      <strong>{formatAmount(rewards, { decimals: assetDecimals })} {assetSymbol}</strong>
                     </div>
                   </div>
 
                   <div className="summary-section">
                     <h4 className="summary-section-title">Borrowed</h4>
                     <div className="summary-row">
-                      <span>QIE Borrowed</span>
+                      <span>{assetSymbol} Borrowed</span>
                       <div className="summary-value">
-                        <strong>{displayState.user.borrowed.toFixed(2)} QIE</strong>
-                        <span className="summary-usd">~${(displayState.user.borrowed * qiePrice).toFixed(2)}</span>
+                        <strong>{formatAmount(displayState.user.borrowed, { decimals: assetDecimals })} {assetSymbol}</strong>
+                        <span className="summary-usd">~{formatUsd(displayState.user.borrowed, assetPrice, { decimals: assetDecimals })}</span>
                       </div>
                     </div>
                     <div className="summary-row">
@@ -1845,13 +2607,13 @@ function App() {
                     <h4 className="summary-section-title">Overview</h4>
                     <div className="summary-row">
                       <span>Total Value</span>
-                      <strong>${((walletBalance + displayState.user.supplied - displayState.user.borrowed) * qiePrice).toFixed(2)}</strong>
+                      <strong>{formatUsd(walletBalance + displayState.user.supplied - displayState.user.borrowed, assetPrice, { decimals: assetDecimals })}</strong>
                     </div>
                     <div className="summary-row">
                       <span>Available to Borrow</span>
                       <div className="summary-value">
-                        <strong>{(availableToBorrowLive || availableToBorrow || 0).toFixed(2)} QIE</strong>
-                        <span className="summary-usd">~${((availableToBorrowLive || availableToBorrow || 0) * qiePrice).toFixed(2)}</span>
+                        <strong>{formatAmount(collateralMetrics.remaining, { decimals: assetDecimals })} {assetSymbol}</strong>
+                        <span className="summary-usd">~{formatUsd(collateralMetrics.remaining, assetPrice, { decimals: assetDecimals })}</span>
                       </div>
                     </div>
                     <div className="summary-row">
@@ -1882,9 +2644,73 @@ function App() {
         <section className="card">
           <div className="section-heading">
             <h2>Points Leaderboard</h2>
-            <span className="pill neutral">Season 1</span>
+            <span className="pill neutral">{activeSeason ? activeSeason.name : 'Off-season'}</span>
           </div>
-          <p className="hint">Earn points by supplying and borrowing QIE. Points start at 0 when you connect.</p>
+          <p className="hint">Earn points for every second you supply or borrow QIE. Every wallet that has supplied or borrowed is ranked.</p>
+          {seasons.length > 0 && (
+            <div className="season-tabs">
+              <button
+                className={`tab-btn ${selectedSeason === 'all' ? 'active' : ''}`}
+                onClick={() => setSelectedSeason('all')}
+              >
+                All time
+              </button>
+              {seasons.map((season) => (
+                <button
+                  key={season.id}
+                  className={`tab-btn ${selectedSeason === season.id ? 'active' : ''}`}
+                  onClick={() => setSelectedSeason(season.id)}
+                  disabled={season.status === 'upcoming'}
+                >
+                  {season.name} · {season.status}
+                </button>
+              ))}
+            </div>
+          )}
+          {selectedSeason !== 'all' && seasons[selectedSeason] && (
+            <p className="hint">
+              {new Date(seasons[selectedSeason].start * 1000).toLocaleDateString()} – {new Date(seasons[selectedSeason].end * 1000).toLocaleDateString()}
+              {' • '}{seasons[selectedSeason].supplyPointsPerDay} pts/QIE/day supplied, {seasons[selectedSeason].borrowPointsPerDay} pts/QIE/day borrowed
+              {seasons[selectedSeason].status === 'closed' && ' • Final standings'}
+            </p>
+          )}
+          {accountRank && (
+            <p className="hint">
+              Your rank: #{accountRank} of {computedLeaderboard.length} • {format(computedLeaderboard[accountRank - 1].points)} points
+            </p>
+          )}
+          {accountSeasonRanks.length > 0 && (
+            <div className="season-ranks">
+              {accountSeasonRanks.map(({ season, rank, points: seasonPoints, total }) => (
+                <span key={season.id} className="pill ghost">
+                  {season.name}: {rank ? `#${rank} of ${total}` : 'unranked'} • {format(seasonPoints)} pts
+                </span>
+              ))}
+            </div>
+          )}
+          {rewardClaim && (
+            <div className="dashboard-card rewards-card season-reward">
+              <div className="rewards-header">
+                <h3>Season {rewardClaim.seasonId + 1} Rewards</h3>
+                <button
+                  className="claim-btn"
+                  onClick={handleClaimSeasonReward}
+                  disabled={rewardClaim.claimed || isClaimingReward}
+                >
+                  {rewardClaim.claimed ? 'Claimed' : isClaimingReward ? 'Claiming…' : 'Claim'}
+                </button>
+              </div>
+              <div className="rewards-amount">
+                <p className="label">{rewardClaim.claimed ? 'Claimed' : 'Claimable'}</p>
+                <h2>{formatAmount(rewardClaim.amount, { decimals: rewardClaim.tokenDecimals })} {rewardClaim.tokenSymbol}</h2>
+                <p className="rewards-hint">
+                  Your share of the Season {rewardClaim.seasonId + 1} reward pool, based on your final season points.
+                  {rewardClaim.claimDeadline && ` Claim by ${new Date(rewardClaim.claimDeadline * 1000).toLocaleDateString()}.`}
+                </p>
+              </div>
+            </div>
+          )}
+          {isSyncingLeaderboard && <p className="hint">Syncing leaderboard…</p>}
           <div className="leaderboard-table">
             <div className="leaderboard-header">
               <div className="leaderboard-col rank-col">Rank</div>
@@ -1893,10 +2719,10 @@ function App() {
             </div>
             <div className="leaderboard-body">
               {computedLeaderboard.map((entry) => {
-                const truncatedAddress = entry.address === 'You' ? 'You' : entry.address
+                const truncatedAddress = account && entry.fullAddress === account.toLowerCase() ? 'You' : entry.address
                 const isHighlighted = entry.rank === 1
                 return (
-                  <div key={`${entry.address}-${entry.rank}`} className={`leaderboard-row ${isHighlighted ? 'highlighted' : ''}`}>
+                  <div key={entry.fullAddress} className={`leaderboard-row ${isHighlighted ? 'highlighted' : ''}`}>
                     <div className="leaderboard-col rank-col">{entry.rank}</div>
                     <div className="leaderboard-col address-col">{truncatedAddress}</div>
                     <div className="leaderboard-col points-col">{format(entry.points)}</div>
@@ -1908,9 +2734,360 @@ function App() {
         </section>
       )}
 
+      {activePage === 'history' && (
+        <section className="card">
+          <div className="section-heading">
+            <h2>Transaction History</h2>
+            {account && (
+              <button className="ghost small" onClick={() => loadHistory()} disabled={isLoadingHistory}>
+                Refresh
+              </button>
+            )}
+          </div>
+          {!account ? (
+            <p className="hint">Connect your wallet to view your transaction history.</p>
+          ) : (
+            <>
+              <div className="leaderboard-table">
+                <div className="leaderboard-header history-grid">
+                  <div className="leaderboard-col">Action</div>
+                  <div className="leaderboard-col">Amount</div>
+                  <div className="leaderboard-col">Time</div>
+                  <div className="leaderboard-col">Transaction</div>
+                </div>
+                <div className="leaderboard-body">
+                  {historyEntries.map((entry) => (
+                    <div key={entry.id} className="leaderboard-row history-grid">
+                      <div className="leaderboard-col">
+                        {HISTORY_LABELS[entry.type] || entry.type}
+                        {entry.type === 'Liquidate' && (
+                          <p className="history-detail">
+                            {entry.role === 'liquidator' ? 'You liquidated' : 'Liquidated by'} {formatAddress(entry.counterparty)}
+                          </p>
+                        )}
+                      </div>
+                      <div className="leaderboard-col">
+                        {entry.type === 'CollateralToggled'
+                          ? entry.enabled ? 'Enabled' : 'Disabled'
+                          : `${formatAmount(entry.amount, { digits: 4, decimals: assetDecimals })} ${assetSymbol}`}
+                        {entry.type === 'Liquidate' && (
+                          <p className="history-detail">
+                            Seized {formatAmount(entry.seizeAmount, { digits: 4, decimals: assetDecimals })} {assetSymbol}
+                          </p>
+                        )}
+                      </div>
+                      <div className="leaderboard-col">
+                        {entry.timestamp ? new Date(entry.timestamp * 1000).toLocaleString() : `Block ${entry.blockNumber}`}
+                      </div>
+                      <div className="leaderboard-col">
+                        <a href={getExplorerTxUrl(entry.txHash)} target="_blank" rel="noopener noreferrer">
+                          {formatAddress(entry.txHash)}
+                        </a>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+              {!isLoadingHistory && historyEntries.length === 0 && (
+                <p className="hint">No transactions found for this account.</p>
+              )}
+              {isLoadingHistory && <p className="hint">Loading history…</p>}
+              {!isLoadingHistory && historyCursor !== null && (
+                <button className="ghost small" onClick={() => loadHistory(historyCursor)}>
+                  Load more
+                </button>
+              )}
+            </>
+          )}
+        </section>
+      )}
+
+      {activePage === 'liquidations' && (
+        <section className="card">
+          <div className="section-heading">
+            <h2>Liquidations</h2>
+            <button className="ghost small" onClick={scanBorrowers} disabled={isScanningBorrowers}>
+              Refresh
+            </button>
+          </div>
+          <p className="hint">
+            Positions with a health factor below 1.0 can be liquidated. Repay part of the borrower's debt and receive
+            that amount of their supplied {assetSymbol} plus a {liquidationBonus / 100}% bonus.
+          </p>
+          <div className="leaderboard-table">
+            <div className="leaderboard-header liquidation-grid">
+              <div className="leaderboard-col">Borrower</div>
+              <div className="leaderboard-col">Supplied</div>
+              <div className="leaderboard-col">Borrowed</div>
+              <div className="leaderboard-col">Health Factor</div>
+              <div className="leaderboard-col"></div>
+            </div>
+            <div className="leaderboard-body">
+              {liquidationPositions.map((position) => {
+                const isOwnPosition = account && position.address === account.toLowerCase()
+                return (
+                  <div
+                    key={position.address}
+                    className={`leaderboard-row liquidation-grid ${position.address === liquidationTarget ? 'highlighted' : ''}`}
+                  >
+                    <div className="leaderboard-col">{isOwnPosition ? 'You' : formatAddress(position.address)}</div>
+                    <div className="leaderboard-col">{formatAmount(position.supplied, { decimals: assetDecimals })} {assetSymbol}</div>
+                    <div className="leaderboard-col">{formatAmount(position.borrowed, { decimals: assetDecimals })} {assetSymbol}</div>
+                    <div className={`leaderboard-col ${position.liquidatable ? 'liquidation-warning' : ''}`}>
+                      {position.healthFactor >= protocolMath.MAX_UINT256
+                        ? 'No collateral'
+                        : formatHealthFactor(position.healthFactor, 3)}
+                    </div>
+                    <div className="leaderboard-col">
+                      <button
+                        className="ghost small"
+                        disabled={!account || !position.liquidatable || isOwnPosition}
+                        onClick={() => {
+                          setLiquidationTarget(position.address)
+                          setLiquidationAmount(formatAmountInput(position.borrowed, assetDecimals))
+                        }}
+                      >
+                        Liquidate
+                      </button>
+                    </div>
+                  </div>
+                )
+              })}
+            </div>
+          </div>
+          {isScanningBorrowers && <p className="hint">Scanning borrowers…</p>}
+          {!isScanningBorrowers && liquidationPositions.length === 0 && (
+            <p className="hint">No open borrow positions found.</p>
+          )}
+          {!account && <p className="hint">Connect your wallet to liquidate positions.</p>}
+
+          {selectedLiquidation && liquidationPreview && (
+            <div className="dashboard-card liquidation-panel">
+              <div className="card-header">
+                <h3>Liquidate {formatAddress(selectedLiquidation.address)}</h3>
+                <button className="ghost small" onClick={() => setLiquidationTarget(null)}>
+                  Cancel
+                </button>
+              </div>
+              <div className="amount-input">
+                <input
+                  type="text"
+                  inputMode="decimal"
+                  placeholder="0.00"
+                  value={liquidationAmount}
+                  onChange={(e) => setLiquidationAmount(e.target.value)}
+                />
+                <p className="muted">{assetSymbol}</p>
+              </div>
+              {getAmountInputError(liquidationAmount, assetDecimals) && (
+                <p className="liquidation-warning">{getAmountInputError(liquidationAmount, assetDecimals)}</p>
+              )}
+              <div className="percent-buttons">
+                {[25, 50, 75, 100].map((pct) => (
+                  <button
+                    key={pct}
+                    className="percent-btn"
+                    onClick={() => setLiquidationAmount(formatAmountInput((selectedLiquidation.borrowed * BigInt(pct)) / 100n, assetDecimals))}
+                  >
+                    {pct}%
+                  </button>
+                ))}
+              </div>
+              <div className="action-details">
+                <div className="detail-row">
+                  <span>Debt repaid</span>
+                  <strong>{formatAmount(liquidationPreview.repay, { decimals: assetDecimals })} {assetSymbol}</strong>
+                </div>
+                <div className="detail-row">
+                  <span>Liquidation bonus ({liquidationBonus / 100}%)</span>
+                  <strong>{formatAmount(liquidationPreview.bonus, { decimals: assetDecimals })} {assetSymbol}</strong>
+                </div>
+                <div className="detail-row">
+                  <span>You receive</span>
+                  <strong>{formatAmount(liquidationPreview.seize, { decimals: assetDecimals })} {assetSymbol}</strong>
+                </div>
+              </div>
+              {liquidationPreview.excess > 0n && (
+                <p className="hint">Only the borrower's debt of {formatAmount(selectedLiquidation.borrowed, { decimals: assetDecimals })} {assetSymbol} will be sent.</p>
+              )}
+              {!liquidationPreview.sufficientCollateral && (
+                <p className="liquidation-warning">The borrower does not have enough collateral to cover this amount plus the bonus. Try a smaller amount.</p>
+              )}
+              <button
+                className="primary wide action-btn"
+                disabled={isLiquidating || liquidationPreview.repay <= 0n || !liquidationPreview.sufficientCollateral}
+                onClick={handleLiquidate}
+              >
+                {isLiquidating ? 'Liquidating…' : 'Liquidate'}
+              </button>
+            </div>
+          )}
+        </section>
+      )}
+
+      {activePage === 'analytics' && (
+        <section className="card">
+          <div className="section-heading">
+            <h2>Protocol Analytics</h2>
+            <div className="analytics-actions">
+              <button className="ghost small" onClick={exportAnalyticsCsv} disabled={!analyticsSeries}>
+                Export CSV
+              </button>
+              <button className="ghost small" onClick={loadAnalytics} disabled={isLoadingAnalytics}>
+                Refresh
+              </button>
+            </div>
+          </div>
+          <p className="hint">
+            Rebuilt from on-chain InterestAccrued, Supply, Withdraw, Borrow, Repay and Liquidate events. Values are recorded
+            at every block that changed them.
+          </p>
+          <div className="season-tabs">
+            {ANALYTICS_RANGES.map((range) => (
+              <button
+                key={range.key}
+                className={`tab-btn ${analyticsRange === range.key ? 'active' : ''}`}
+                onClick={() => setAnalyticsRange(range.key)}
+              >
+                {range.label}
+              </button>
+            ))}
+          </div>
+
+          {isLoadingAnalytics && !analyticsSeries && <p className="hint">Loading protocol history…</p>}
+          {!isLoadingAnalytics && !analyticsSeries && <p className="hint">No protocol activity recorded yet.</p>}
+
+          {analyticsSeries && analyticsFocus && (
+            <>
+              <p className="hint">
+                {analyticsHover === null ? 'Latest' : 'At'}: {new Date(analyticsFocus.timestamp * 1000).toLocaleString()} · Block{' '}
+                {analyticsFocus.blockNumber}
+              </p>
+              <div className="analytics-grid">
+                {analyticsSeries.charts.map((chart) => (
+                  <div key={chart.key} className="dashboard-card analytics-chart">
+                    <div className="card-header">
+                      <h3>{chart.label}</h3>
+                      <span className="analytics-value">
+                        {analyticsFocus[chart.key].toLocaleString('en-US', { maximumFractionDigits: chart.digits })}
+                        {chart.unit && ` ${chart.unit}`}
+                      </span>
+                    </div>
+                    <p className={`analytics-change ${chart.change >= 0 ? 'up' : 'down'}`}>
+                      {chart.change >= 0 ? '+' : ''}
+                      {chart.change.toLocaleString('en-US', { maximumFractionDigits: chart.digits })}
+                      {chart.unit && ` ${chart.unit}`} over {ANALYTICS_RANGES.find((range) => range.key === analyticsRange).label}
+                    </p>
+                    <svg
+                      viewBox={`0 0 ${ANALYTICS_CHART.width} ${ANALYTICS_CHART.height}`}
+                      onMouseMove={handleAnalyticsHover}
+                      onMouseLeave={() => setAnalyticsHover(null)}
+                    >
+                      {[chart.min, (chart.min + chart.top) / 2, chart.top].map((value) => (
+                        <g key={value}>
+                          <line
+                            className="grid-line"
+                            x1={ANALYTICS_CHART.padLeft}
+                            x2={ANALYTICS_CHART.width - ANALYTICS_CHART.padRight}
+                            y1={chart.y(value)}
+                            y2={chart.y(value)}
+                          />
+                          <text className="axis-label" x={ANALYTICS_CHART.padLeft - 6} y={chart.y(value) + 4} textAnchor="end">
+                            {value.toLocaleString('en-US', { maximumFractionDigits: chart.key.endsWith('Index') ? 4 : 1 })}
+                          </text>
+                        </g>
+                      ))}
+                      {[analyticsSeries.start, analyticsSeries.now].map((timestamp, i) => (
+                        <text
+                          key={timestamp}
+                          className="axis-label"
+                          x={analyticsSeries.x(timestamp)}
+                          y={ANALYTICS_CHART.height - 6}
+                          textAnchor={i ? 'end' : 'start'}
+                        >
+                          {new Date(timestamp * 1000).toLocaleDateString()}
+                        </text>
+                      ))}
+                      <path className="series-line" d={chart.path} />
+                      {analyticsHover !== null && (
+                        <line
+                          className="hover-line"
+                          x1={analyticsSeries.x(analyticsHover)}
+                          x2={analyticsSeries.x(analyticsHover)}
+                          y1={ANALYTICS_CHART.padTop}
+                          y2={ANALYTICS_CHART.height - ANALYTICS_CHART.padBottom}
+                        />
+                      )}
+                    </svg>
+                  </div>
+                ))}
+              </div>
+            </>
+          )}
+        </section>
+      )}
+
+      {trackedTxs.length > 0 && (
+        <div className="tx-tray">
+          {trackedTxs.map((entry) => {
+            const final = ['confirmed', 'failed', 'replaced', 'dropped'].includes(entry.status.stage)
+            return (
+              <div key={entry.id} className={`tx-tray-item ${entry.status.stage}`}>
+                <div className="tx-tray-info">
+                  <strong>
+                    {TX_ACTION_LABELS[entry.action] || entry.action}
+                    {entry.amount !== null && ` ${formatAmount(entry.amount, { digits: 4, decimals: entry.decimals })}`}
+                  </strong>
+                  <span>{describeTxStage(entry.status)}</span>
+                  {entry.status.hash && (
+                    <a href={getExplorerTxUrl(entry.status.hash)} target="_blank" rel="noopener noreferrer">
+                      {formatAddress(entry.status.hash)}
+                    </a>
+                  )}
+                </div>
+                {entry.status.stage === 'submitted' && (
+                  <div className="tx-tray-actions">
+                    <button
+                      className="ghost small"
+                      onClick={() => replaceTrackedTx(entry, 'speedUp')}
+                      disabled={entry.isReplacing}
+                    >
+                      Speed up
+                    </button>
+                    <button
+                      className="ghost small"
+                      onClick={() => replaceTrackedTx(entry, 'cancel')}
+                      disabled={entry.isReplacing}
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                )}
+                {final && (
+                  <button className="tx-tray-dismiss" onClick={() => dismissTrackedTx(entry.id)} aria-label="Dismiss">
+                    ×
+                  </button>
+                )}
+              </div>
+            )
+          })}
+        </div>
+      )}
+
       <footer className="app-footer">
         <div className="footer-left">
           <span>© 2025 QieLend All rights reserved</span>
+          <span
+            className={`rpc-status ${rpcStatus.available ? 'online' : 'offline'}`}
+            title={rpcStatus.endpoints
+              .map((endpoint) =>
+                `${endpoint.url}: ${endpoint.healthy ? `${endpoint.latency ?? '–'}ms` : `down (${endpoint.failures} failures${endpoint.lastError ? `, ${endpoint.lastError}` : ''})`}`
+              )
+              .join('\n')}
+          >
+            RPC {new URL(rpcStatus.current).host}
+            {rpcStatus.latency !== null && ` · ${rpcStatus.latency}ms`}
+          </span>
         </div>
         <div className="footer-right">
           <a href="https://t.me/qielend" target="_blank" rel="noopener noreferrer">Telegram</a>
@@ -1,76 +1,93 @@
 import { ethers } from 'ethers';
 import QieLendNativeABI from '../contracts/QieLendNativeABI.json';
+import QieLendABI from '../contracts/QieLendABI.json';
 import PointsCalculatorABI from '../contracts/PointsCalculatorABI.json';
-
-// Contract address - set via environment variable or update here
-const CONTRACT_ADDRESS = import.meta.env.VITE_QIE_CONTRACT_ADDRESS || '0x0000000000000000000000000000000000000000';
-const POINTS_CONTRACT_ADDRESS = import.meta.env.VITE_POINTS_CALCULATOR_ADDRESS || '0x0000000000000000000000000000000000000000';
+import MerkleDistributorABI from '../contracts/MerkleDistributorABI.json';
+import Multicall3ABI from '../contracts/Multicall3ABI.json';
+import QieLendPoolABI from '../contracts/QieLendPoolABI.json';
+import * as protocolMath from './protocolMath.js';
+import { toDisplayNumber, QIE_DECIMALS } from './format.js';
+import { getPrice } from './oracle.js';
+import { MARKETS, getPrimaryMarket } from './markets.js';
 
 // ============================================================================
-// ORACLE CONTRACT ADDRESSES
-// ============================================================================
-// QIE Oracle contract address (can be overridden via environment variable)
-// Uses Chainlink AggregatorV3Interface
-// QIE/USDT price feed address on QIE Mainnet
-const QIE_ORACLE_ADDRESS = import.meta.env.VITE_QIE_ORACLE_ADDRESS || '0x3Bc617cF3A4Bb77003e4c556B87b13D556903D17';
-
-// Token Oracle addresses (Chainlink AggregatorV3Interface compatible)
-// These can be overridden via environment variables in .env file
-const TOKEN_ORACLES = {
-  // Bitcoin (BTC) Oracle Address
-  BTC: import.meta.env.VITE_BTC_ORACLE_ADDRESS || '0x9E596d809a20A272c788726f592c0d1629755440',
-  
-  // Ethereum (ETH) Oracle Address
-  ETH: import.meta.env.VITE_ETH_ORACLE_ADDRESS || '0x4bb7012Fbc79fE4Ae9B664228977b442b385500d',
-  
-  // Ripple (XRP) Oracle Address
-  XRP: import.meta.env.VITE_XRP_ORACLE_ADDRESS || '0x804582B1f8Fea73919e7c737115009f668f97528',
-  
-  // Solana (SOL) Oracle Address
-  SOL: import.meta.env.VITE_SOL_ORACLE_ADDRESS || '0xe86999c8e6C8eeF71bebd35286bCa674E0AD7b21',
-  
-  // Binance Coin (BNB) Oracle Address
-  BNB: import.meta.env.VITE_BNB_ORACLE_ADDRESS || '0x775A56117Fdb8b31877E75Ceeb68C96765b031e6',
-  
-  // Tether Gold (XAUt) Oracle Address
-  XAUt: import.meta.env.VITE_XAUT_ORACLE_ADDRESS || '0x9aD0199a67588ee293187d26bA1BE61cb07A214c',
-};
+// MARKET ADAPTERS
 // ============================================================================
-const QIE_ORACLE_ABI = [
-  {
-    inputs: [],
-    name: 'latestRoundData',
-    outputs: [
-      { internalType: 'uint80', name: 'roundId', type: 'uint80' },
-      { internalType: 'int256', name: 'answer', type: 'int256' },
-      { internalType: 'uint256', name: 'startedAt', type: 'uint256' },
-      { internalType: 'uint256', name: 'updatedAt', type: 'uint256' },
-      { internalType: 'uint80', name: 'answeredInRound', type: 'uint80' },
-    ],
-    stateMutability: 'view',
-    type: 'function',
-  },
-  {
-    inputs: [{ internalType: 'uint80', name: '_roundId', type: 'uint80' }],
-    name: 'getRoundData',
-    outputs: [
-      { internalType: 'uint80', name: 'roundId', type: 'uint80' },
-      { internalType: 'int256', name: 'answer', type: 'int256' },
-      { internalType: 'uint256', name: 'startedAt', type: 'uint256' },
-      { internalType: 'uint256', name: 'updatedAt', type: 'uint256' },
-      { internalType: 'uint80', name: 'answeredInRound', type: 'uint80' },
-    ],
-    stateMutability: 'view',
-    type: 'function',
+// The single-asset functions in this module operate one market at a time: the lending
+// market selected with setLendingMarket, which the dashboard sets to its primary market
+// from markets.js getMarkets(). The market's pool is the lending contract, and its
+// `type` picks the adapter: native QIE is sent as the transaction value, while an ERC20
+// is pulled with transferFrom and needs an allowance first (see approve()).
+
+// Per market type: the contract ABI, whether the contract divides by the account's
+// borrow index, and [method, args, overrides] for each call that moves the asset into
+// the contract
+const MARKET_ADAPTERS = {
+  native: {
+    abi: QieLendNativeABI,
+    needsBorrowIndex: false,
+    supply: (amount) => ['supplyNative', [], { value: amount }],
+    repay: (amount) => ['repay', [], { value: amount }],
+    repayAll: (amount) => ['repayAll', [], { value: amount }],
+    liquidate: (borrower, amount) => ['liquidate', [borrower], { value: amount }],
   },
-  {
-    inputs: [],
-    name: 'decimals',
-    outputs: [{ internalType: 'uint8', name: '', type: 'uint8' }],
-    stateMutability: 'view',
-    type: 'function',
+  erc20: {
+    abi: QieLendABI,
+    // QieLend divides by the account's borrow index, which only a borrow sets, so
+    // borrow(), repay() and its borrow views revert for an account that never borrowed
+    needsBorrowIndex: true,
+    supply: (amount) => ['supply', [amount], {}],
+    repay: (amount) => ['repay', [amount], {}],
+    // repay() only pulls the current debt, so passing more than the debt repays it all
+    repayAll: (amount) => ['repay', [amount], {}],
+    liquidate: (borrower, amount) => ['liquidate', [borrower, amount], {}],
   },
-];
+};
+
+// Selected lending market, its pool address and adapter
+let lendingMarket = null;
+let contractAddress = '0x0000000000000000000000000000000000000000';
+let adapter = MARKET_ADAPTERS.native;
+
+/**
+ * Select the market the single-asset functions operate. Its pool becomes the lending
+ * contract, and its `type` (markets.js MARKET_TYPES) picks the adapter.
+ * @param {Object|null} market - A markets.js market, e.g. getPrimaryMarket(await getMarkets())
+ * @returns {boolean} Whether the pool, type or asset changed, so market data must be reloaded
+ */
+export function setLendingMarket(market) {
+  const type = market?.type || 'native';
+  if (!MARKET_ADAPTERS[type]) {
+    throw new Error(`Unknown market type "${type}" for market ${market.symbol}`);
+  }
+  const changed =
+    market?.pool !== lendingMarket?.pool ||
+    type !== (lendingMarket?.type || 'native') ||
+    market?.asset?.address !== lendingMarket?.asset?.address;
+
+  lendingMarket = market;
+  contractAddress = market?.pool || '0x0000000000000000000000000000000000000000';
+  adapter = MARKET_ADAPTERS[type];
+  return changed;
+}
+
+/**
+ * The market selected with setLendingMarket
+ */
+export function getLendingMarket() {
+  return lendingMarket;
+}
+
+// Decimals of the selected market's asset (markets.js requires or reads them)
+const assetDecimals = () => lendingMarket?.asset?.decimals ?? QIE_DECIMALS;
+
+// Until the app selects one, operate the primary market of src/config/markets.json
+setLendingMarket(getPrimaryMarket(MARKETS));
+
+// Whether the selected market's asset is an ERC20 the contract pulls from the wallet
+const pullsTokens = () => adapter !== MARKET_ADAPTERS.native;
+
+const POINTS_CONTRACT_ADDRESS = import.meta.env.VITE_POINTS_CALCULATOR_ADDRESS || '0x0000000000000000000000000000000000000000';
 
 const ensureEthersProvider = (provider) => {
   if (!provider) throw new Error('Provider is required');
@@ -99,11 +116,12 @@ const getRawProvider = (provider) => {
 };
 
 /**
- * Get contract instance with signer (for transactions)
+ * Get the wallet's signer, checking it is `accountAddress` when one is given. Shared by
+ * every contract that sends transactions, so it does not depend on any of them.
  * @param {Object} provider - The ethers provider
  * @param {string} [accountAddress] - Optional account address (required for QIE Wallet)
  */
-export async function getContractWithSigner(provider, accountAddress = null) {
+async function getSigner(provider, accountAddress = null) {
   const ethersProvider = ensureEthersProvider(provider);
 
   // For QIE Wallet: verify provider's current account matches expected address
@@ -133,7 +151,7 @@ export async function getContractWithSigner(provider, accountAddress = null) {
       
       // Account matches, use the current signer
       console.log('Account verified, using signer for:', currentAddressLower);
-      return new ethers.Contract(CONTRACT_ADDRESS, QieLendNativeABI, currentSigner);
+      return currentSigner;
     } catch (error) {
       // If getSigner/getAddress fails, try JsonRpcSigner as fallback
       console.warn('Failed to verify provider account, trying JsonRpcSigner fallback:', error);
@@ -147,7 +165,7 @@ export async function getContractWithSigner(provider, accountAddress = null) {
       try {
         const fallbackSigner = new ethers.JsonRpcSigner(ethersProvider, normalizedAddress);
         console.warn('Using JsonRpcSigner fallback - transaction may be sent from wrong account!');
-        return new ethers.Contract(CONTRACT_ADDRESS, QieLendNativeABI, fallbackSigner);
+        return fallbackSigner;
       } catch (fallbackError) {
         console.error('Both signer methods failed:', fallbackError);
         throw new Error(
@@ -160,8 +178,16 @@ export async function getContractWithSigner(provider, accountAddress = null) {
   }
 
   // For MetaMask: try default signer (no prompts if already connected)
-  const signer = await ethersProvider.getSigner();
-  return new ethers.Contract(CONTRACT_ADDRESS, QieLendNativeABI, signer);
+  return ethersProvider.getSigner();
+}
+
+/**
+ * Get contract instance with signer (for transactions)
+ * @param {Object} provider - The ethers provider
+ * @param {string} [accountAddress] - Optional account address (required for QIE Wallet)
+ */
+export async function getContractWithSigner(provider, accountAddress = null) {
+  return new ethers.Contract(contractAddress, adapter.abi, await getSigner(provider, accountAddress));
 }
 
 /**
@@ -169,7 +195,35 @@ export async function getContractWithSigner(provider, accountAddress = null) {
  */
 export function getContract(provider) {
   const ethersProvider = ensureEthersProvider(provider);
-  return new ethers.Contract(CONTRACT_ADDRESS, QieLendNativeABI, ethersProvider);
+  return new ethers.Contract(contractAddress, adapter.abi, ethersProvider);
+}
+
+// Minimal ERC20 interface for the lending market's token
+const ERC20_ABI = [
+  'function balanceOf(address account) view returns (uint256)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)',
+];
+
+// Tokens of erc20 pools read from the contract, by pool address, for markets whose
+// asset address is not configured
+const poolTokens = new Map();
+
+async function getTokenAddress(provider) {
+  if (lendingMarket?.asset?.address) return lendingMarket.asset.address;
+  if (!poolTokens.has(contractAddress)) {
+    poolTokens.set(contractAddress, await getContract(provider).qieToken());
+  }
+  return poolTokens.get(contractAddress);
+}
+
+/**
+ * Get the lending market's ERC20 token (read-only)
+ */
+export async function getTokenContract(provider) {
+  if (!pullsTokens()) throw new Error('The lending market has no ERC20 token');
+  const ethersProvider = ensureEthersProvider(provider);
+  return new ethers.Contract(await getTokenAddress(ethersProvider), ERC20_ABI, ethersProvider);
 }
 
 /**
@@ -183,28 +237,645 @@ export function getPointsContract(provider) {
   return new ethers.Contract(POINTS_CONTRACT_ADDRESS, PointsCalculatorABI, ethersProvider);
 }
 
+// ============================================================================
+// MULTICALL
+// ============================================================================
+// Multicall3 contract that batches reads into a single eth_call. Defaults to the
+// canonical Multicall3 address; if QIE has no deployment there, deploy
+// contracts/Multicall3.sol (scripts/deploy-multicall3-viem.js) and set this.
+const MULTICALL_ADDRESS = import.meta.env.VITE_MULTICALL_ADDRESS || '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+// Whether MULTICALL_ADDRESS has code; checked once per page load
+let multicallAvailable = null;
+
+async function isMulticallAvailable(provider) {
+  if (multicallAvailable === null) {
+    multicallAvailable = provider.getCode(MULTICALL_ADDRESS).then(
+      (code) => Boolean(code) && code !== '0x',
+      (error) => {
+        // Ask again next time rather than disabling batching for the whole session
+        multicallAvailable = null;
+        throw error;
+      }
+    );
+  }
+  return multicallAvailable;
+}
+
+const callIndividually = (calls) =>
+  Promise.all(calls.map(({ contract, method, args = [] }) => contract[method](...args).catch(() => null)));
+
+/**
+ * Run several read calls in one eth_call through Multicall3. Falls back to one call
+ * per read when no multicall contract is deployed or the batch itself fails.
+ * @param {Object} provider - The ethers provider
+ * @param {Array<{contract: Object, method: string, args?: Array}>} calls - ethers
+ *        Contract, view function name and arguments for each read
+ * @returns {Promise<Array>} Decoded results in call order, shaped like the direct
+ *          `contract[method]()` result; reads that revert come back as null
+ */
+export async function multicall(provider, calls) {
+  const ethersProvider = ensureEthersProvider(provider);
+  if (calls.length === 0) return [];
+
+  let available = false;
+  try {
+    available = await isMulticallAvailable(ethersProvider);
+  } catch (error) {
+    console.warn('Could not check for Multicall3, reading individually:', error);
+  }
+  if (!available) return callIndividually(calls);
+
+  let results;
+  try {
+    const multicallContract = new ethers.Contract(MULTICALL_ADDRESS, Multicall3ABI, ethersProvider);
+    results = await multicallContract.aggregate3.staticCall(
+      calls.map(({ contract, method, args = [] }) => ({
+        target: contract.target,
+        allowFailure: true,
+        callData: contract.interface.encodeFunctionData(method, args),
+      }))
+    );
+  } catch (error) {
+    console.warn('Multicall3 batch failed, reading individually:', error);
+    return callIndividually(calls);
+  }
+
+  return results.map(({ success, returnData }, i) => {
+    if (!success) return null;
+    const { contract, method } = calls[i];
+    try {
+      const decoded = contract.interface.decodeFunctionResult(method, returnData);
+      return decoded.length === 1 ? decoded[0] : decoded;
+    } catch {
+      // Empty or malformed return data, e.g. no contract at the target
+      return null;
+    }
+  });
+}
+
+// ============================================================================
+// TRANSACTION ERRORS
+// ============================================================================
+// Every error the app's transactions can revert with. Error(string) and Panic(uint256)
+// are recognised by ethers without being declared.
+const ERROR_INTERFACE = new ethers.Interface([
+  ...QieLendNativeABI.filter((fragment) => fragment.type === 'error'),
+  ...MerkleDistributorABI.filter((fragment) => fragment.type === 'error'),
+  ...QieLendPoolABI.filter((fragment) => fragment.type === 'error'),
+  // OpenZeppelin 5 ERC20 errors, for the token of an erc20 market
+  'error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)',
+  'error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)',
+]);
+
+// Custom errors by name. Errors whose cause depends on the action map action -> message.
+const CUSTOM_ERROR_MESSAGES = {
+  InvalidAmount: 'Enter an amount greater than zero.',
+  InsufficientBalance: 'You are withdrawing more QIE than you have supplied.',
+  CollateralDisabled: {
+    borrow: 'Collateral is not enabled. Please enable collateral first.',
+    withdraw: 'This withdrawal would leave too little collateral for your borrow.',
+    default: 'Collateral is not enabled for this account.',
+  },
+  ExceedsBorrowCapacity: {
+    collateral: 'Your remaining collateral would not cover your borrows. Repay first.',
+    default: 'The borrow amount exceeds your available borrow capacity.',
+  },
+  InsufficientLiquidity: 'Insufficient liquidity in the protocol. Please try a smaller amount.',
+  UnknownAsset: 'This asset is not listed in the pool.',
+  BorrowDisabled: 'Borrowing is disabled for this asset.',
+  InvalidPrice: 'The price feed returned an invalid price. Please try again later.',
+  StalePrice: 'The price feed has not updated recently. Please try again later.',
+  NotLiquidatable: 'This position is no longer liquidatable.',
+  InsufficientCollateral: 'The repay amount would seize more collateral than the borrower has.',
+  AlreadyClaimed: 'This season reward has already been claimed.',
+  InvalidProof: 'The reward proof was rejected. The published claims may be out of date.',
+  ClaimWindowClosed: 'The claim window for this season has closed.',
+  ClaimWindowOpen: 'The claim window for this season is still open.',
+  ERC20InsufficientBalance: 'Your wallet does not hold enough of the token for this amount.',
+  ERC20InsufficientAllowance: 'Approve the token for the lending contract first.',
+};
+
+// require() messages from QieLendNative, QieLend, QieLendPool and common ERC20 tokens
+const REVERT_REASON_MESSAGES = {
+  'Repay before disabling collateral': 'Repay your borrow before disabling collateral.',
+  'No rewards': 'You have no rewards to claim yet.',
+  'No collateral': 'This borrower has no collateral enabled.',
+  'Not liquidatable': 'This position is no longer liquidatable.',
+  'Insufficient collateral': 'The repay amount would seize more collateral than the borrower has.',
+  'Native transfer failed': 'The protocol could not send QIE to your address.',
+  'Reward transfer failed': 'The protocol could not send the rewards. Rewards may be underfunded.',
+  'Transfer failed': 'The token transfer failed. Check your balance and allowance.',
+  'Self liquidation': 'You cannot liquidate your own position.',
+  'Amount must be greater than 0': 'Enter an amount greater than zero.',
+  'Repay amount must be greater than 0': 'Enter an amount greater than zero.',
+  'Insufficient balance': 'You are withdrawing more than you have supplied.',
+  'Cannot withdraw: would exceed collateral': 'This withdrawal would leave too little collateral for your borrow.',
+  'Collateral must be enabled to borrow': 'Collateral is not enabled. Please enable collateral first.',
+  'Exceeds borrowing capacity': 'The borrow amount exceeds your available borrow capacity.',
+  'Insufficient protocol liquidity': 'Insufficient liquidity in the protocol. Please try a smaller amount.',
+  'Must repay all borrows before disabling collateral': 'Repay your borrow before disabling collateral.',
+  'No rewards to claim': 'You have no rewards to claim yet.',
+  'Cannot liquidate yourself': 'You cannot liquidate your own position.',
+  'Borrower has no collateral': 'This borrower has no collateral enabled.',
+  'Borrower is not liquidatable': 'This position is no longer liquidatable.',
+  'Insufficient collateral to seize': 'The repay amount would seize more collateral than the borrower has.',
+  'Repay transfer failed': 'The token transfer failed. Check your balance and allowance.',
+  'Seize transfer failed': 'The protocol could not send the seized collateral.',
+  'ERC20: transfer amount exceeds balance': 'Your wallet does not hold enough of the token for this amount.',
+  'ERC20: insufficient allowance': 'Approve the token for the lending contract first.',
+};
+
+// Solidity panic codes that can occur in practice
+const PANIC_MESSAGES = {
+  0x01: 'Assertion failed',
+  0x11: 'Arithmetic overflow or underflow',
+  0x12: 'Division by zero',
+};
+
+const ACTION_LABELS = {
+  supply: 'supply',
+  withdraw: 'withdraw',
+  borrow: 'borrow',
+  repay: 'repay',
+  collateral: 'update collateral',
+  claimRewards: 'claim rewards',
+  claimSeasonReward: 'claim the season reward',
+  liquidate: 'liquidate',
+  approve: 'approve the token',
+  speedUp: 'speed up the transaction',
+  cancel: 'cancel the transaction',
+};
+
+// Wallets and nodes nest the underlying JSON-RPC error in different places
+const getNestedErrors = (error) => {
+  const nested = [];
+  let current = error;
+  for (let depth = 0; current && typeof current === 'object' && depth < 6; depth++) {
+    nested.push(current);
+    current =
+      current.info?.error ||
+      current.error ||
+      current.originalError ||
+      (current.data && typeof current.data === 'object' ? current.data : null);
+  }
+  return nested;
+};
+
+const isHexData = (value) => typeof value === 'string' && /^0x([0-9a-f]{2})*$/i.test(value);
+
+// Revert data is in `data` for most nodes and wallets, in `result` for some dev nodes
+const findRevertData = (nested) => {
+  for (const candidate of nested) {
+    const data = [candidate.data, candidate.result].find(isHexData);
+    if (data !== undefined) return data;
+  }
+  return null;
+};
+
+/**
+ * Turn an error from a transaction (or its gas estimate) into a message for the user
+ * @param {Error} error - Error thrown by ethers or the wallet
+ * @param {string} [action] - supply, withdraw, borrow, repay, collateral, claimRewards,
+ *        claimSeasonReward, liquidate, speedUp or cancel; selects action-specific wording
+ * @returns {{type: string, name: string|null, args: Array, message: string}}
+ *          `type` is one of rejected, replaced, dropped, custom, revert, panic, funds, rpc or unknown;
+ *          `name` is the custom error name or revert reason
+ */
+export function decodeContractError(error, action = null) {
+  const failed = `Failed to ${ACTION_LABELS[action] || 'send the transaction'}.`;
+  const nested = getNestedErrors(error);
+
+  if (nested.some((e) => e.code === 'ACTION_REJECTED' || e.code === 4001)) {
+    return { type: 'rejected', name: null, args: [], message: 'Transaction rejected in your wallet.' };
+  }
+
+  if (error.code === 'TRANSACTION_DROPPED') {
+    return { type: 'dropped', name: null, args: [], message: 'The transaction was dropped by the network without being mined. You can send it again.' };
+  }
+
+  if (error.code === 'TRANSACTION_REPLACED') {
+    const message = error.reason === 'cancelled' ? 'The transaction was cancelled.' : 'The transaction was replaced by another transaction from your wallet.';
+    return { type: 'replaced', name: error.reason, args: [], message };
+  }
+
+  // Mined but reverted; the receipt carries no revert reason
+  if (error.code === 'CALL_EXCEPTION' && error.receipt) {
+    return { type: 'revert', name: null, args: [], message: `${failed} The transaction was reverted on-chain.` };
+  }
+
+  const data = findRevertData(nested);
+  if (data !== null) {
+    if (data === '0x') {
+      return { type: 'revert', name: null, args: [], message: `${failed} The transaction was reverted by the contract.` };
+    }
+    let parsed = null;
+    try {
+      parsed = ERROR_INTERFACE.parseError(data);
+    } catch {
+      // Malformed revert data; handled as unknown below
+    }
+    if (parsed?.name === 'Error') {
+      const reason = parsed.args[0];
+      return { type: 'revert', name: reason, args: [], message: REVERT_REASON_MESSAGES[reason] || `${failed} ${reason}` };
+    }
+    if (parsed?.name === 'Panic') {
+      const detail = PANIC_MESSAGES[Number(parsed.args[0])] || `Panic code ${parsed.args[0]}`;
+      return { type: 'panic', name: 'Panic', args: [...parsed.args], message: `${failed} ${detail}.` };
+    }
+    if (parsed) {
+      const entry = CUSTOM_ERROR_MESSAGES[parsed.name];
+      const message = typeof entry === 'object' ? entry[action] || entry.default : entry;
+      return { type: 'custom', name: parsed.name, args: [...parsed.args], message: message || `${failed} ${parsed.name}` };
+    }
+  }
+
+  if (nested.some((e) => e.code === 'INSUFFICIENT_FUNDS' || /insufficient funds/i.test(e.message || ''))) {
+    return { type: 'funds', name: null, args: [], message: 'Your wallet does not have enough QIE for this amount plus gas.' };
+  }
+
+  if (['NETWORK_ERROR', 'TIMEOUT', 'SERVER_ERROR'].includes(error.code) || nested.some((e) => e.code === -32603 || e.code === -32005)) {
+    const detail = nested.at(-1).shortMessage || nested.at(-1).message;
+    return { type: 'rpc', name: null, args: [], message: `${failed} The network request failed${detail ? `: ${detail}` : ''}. Please try again.` };
+  }
+
+  // Errors thrown by this module (e.g. wallet account mismatch) are already user-facing
+  if (error.code === undefined && error.message) {
+    return { type: 'unknown', name: null, args: [], message: error.message };
+  }
+  return { type: 'unknown', name: null, args: [], message: `${failed} Please try again.` };
+}
+
+// ============================================================================
+// TRANSACTION SIMULATION
+// ============================================================================
+const describePosition = (wallet, account, market) => ({
+  wallet,
+  supplied: protocolMath.getSupplyBalance(account, market),
+  borrowed: protocolMath.getBorrowBalance(account, market),
+  healthFactor: protocolMath.getHealthFactor(account, market),
+});
+
+/**
+ * Dry-run a lending contract transaction without asking the wallet to sign: staticCall
+ * for the revert reason, estimateGas for the fee and protocolMath for the resulting
+ * position. An erc20 supply or repay short of allowance is not sent to the node, since
+ * it would revert in transferFrom; it reports the `allowance` error and the amount to
+ * approve instead.
+ * @param {ethers.Contract} contract - Contract with the sender's signer
+ * @param {string} method - Contract method
+ * @param {Array} args - Method arguments
+ * @param {Object} overrides - Transaction overrides (value)
+ * @param {string} action - Action name for error messages and the position preview
+ * @param {bigint} [amount] - Amount in base units for supply, withdraw, borrow and repay
+ * @returns {Promise<{ok: boolean, error: Object|null, gasLimit: bigint|null, gasCost: bigint|null,
+ *          gasCostUsd: number|null, approval: bigint|null, balances: {before: Object, after: Object|null}}>}
+ *          `error` is a decodeContractError result, or type `allowance` when `approval`
+ *          (wei) must be approved first. Each balances side has wallet, supplied and
+ *          borrowed in base units and healthFactor in 1e18 fixed point (MAX_UINT256 without
+ *          debt); `after` is null when the call would revert.
+ */
+async function simulateTransaction(contract, method, args, overrides, action, amount = 0n) {
+  const sender = await contract.runner.getAddress();
+  const ethersProvider = contract.runner.provider;
+  const readContract = getContract(ethersProvider);
+
+  const pulled = pullsTokens() && (action === 'supply' || action === 'repay') ? amount : 0n;
+  const allowance = pulled > 0n ? await getAllowance(ethersProvider, sender) : null;
+  const approval = allowance !== null && allowance < pulled ? pulled : null;
+
+  let error = null;
+  let gasLimit = null;
+  if (approval !== null) {
+    error = { type: 'allowance', name: null, args: [], message: `Approve the token before you ${ACTION_LABELS[action]}.` };
+  } else {
+    try {
+      await contract[method].staticCall(...args, overrides);
+      gasLimit = await contract[method].estimateGas(...args, overrides);
+    } catch (simulationError) {
+      error = decodeContractError(simulationError, action);
+    }
+  }
+
+  const [feeData, block, walletBalance, market, account, rewards, { price: qiePrice }] = await Promise.all([
+    ethersProvider.getFeeData(),
+    ethersProvider.getBlock('latest'),
+    getWalletBalance(ethersProvider, sender),
+    getMarketState(ethersProvider),
+    getAccountState(ethersProvider, sender),
+    action === 'claimRewards' ? readContract.getAccruedRewards(sender) : 0n,
+    getPrice('QIE'),
+  ]);
+
+  const gasPrice = feeData.gasPrice ?? feeData.maxFeePerGas ?? 0n;
+  const gasCost = gasLimit === null ? null : gasLimit * gasPrice;
+  const gasCostUsd = gasCost === null || !qiePrice ? null : toDisplayNumber(gasCost) * qiePrice;
+
+  const timestamp = BigInt(block.timestamp);
+  const marketBefore = protocolMath.accrueInterest(market, timestamp);
+  const before = describePosition(walletBalance, account, marketBefore);
+
+  // Gas is paid in QIE, so it only comes out of the wallet balance shown for QIE
+  const walletGas = pullsTokens() ? 0n : gasCost;
+
+  let after = null;
+  if (!error || approval !== null) {
+    if (action === 'claimRewards') {
+      after = describePosition(walletBalance + rewards - walletGas, account, marketBefore);
+    } else {
+      const result = protocolMath.applyAction(action, amount, account, market, timestamp);
+      // Supply and repay send the asset in, withdraw and borrow pay it out; repayAll
+      // refunds what exceeds the debt, and an erc20 repay only pulls the debt
+      const walletChange =
+        action === 'withdraw' || action === 'borrow'
+          ? amount
+          : action === 'repay' && (method === 'repayAll' || pullsTokens())
+            ? -result.repaid
+            : -amount;
+      after = result.error ? null : describePosition(walletBalance + walletChange - walletGas, result.account, result.market);
+    }
+  }
+
+  return { ok: error === null, error, gasLimit, gasCost, gasCostUsd, approval, balances: { before, after } };
+}
+
+// ============================================================================
+// TRANSACTION TRACKING
+// ============================================================================
+// Confirmations a transaction needs before the app treats it as final
+const TX_CONFIRMATIONS = 2;
+
+let nextTransactionId = 1;
+
+/**
+ * Send a transaction and track it through its lifecycle. Status stages:
+ * signing (awaiting wallet signature), submitted, confirming, confirmed, and the final
+ * failed, replaced or dropped. A transaction sped up in the wallet (same call, higher
+ * fee) is followed to its replacement; one cancelled or replaced by a different call is
+ * final. Once submitted, the status also carries the sender (`from`), `nonce` and
+ * `startBlock`, which resumeTransaction needs after a page reload, and
+ * `pendingReplacement` ({hash, mode}) after speedUp() or cancel().
+ * @param {Function} send - Async function that sends the transaction and returns the
+ *        ethers TransactionResponse
+ * @param {Object} details
+ * @param {string} details.action - Action name, also used for error messages
+ * @param {bigint} [details.amount] - Amount in base units, for display
+ * @param {number} [details.decimals] - Decimals of `amount` (18 for QIE)
+ * @param {string} [details.hash] - When resuming an already submitted transaction: its
+ *        hash, plus `from`, `nonce` and `startBlock` from the saved status
+ * @returns {{id: number, action: string, amount: bigint|null, decimals: number, getStatus: Function,
+ *          subscribe: Function, wait: Function, speedUp: Function, cancel: Function}}
+ *          `subscribe(listener)` calls the listener with the current status and on every
+ *          change, and returns an unsubscribe function. `wait()` resolves with the receipt
+ *          once confirmed and rejects if the transaction fails or is replaced.
+ *          `speedUp(provider, accountAddress)` and `cancel(provider, accountAddress)`
+ *          replace a transaction that is not mined yet.
+ */
+export function trackTransaction(
+  send,
+  { action, amount = null, decimals = 18, hash = null, from = null, nonce = null, startBlock = null }
+) {
+  const listeners = new Set();
+  let status = {
+    stage: hash ? 'submitted' : 'signing',
+    hash,
+    from,
+    nonce,
+    startBlock,
+    confirmations: 0,
+    required: TX_CONFIRMATIONS,
+    receipt: null,
+    error: null,
+    replacement: null,
+    pendingReplacement: null,
+  };
+  const update = (changes) => {
+    status = { ...status, ...changes };
+    listeners.forEach((listener) => listener(status));
+  };
+
+  const done = (async () => {
+    let response;
+    try {
+      response = await send();
+    } catch (error) {
+      const stage = { TRANSACTION_REPLACED: 'replaced', TRANSACTION_DROPPED: 'dropped' }[error.code] || 'failed';
+      update({ stage, error: decodeContractError(error, action) });
+      throw error;
+    }
+    // Replacements can only be mined from here on; -1 turns off replacement detection
+    const startBlock = status.startBlock ?? (await response.provider.getBlockNumber().catch(() => -1));
+    update({ stage: 'submitted', hash: response.hash, from: response.from, nonce: response.nonce, startBlock });
+
+    let receipt;
+    try {
+      // Contract call responses don't check for replacements, so wait on a replaceable copy
+      receipt = await response.replaceableTransaction(startBlock).wait(1);
+    } catch (error) {
+      const replacement = error.code === 'TRANSACTION_REPLACED' ? { hash: error.hash, reason: error.reason } : null;
+      if (replacement?.reason !== 'repriced') {
+        update({ stage: replacement ? 'replaced' : 'failed', replacement, error: decodeContractError(error, action) });
+        throw error;
+      }
+      // Sped up: the same call was mined under a new hash
+      receipt = error.receipt;
+      update({ hash: replacement.hash, replacement });
+    }
+
+    let confirmations = await receipt.confirmations();
+    update({ stage: 'confirming', confirmations: Math.min(confirmations, TX_CONFIRMATIONS), receipt });
+    while (confirmations < TX_CONFIRMATIONS) {
+      await new Promise((resolve) => receipt.provider.once('block', resolve));
+      confirmations = await receipt.confirmations();
+      update({ confirmations: Math.min(confirmations, TX_CONFIRMATIONS) });
+    }
+
+    update({ stage: 'confirmed' });
+    return receipt;
+  })();
+  // Failures reach callers through wait() and the status
+  done.catch(() => {});
+
+  // Replace the latest version of the transaction; wait() still reports whichever is mined
+  const replace = async (mode, provider, accountAddress) => {
+    if (status.stage !== 'submitted') {
+      throw new Error('Only a submitted transaction that is not mined yet can be replaced.');
+    }
+    const sendReplacementOf = mode === 'speedUp' ? speedUpTransaction : cancelTransaction;
+    const hash = await sendReplacementOf(provider, status.pendingReplacement?.hash ?? status.hash, accountAddress);
+    update({ pendingReplacement: { hash, mode } });
+    return hash;
+  };
+
+  return {
+    id: nextTransactionId++,
+    action,
+    amount,
+    decimals,
+    getStatus: () => status,
+    subscribe(listener) {
+      listeners.add(listener);
+      listener(status);
+      return () => listeners.delete(listener);
+    },
+    wait: () => done,
+    speedUp: (provider, accountAddress = null) => replace('speedUp', provider, accountAddress),
+    cancel: (provider, accountAddress = null) => replace('cancel', provider, accountAddress),
+  };
+}
+
+/**
+ * Resume tracking a transaction sent before the page was reloaded
+ * @param {Object} provider - The ethers provider
+ * @param {{hash: string, action: string, amount: bigint|null, decimals: number, from: string,
+ *         nonce: number, startBlock: number}} pending - Saved from the tracked status
+ * @returns {Object} trackTransaction result. If the node no longer knows the transaction,
+ *          it ends as replaced when its nonce has been used and as dropped otherwise.
+ */
+export function resumeTransaction(provider, pending) {
+  const ethersProvider = ensureEthersProvider(provider);
+  return trackTransaction(
+    async () => {
+      const response = await ethersProvider.getTransaction(pending.hash);
+      if (response) return response;
+
+      const nonce = await ethersProvider.getTransactionCount(pending.from, 'latest');
+      if (nonce > pending.nonce) {
+        throw ethers.makeError('transaction was replaced', 'TRANSACTION_REPLACED', {
+          cancelled: true,
+          reason: 'replaced',
+          replacement: null,
+          hash: null,
+          receipt: null,
+        });
+      }
+      throw Object.assign(new Error('transaction was dropped'), { code: 'TRANSACTION_DROPPED' });
+    },
+    {
+      action: pending.action,
+      amount: pending.amount,
+      decimals: pending.decimals,
+      hash: pending.hash,
+      from: pending.from,
+      nonce: pending.nonce,
+      startBlock: pending.startBlock,
+    }
+  );
+}
+
+// Nodes only accept a replacement paying at least 10% more; bump by 20% to be safe
+const bumpFee = (fee) => (fee * 12n) / 10n + 1n;
+const maxFee = (a, b) => (a > b ? a : b);
+
+/**
+ * Resend a pending transaction's nonce with higher fees. A trackTransaction result for
+ * the original reports whichever of the two is mined.
+ * @param {Function} buildRequest - Maps the original TransactionResponse to the
+ *        replacement's to/data/value/gasLimit
+ * @returns {Promise<string>} Replacement transaction hash
+ */
+async function sendReplacement(provider, hash, accountAddress, buildRequest) {
+  const ethersProvider = ensureEthersProvider(provider);
+  const [original, feeData] = await Promise.all([ethersProvider.getTransaction(hash), ethersProvider.getFeeData()]);
+  if (!original) {
+    throw new Error('Transaction not found. It may have been dropped or already replaced.');
+  }
+  if (original.blockNumber !== null) {
+    throw new Error('Transaction is already mined.');
+  }
+
+  let fees;
+  if (original.maxFeePerGas !== null) {
+    const maxFeePerGas = maxFee(bumpFee(original.maxFeePerGas), feeData.maxFeePerGas ?? 0n);
+    const priorityFee = maxFee(bumpFee(original.maxPriorityFeePerGas), feeData.maxPriorityFeePerGas ?? 0n);
+    fees = { type: 2, maxFeePerGas, maxPriorityFeePerGas: priorityFee > maxFeePerGas ? maxFeePerGas : priorityFee };
+  } else {
+    fees = { type: 0, gasPrice: maxFee(bumpFee(original.gasPrice), feeData.gasPrice ?? 0n) };
+  }
+
+  // Reuse the lending contract's signer so the account check applies here too
+  const { runner: signer } = await getContractWithSigner(provider, accountAddress);
+  const replacement = await signer.sendTransaction({ ...buildRequest(original), nonce: original.nonce, ...fees });
+  return replacement.hash;
+}
+
+/**
+ * Speed up a pending transaction: the same call at the same nonce with a higher fee
+ * @param {string} hash - Pending transaction hash
+ * @returns {Promise<string>} Replacement transaction hash
+ */
+export async function speedUpTransaction(provider, hash, accountAddress = null) {
+  return sendReplacement(provider, hash, accountAddress, (original) => ({
+    to: original.to,
+    data: original.data,
+    value: original.value,
+    gasLimit: original.gasLimit,
+  }));
+}
+
+/**
+ * Cancel a pending transaction by replacing it with a zero-value transfer to yourself
+ * at the same nonce
+ * @param {string} hash - Pending transaction hash
+ * @returns {Promise<string>} Replacement transaction hash
+ */
+export async function cancelTransaction(provider, hash, accountAddress = null) {
+  return sendReplacement(provider, hash, accountAddress, (original) => ({
+    to: original.from,
+    data: '0x',
+    value: 0n,
+    gasLimit: 21000n,
+  }));
+}
+
+// Amounts are in the asset's base units; input text must go through format.js
+// parseAmount with the asset's decimals first, since a float or a rounded string would
+// not send the exact amount
+const requireBaseUnits = (amount) => {
+  if (typeof amount !== 'bigint' || amount <= 0n) {
+    throw new Error('Amount must be a positive bigint in base units');
+  }
+  return amount;
+};
+
 /**
- * Supply QIE tokens to the protocol
+ * Supply the market's asset to the protocol. An erc20 market needs an allowance for
+ * the amount first (see approve).
+ * @param {bigint} amount - Amount in the asset's base units
+ * @param {Object} [options]
+ * @param {boolean} [options.simulate] - Return a simulateTransaction result instead of sending
+ * @returns {Promise<Object>} trackTransaction result, or the simulation with `simulate`
  */
-export async function supply(provider, amount, accountAddress = null) {
+export async function supply(provider, amount, accountAddress = null, { simulate = false } = {}) {
   const contract = await getContractWithSigner(provider, accountAddress);
-  const tx = await contract.supplyNative({ value: ethers.parseEther(amount.toString()) });
-  return await tx.wait();
+  const value = requireBaseUnits(amount);
+  const [method, args, overrides] = adapter.supply(value);
+  if (simulate) return simulateTransaction(contract, method, args, overrides, 'supply', value);
+  return trackTransaction(() => contract[method](...args, overrides), { action: 'supply', amount: value, decimals: assetDecimals() });
 }
 
 /**
  * Withdraw supplied QIE tokens
+ * @param {bigint} amount - Amount in the asset's base units
+ * @param {Object} [options]
+ * @param {boolean} [options.simulate] - Return a simulateTransaction result instead of sending
+ * @returns {Promise<Object>} trackTransaction result, or the simulation with `simulate`
  */
-export async function withdraw(provider, amount, accountAddress = null) {
+export async function withdraw(provider, amount, accountAddress = null, { simulate = false } = {}) {
   const contract = await getContractWithSigner(provider, accountAddress);
-  const tx = await contract.withdraw(ethers.parseEther(amount.toString()));
-  return await tx.wait();
+  const value = requireBaseUnits(amount);
+  if (simulate) return simulateTransaction(contract, 'withdraw', [value], {}, 'withdraw', value);
+  return trackTransaction(() => contract.withdraw(value), { action: 'withdraw', amount: value, decimals: assetDecimals() });
 }
 
 /**
  * Borrow QIE tokens
+ * @param {bigint} amount - Amount in the asset's base units
+ * @param {Object} [options]
+ * @param {boolean} [options.simulate] - Return a simulateTransaction result instead of sending
+ * @returns {Promise<Object>} trackTransaction result, or the simulation with `simulate`
  */
-export async function borrow(provider, amount, accountAddress = null) {
+export async function borrow(provider, amount, accountAddress = null, { simulate = false } = {}) {
   if (!accountAddress) {
     throw new Error('Account address is required for borrow transactions');
   }
@@ -241,346 +912,1285 @@ export async function borrow(provider, amount, accountAddress = null) {
     throw new Error(errorMsg);
   }
   
+  const value = requireBaseUnits(amount);
+  if (simulate) return simulateTransaction(contract, 'borrow', [value], {}, 'borrow', value);
+
   console.log('Borrow: Signer verified, sending transaction from:', signerAddressLower);
-  const tx = await contract.borrow(ethers.parseEther(amount.toString()));
-  
-  // After transaction, verify the receipt to confirm it was sent from the correct address
-  const receipt = await tx.wait();
-  if (receipt.from.toLowerCase() !== expectedAddress) {
-    console.error('Transaction receipt shows wrong sender!', {
-      expected: expectedAddress,
-      actual: receipt.from.toLowerCase()
-    });
-    // Don't throw here as transaction already succeeded, but log the issue
-  }
-  
-  return receipt;
+  return trackTransaction(async () => {
+    const tx = await contract.borrow(value);
+    // Verify the wallet sent it from the expected address
+    if (tx.from.toLowerCase() !== expectedAddress) {
+      console.error('Transaction shows wrong sender!', {
+        expected: expectedAddress,
+        actual: tx.from.toLowerCase()
+      });
+      // Don't throw here as the transaction is already sent, but log the issue
+    }
+    return tx;
+  }, { action: 'borrow', amount: value, decimals: assetDecimals() });
 }
 
 /**
- * Repay borrowed QIE tokens
+ * Repay borrowed debt in the market's asset. An erc20 market needs an allowance for
+ * the amount first (see approve).
+ * @param {bigint} amount - Amount in the asset's base units
+ * @param {Object} [options]
+ * @param {boolean} [options.simulate] - Return a simulateTransaction result instead of sending
+ * @returns {Promise<Object>} trackTransaction result, or the simulation with `simulate`
  */
-export async function repay(provider, amount, accountAddress = null) {
+export async function repay(provider, amount, accountAddress = null, { simulate = false } = {}) {
   const contract = await getContractWithSigner(provider, accountAddress);
-  const tx = await contract.repay({ value: ethers.parseEther(amount.toString()) });
-  return await tx.wait();
+  const value = requireBaseUnits(amount);
+  const [method, args, overrides] = adapter.repay(value);
+  if (simulate) return simulateTransaction(contract, method, args, overrides, 'repay', value);
+  return trackTransaction(() => contract[method](...args, overrides), { action: 'repay', amount: value, decimals: assetDecimals() });
 }
 
 /**
- * Toggle collateral on/off
+ * Repay the whole debt without leaving an excess behind: through repayAll() on a native
+ * market, which refunds whatever `amount` exceeds the debt at the block the transaction
+ * is mined in instead of adding it to reserves, and through repay() on an erc20 market,
+ * which only pulls the debt
+ * @param {bigint} amount - Amount in the asset's base units; at least the debt, e.g. getMaxAmounts().repay
+ * @param {Object} [options]
+ * @param {boolean} [options.simulate] - Return a simulateTransaction result instead of sending
+ * @returns {Promise<Object>} trackTransaction result, or the simulation with `simulate`
  */
-export async function setCollateralEnabled(provider, enabled, accountAddress = null) {
+export async function repayAll(provider, amount, accountAddress = null, { simulate = false } = {}) {
   const contract = await getContractWithSigner(provider, accountAddress);
-  const tx = await contract.setCollateralEnabled(enabled);
-  return await tx.wait();
+  const value = requireBaseUnits(amount);
+  const [method, args, overrides] = adapter.repayAll(value);
+  if (simulate) return simulateTransaction(contract, method, args, overrides, 'repay', value);
+  return trackTransaction(() => contract[method](...args, overrides), { action: 'repay', amount: value, decimals: assetDecimals() });
 }
 
+// How far ahead MAX amounts are projected: time to confirm in the wallet and get mined
+const MAX_AMOUNT_HORIZON_SECONDS = 600n;
+
+// Gas kept back from the wallet balance on MAX supply and repay of native QIE, enough
+// for the transaction itself and a follow-up one at the current fee
+const GAS_RESERVE_UNITS = 500000n;
+
 /**
- * Claim accumulated rewards
+ * MAX amount of each dashboard action, from the market state projected forward with
+ * protocolMath, so interest accruing until the transaction is mined can neither make it
+ * revert nor leave debt behind
+ * @returns {Promise<{supply: bigint, withdraw: bigint, borrow: bigint, repay: bigint,
+ *          repayAll: boolean, gasReserve: bigint}>} Amounts in base units. `repayAll` is true
+ *          when the wallet covers the whole debt; send `repay` through repayAll() then,
+ *          since it is slightly more than the debt. `gasReserve` is 0 on an erc20 market,
+ *          whose gas is not paid in the asset. `borrow` is 0 for an account that never
+ *          borrowed on a contract whose borrow() reverts for it (see MARKET_ADAPTERS).
  */
-export async function claimRewards(provider, accountAddress = null) {
-  const contract = await getContractWithSigner(provider, accountAddress);
-  const tx = await contract.claimRewards();
-  return await tx.wait();
+export async function getMaxAmounts(provider, userAddress) {
+  const ethersProvider = ensureEthersProvider(provider);
+  const [block, feeData, walletBalance, market, account] = await Promise.all([
+    ethersProvider.getBlock('latest'),
+    ethersProvider.getFeeData(),
+    getWalletBalance(ethersProvider, userAddress),
+    getMarketState(ethersProvider),
+    getAccountState(ethersProvider, userAddress),
+  ]);
+
+  const gasPrice = feeData.maxFeePerGas ?? feeData.gasPrice ?? 0n;
+  const gasReserve = pullsTokens() ? 0n : GAS_RESERVE_UNITS * gasPrice;
+  const spendable = walletBalance > gasReserve ? walletBalance - gasReserve : 0n;
+
+  const from = BigInt(block.timestamp);
+  const limits = protocolMath.getMaxAmounts(account, market, from, from + MAX_AMOUNT_HORIZON_SECONDS);
+  const repayAll = limits.repay > 0n && spendable >= limits.repay;
+
+  return {
+    supply: spendable,
+    withdraw: limits.withdraw,
+    borrow: hasNeverBorrowed(account) ? 0n : limits.borrow,
+    // Short of the whole debt, repay what the wallet can spare; that never exceeds the debt
+    repay: spendable < limits.repay ? spendable : limits.repay,
+    repayAll,
+    gasReserve,
+  };
 }
 
 /**
- * Get user's supply balance
+ * The connected wallet's balance of the market's asset: native QIE, or the erc20 token
+ * @returns {Promise<bigint>} Balance in base units
  */
-export async function getSupplyBalance(provider, userAddress) {
-  const contract = getContract(provider);
-  const balance = await contract.getSupplyBalance(userAddress);
-  return parseFloat(ethers.formatEther(balance));
+export async function getWalletBalance(provider, userAddress) {
+  const ethersProvider = ensureEthersProvider(provider);
+  if (!pullsTokens()) return ethersProvider.getBalance(userAddress);
+  return (await getTokenContract(ethersProvider)).balanceOf(userAddress);
 }
 
 /**
- * Get user's borrow balance
+ * How much of the market's token the lending contract may pull from `userAddress`
+ * @returns {Promise<bigint>} Allowance in base units; MAX_UINT256 on a native market, which
+ *          needs none
  */
-export async function getBorrowBalance(provider, userAddress) {
-  const contract = getContract(provider);
-  const balance = await contract.getBorrowBalance(userAddress);
-  return parseFloat(ethers.formatEther(balance));
+export async function getAllowance(provider, userAddress) {
+  if (!pullsTokens()) return ethers.MaxUint256;
+  const token = await getTokenContract(provider);
+  return token.allowance(userAddress, contractAddress);
 }
 
 /**
- * Get available to borrow
+ * Whether `amount` must be approved before a supply, repay or liquidation that pulls it
  */
-export async function getAvailableToBorrow(provider, userAddress) {
-  const contract = getContract(provider);
-  const amount = await contract.getAvailableToBorrow(userAddress);
-  return parseFloat(ethers.formatEther(amount));
+export async function needsApproval(provider, userAddress, amount) {
+  if (!pullsTokens()) return false;
+  return (await getAllowance(provider, userAddress)) < requireBaseUnits(amount);
 }
 
 /**
- * Get health factor
+ * Approve the lending contract to pull `amount` of the market's token. Approves the
+ * exact amount rather than an unlimited one, so each action asks again.
+ * @param {bigint} amount - Amount in the asset's base units
+ * @returns {Promise<Object>} trackTransaction result
  */
-export async function getHealthFactor(provider, userAddress) {
-  const contract = getContract(provider);
-  const hf = await contract.getHealthFactor(userAddress);
-  return parseFloat(ethers.formatEther(hf));
+export async function approve(provider, amount, accountAddress = null) {
+  // Reuse the lending contract's signer so the account check applies here too
+  const lendingContract = await getContractWithSigner(provider, accountAddress);
+  const token = (await getTokenContract(lendingContract.runner.provider)).connect(lendingContract.runner);
+  const value = requireBaseUnits(amount);
+  return trackTransaction(() => token.approve(contractAddress, value), { action: 'approve', amount: value, decimals: assetDecimals() });
 }
 
 /**
- * Get supply APY (in percentage)
+ * Toggle collateral on/off
  */
-export async function getSupplyAPY(provider) {
-  const contract = getContract(provider);
-  const apyBasisPoints = await contract.getSupplyAPY();
-  return parseFloat(apyBasisPoints) / 100; // Convert basis points to percentage
+export async function setCollateralEnabled(provider, enabled, accountAddress = null) {
+  const contract = await getContractWithSigner(provider, accountAddress);
+  return trackTransaction(() => contract.setCollateralEnabled(enabled), { action: 'collateral' });
 }
 
 /**
- * Get borrow APY (in percentage)
+ * Claim accumulated rewards
+ * @param {Object} [options]
+ * @param {boolean} [options.simulate] - Return a simulateTransaction result instead of sending
+ * @returns {Promise<Object>} trackTransaction result, or the simulation with `simulate`
  */
-export async function getBorrowAPY(provider) {
-  const contract = getContract(provider);
-  const apyBasisPoints = await contract.getBorrowAPY();
-  return parseFloat(apyBasisPoints) / 100; // Convert basis points to percentage
+export async function claimRewards(provider, accountAddress = null, { simulate = false } = {}) {
+  const contract = await getContractWithSigner(provider, accountAddress);
+  if (simulate) return simulateTransaction(contract, 'claimRewards', [], {}, 'claimRewards');
+  return trackTransaction(() => contract.claimRewards(), { action: 'claimRewards' });
 }
 
 /**
- * Get accrued rewards
+ * Get user's supply balance in base units
  */
-export async function getAccruedRewards(provider, userAddress) {
+export async function getSupplyBalance(provider, userAddress) {
   const contract = getContract(provider);
-  const rewards = await contract.getAccruedRewards(userAddress);
-  return parseFloat(ethers.formatEther(rewards));
+  return await contract.getSupplyBalance(userAddress);
 }
 
-/**
- * Get protocol totals
- */
-export async function getProtocolTotals(provider) {
+// Borrow views of an account that never borrowed on a contract whose own views revert
+// for it (MARKET_ADAPTERS needsBorrowIndex): no debt, no capacity since borrow()
+// reverts too, and the health factor of a position without debt
+const NEVER_BORROWED_VIEWS = {
+  getBorrowBalance: 0n,
+  getAvailableToBorrow: 0n,
+  getHealthFactor: protocolMath.MAX_UINT256,
+};
+
+const hasNeverBorrowed = (account) => adapter.needsBorrowIndex && account.borrowIndex === 0n;
+
+async function readBorrowView(provider, method, userAddress) {
   const contract = getContract(provider);
-  const [totalSupply, totalBorrow, totalReserves] = await Promise.all([
-    contract.totalSupply(),
-    contract.totalBorrow(),
-    contract.totalReserves()
+  if (adapter.needsBorrowIndex && hasNeverBorrowed(await contract.accounts(userAddress))) {
+    return NEVER_BORROWED_VIEWS[method];
+  }
+  return await contract[method](userAddress);
+}
+
+/**
+ * Get user's borrow balance in base units
+ */
+export async function getBorrowBalance(provider, userAddress) {
+  return readBorrowView(provider, 'getBorrowBalance', userAddress);
+}
+
+/**
+ * Get available to borrow in base units
+ */
+export async function getAvailableToBorrow(provider, userAddress) {
+  return readBorrowView(provider, 'getAvailableToBorrow', userAddress);
+}
+
+/**
+ * Get health factor (1e18 fixed point; MaxUint256 without debt)
+ */
+export async function getHealthFactor(provider, userAddress) {
+  return readBorrowView(provider, 'getHealthFactor', userAddress);
+}
+
+/**
+ * Get supply APY (in percentage)
+ */
+export async function getSupplyAPY(provider) {
+  const contract = getContract(provider);
+  const apyBasisPoints = await contract.getSupplyAPY();
+  return Number(apyBasisPoints) / 100; // Convert basis points to percentage
+}
+
+/**
+ * Get borrow APY (in percentage)
+ */
+export async function getBorrowAPY(provider) {
+  const contract = getContract(provider);
+  const apyBasisPoints = await contract.getBorrowAPY();
+  return Number(apyBasisPoints) / 100; // Convert basis points to percentage
+}
+
+/**
+ * Get accrued rewards in the asset's base units
+ */
+export async function getAccruedRewards(provider, userAddress) {
+  const contract = getContract(provider);
+  return await contract.getAccruedRewards(userAddress);
+}
+
+/**
+ * Get protocol totals in base units
+ */
+export async function getProtocolTotals(provider) {
+  const contract = getContract(provider);
+  const [totalSupply, totalBorrow, totalReserves] = await multicall(provider, [
+    { contract, method: 'totalSupply' },
+    { contract, method: 'totalBorrow' },
+    { contract, method: 'totalReserves' },
   ]);
-  
+  if (totalSupply === null || totalBorrow === null || totalReserves === null) {
+    throw new Error('Failed to read protocol totals');
+  }
+
+  return { supply: totalSupply, borrow: totalBorrow, reserves: totalReserves };
+}
+
+// Lending contract public state that makes up the protocolMath market state
+const MARKET_STATE_KEYS = ['totalSupply', 'totalBorrow', 'totalReserves', 'lastUpdateTime', 'exchangeRate', 'supplyIndex', 'borrowIndex'];
+
+const toMarketState = (values) => {
+  if (values.includes(null)) throw new Error('Failed to read market state');
+  return Object.fromEntries(MARKET_STATE_KEYS.map((key, i) => [key, values[i]]));
+};
+
+// Lending contract constants that make up the protocolMath params
+const MARKET_PARAM_KEYS = {
+  COLLATERAL_FACTOR: 'collateralFactor',
+  LIQUIDATION_THRESHOLD: 'liquidationThreshold',
+  LIQUIDATION_BONUS: 'liquidationBonus',
+  RESERVE_FACTOR: 'reserveFactor',
+  BASE_RATE: 'baseRate',
+  KINK_UTILIZATION: 'kinkUtilization',
+  MULTIPLIER: 'multiplier',
+  JUMP_MULTIPLIER: 'jumpMultiplier',
+};
+
+// Params per pool address; they are contract constants, so read once
+const marketParamsCache = new Map();
+
+/**
+ * Read the selected lending contract's risk and rate constants as protocolMath params.
+ * QieLend and QieLendNative share the formulas but not the scale of these constants,
+ * so previews, MAX amounts and rate curves must use the contract's own.
+ * @param {Object} provider - The ethers provider
+ * @returns {Promise<Object>} See protocolMath NATIVE_PARAMS
+ */
+export async function getMarketParams(provider) {
+  const pool = contractAddress;
+  if (!marketParamsCache.has(pool)) {
+    const contract = getContract(provider);
+    const methods = Object.keys(MARKET_PARAM_KEYS);
+    const values = await multicall(provider, methods.map((method) => ({ contract, method })));
+    if (values.includes(null)) throw new Error('Failed to read market parameters');
+    marketParamsCache.set(pool, Object.fromEntries(methods.map((method, i) => [MARKET_PARAM_KEYS[method], values[i]])));
+  }
+  return marketParamsCache.get(pool);
+}
+
+/**
+ * Get the raw market state (base units and 1e18 indexes) with the contract's params,
+ * for protocolMath
+ */
+export async function getMarketState(provider) {
+  const contract = getContract(provider);
+  const [values, params] = await Promise.all([
+    multicall(provider, MARKET_STATE_KEYS.map((method) => ({ contract, method }))),
+    getMarketParams(provider),
+  ]);
+  return { ...toMarketState(values), params };
+}
+
+/**
+ * Get a user's raw account struct (scaled balances and indexes) for protocolMath
+ */
+export async function getAccountState(provider, userAddress) {
+  const contract = getContract(provider);
+  const account = await contract.accounts(userAddress);
+
+  return {
+    supplyBalance: account.supplyBalance,
+    borrowBalance: account.borrowBalance,
+    supplyIndex: account.supplyIndex,
+    borrowIndex: account.borrowIndex,
+    collateralEnabled: account.collateralEnabled,
+  };
+}
+
+/**
+ * Read everything one dashboard refresh needs in a single multicall: protocol totals,
+ * APYs and raw market state, plus the user's balances, health factor, borrow
+ * capacity, rewards and points when `userAddress` is given.
+ * @param {Object} provider - The ethers provider
+ * @param {string} [userAddress] - Connected account
+ * @returns {Promise<{market: Object, totals: Object, user: Object|null}>} `market` is
+ *          the getMarketState result. Amounts are base units, the health factor 1e18
+ *          fixed point, APYs percent and points a number. User reads that revert (e.g.
+ *          the contract dividing by an empty protocol) are null, except the borrow views
+ *          of an account that never borrowed on a contract that reverts for it, which
+ *          read as no debt (see NEVER_BORROWED_VIEWS).
+ */
+export async function getDashboardState(provider, userAddress = null) {
+  const contract = getContract(provider);
+  const calls = [
+    ...MARKET_STATE_KEYS.map((method) => ({ contract, method })),
+    { contract, method: 'getSupplyAPY' },
+    { contract, method: 'getBorrowAPY' },
+  ];
+  if (userAddress) {
+    calls.push(
+      { contract, method: 'accounts', args: [userAddress] },
+      { contract, method: 'getSupplyBalance', args: [userAddress] },
+      { contract, method: 'getBorrowBalance', args: [userAddress] },
+      { contract, method: 'getHealthFactor', args: [userAddress] },
+      { contract, method: 'getAvailableToBorrow', args: [userAddress] },
+      { contract, method: 'getAccruedRewards', args: [userAddress] }
+    );
+    if (POINTS_CONTRACT_ADDRESS !== '0x0000000000000000000000000000000000000000') {
+      calls.push({ contract: getPointsContract(provider), method: 'getAccumulatedPoints', args: [userAddress] });
+    }
+  }
+
+  const [results, params] = await Promise.all([multicall(provider, calls), getMarketParams(provider)]);
+  const market = { ...toMarketState(results.slice(0, MARKET_STATE_KEYS.length)), params };
+  const [supplyApy, borrowApy, account, supplied, borrowed, healthFactor, availableToBorrow, rewards, points = null] =
+    results.slice(MARKET_STATE_KEYS.length);
+
+  const totals = {
+    supply: market.totalSupply,
+    borrow: market.totalBorrow,
+    reserves: market.totalReserves,
+    supplyApy: supplyApy === null ? null : Number(supplyApy) / 100,
+    borrowApy: borrowApy === null ? null : Number(borrowApy) / 100,
+  };
+  if (!userAddress) return { market, totals, user: null };
+  if (!account) throw new Error('Failed to read user account');
+  const neverBorrowed = hasNeverBorrowed(account);
+
   return {
-    supply: parseFloat(ethers.formatEther(totalSupply)),
-    borrow: parseFloat(ethers.formatEther(totalBorrow)),
-    reserves: parseFloat(ethers.formatEther(totalReserves))
+    market,
+    totals,
+    user: {
+      // Raw account struct for protocolMath
+      account: {
+        supplyBalance: account.supplyBalance,
+        borrowBalance: account.borrowBalance,
+        supplyIndex: account.supplyIndex,
+        borrowIndex: account.borrowIndex,
+        collateralEnabled: account.collateralEnabled,
+      },
+      collateralEnabled: account.collateralEnabled,
+      supplied,
+      borrowed: neverBorrowed ? NEVER_BORROWED_VIEWS.getBorrowBalance : borrowed,
+      healthFactor: neverBorrowed ? NEVER_BORROWED_VIEWS.getHealthFactor : healthFactor,
+      availableToBorrow: neverBorrowed ? NEVER_BORROWED_VIEWS.getAvailableToBorrow : availableToBorrow,
+      rewards,
+      // Points rank accounts and are never sent on-chain, so they are a plain number
+      points: points === null ? null : toDisplayNumber(points),
+    },
   };
 }
 
 /**
- * Get user account info
+ * Get user account info (scaled balances and rewards in base units)
  */
 export async function getUserAccount(provider, userAddress) {
   const contract = getContract(provider);
   const account = await contract.accounts(userAddress);
   
   return {
-    supplyBalance: parseFloat(ethers.formatEther(account.supplyBalance)),
-    borrowBalance: parseFloat(ethers.formatEther(account.borrowBalance)),
+    supplyBalance: account.supplyBalance,
+    borrowBalance: account.borrowBalance,
     collateralEnabled: account.collateralEnabled,
-    accruedRewards: parseFloat(ethers.formatEther(account.accruedRewards))
+    accruedRewards: account.accruedRewards
   };
 }
 
 /**
- * Calculate points via PointsCalculator contract
+ * Get user's time-weighted points accumulated in the PointsCalculator contract
  */
-export async function calculatePoints(provider, supplied, borrowed) {
+export async function getAccumulatedPoints(provider, userAddress) {
   const contract = getPointsContract(provider);
-  const suppliedWei = ethers.parseEther(supplied.toString());
-  const borrowedWei = ethers.parseEther(borrowed.toString());
-  const points = await contract.calculatePoints(suppliedWei, borrowedWei);
-  return parseFloat(ethers.formatEther(points));
+  const points = await contract.getAccumulatedPoints(userAddress);
+  return toDisplayNumber(points);
+}
+
+// ============================================================================
+// TRANSACTION HISTORY
+// ============================================================================
+// Block the QieLendNative contract was deployed at. Event scans never go below it, and
+// without it they are disabled rather than starting from the genesis block.
+const CONTRACT_DEPLOY_BLOCK = import.meta.env.VITE_QIE_CONTRACT_DEPLOY_BLOCK
+  ? Number(import.meta.env.VITE_QIE_CONTRACT_DEPLOY_BLOCK)
+  : null;
+
+// Maximum block span per eth_getLogs request (most public RPCs cap the range)
+const LOG_BLOCK_RANGE = Number(import.meta.env.VITE_LOG_BLOCK_RANGE || 5000);
+
+// Most LOG_BLOCK_RANGE windows a single scan call covers; longer scans resume on the
+// next call from where the previous one stopped
+const MAX_LOG_WINDOWS = Number(import.meta.env.VITE_LOG_MAX_WINDOWS || 50);
+
+const requireDeployBlock = () => {
+  if (CONTRACT_DEPLOY_BLOCK === null) {
+    throw new Error('VITE_QIE_CONTRACT_DEPLOY_BLOCK is not set; event scans are disabled');
+  }
+  return CONTRACT_DEPLOY_BLOCK;
+};
+
+// Last block of a forward scan starting at `fromBlock`, capped at MAX_LOG_WINDOWS windows
+const getScanEnd = (fromBlock, latestBlock) =>
+  Math.min(latestBlock, fromBlock + MAX_LOG_WINDOWS * LOG_BLOCK_RANGE - 1);
+
+// QieLendNative events that make up a user's transaction history
+const HISTORY_EVENTS = ['Supply', 'Withdraw', 'Borrow', 'Repay', 'CollateralToggled', 'RewardsClaimed', 'Liquidate'];
+
+// Block timestamps never change, so they are cached for the lifetime of the page
+const blockTimestampCache = new Map();
+
+async function getBlockTimestamp(provider, blockNumber) {
+  if (blockTimestampCache.has(blockNumber)) return blockTimestampCache.get(blockNumber);
+  const block = await provider.getBlock(blockNumber);
+  const timestamp = block ? Number(block.timestamp) : null;
+  if (timestamp !== null) blockTimestampCache.set(blockNumber, timestamp);
+  return timestamp;
 }
 
 /**
- * Get QIE price from QIE Oracle (Chainlink AggregatorV3Interface compatible)
- * Returns price in USD
- * @param {Object} provider - Optional ethers provider. If not provided, creates a JsonRpcProvider
+ * Fetch raw logs for the QieLendNative contract over a block range, split into
+ * LOG_BLOCK_RANGE sized requests. Throws when the range needs more than
+ * MAX_LOG_WINDOWS requests.
+ * @param {Object} provider - The ethers provider
+ * @param {Array} topics - Topic filter passed to eth_getLogs
+ * @param {number} fromBlock - First block (inclusive)
+ * @param {number} toBlock - Last block (inclusive)
  */
-export async function getQIEPrice(provider = null) {
-  try {
-    let ethersProvider;
-    
-    if (provider) {
-      // Use provided provider (ensure it's a valid ethers provider)
-      try {
-        ethersProvider = ensureEthersProvider(provider);
-      } catch (e) {
-        // If provider validation fails, create a new one
-        ethersProvider = new ethers.JsonRpcProvider('https://rpc1mainnet.qie.digital/');
-      }
-    } else {
-      // Create a new provider for Oracle calls (no wallet needed)
-      ethersProvider = new ethers.JsonRpcProvider('https://rpc1mainnet.qie.digital/');
-    }
-    
-    // First, check if contract has code at this address
-    const code = await ethersProvider.getCode(QIE_ORACLE_ADDRESS);
-    if (code === '0x' || code === '0x0') {
-      console.warn('QIE Oracle contract not found at address:', QIE_ORACLE_ADDRESS);
-      console.warn('Please verify you are using the correct QIE/USDT price feed address, not the BTC Oracle address');
-      return 0.13; // Fallback
-    }
-    
-    const oracleContract = new ethers.Contract(QIE_ORACLE_ADDRESS, QIE_ORACLE_ABI, ethersProvider);
-    
-    // Call latestRoundData() - returns tuple: (roundId, answer, startedAt, updatedAt, answeredInRound)
-    const roundData = await oracleContract.latestRoundData();
-    
-    // Extract values from tuple
-    const roundId = roundData[0];
-    const answer = roundData[1]; // int256
-    const startedAt = roundData[2];
-    const updatedAt = roundData[3];
-    const answeredInRound = roundData[4];
-    
-    // Validate answer is not zero
-    if (!answer || answer.toString() === '0') {
-      console.warn('QIE Oracle returned zero answer');
-      return 0.13; // Fallback
+export async function getContractLogs(provider, topics, fromBlock, toBlock, blockRange = LOG_BLOCK_RANGE) {
+  if (Math.ceil((toBlock - fromBlock + 1) / blockRange) > MAX_LOG_WINDOWS) {
+    throw new Error(`Log range ${fromBlock}-${toBlock} exceeds ${MAX_LOG_WINDOWS} requests of ${blockRange} blocks`);
+  }
+  const ethersProvider = ensureEthersProvider(provider);
+  const logs = [];
+  for (let start = fromBlock; start <= toBlock; start += blockRange) {
+    const end = Math.min(start + blockRange - 1, toBlock);
+    const chunk = await ethersProvider.getLogs({ address: contractAddress, topics, fromBlock: start, toBlock: end });
+    logs.push(...chunk);
+  }
+  return logs;
+}
+
+const formatHistoryEntry = (parsed, log, userAddress) => {
+  const entry = {
+    id: `${log.transactionHash}-${log.index}`,
+    type: parsed.name,
+    txHash: log.transactionHash,
+    blockNumber: log.blockNumber,
+    logIndex: log.index,
+    amount: null,
+  };
+
+  switch (parsed.name) {
+    case 'CollateralToggled':
+      entry.enabled = parsed.args.enabled;
+      break;
+    case 'Liquidate': {
+      const isLiquidator = parsed.args.liquidator.toLowerCase() === userAddress.toLowerCase();
+      entry.role = isLiquidator ? 'liquidator' : 'borrower';
+      entry.counterparty = isLiquidator ? parsed.args.borrower : parsed.args.liquidator;
+      entry.amount = parsed.args.repayAmount;
+      entry.seizeAmount = parsed.args.seizeAmount;
+      break;
     }
-    
-    // Check if data is stale (older than 1 hour = 3600 seconds)
-    const currentTime = Math.floor(Date.now() / 1000);
-    const stalenessThreshold = 3600; // 1 hour in seconds
-    if (updatedAt && currentTime - Number(updatedAt.toString()) > stalenessThreshold) {
-      console.warn('QIE Oracle data is stale (older than 1 hour)');
-      // Still use it but log warning
+    default:
+      entry.amount = parsed.args.amount;
+  }
+  return entry;
+};
+
+/**
+ * Get a page of the user's on-chain transaction history, newest first.
+ * Walks backwards from `toBlock` one block range at a time until at least `limit`
+ * entries are found, MAX_LOG_WINDOWS ranges are scanned or the deployment block is
+ * reached. Throws when VITE_QIE_CONTRACT_DEPLOY_BLOCK is not set.
+ * @param {Object} provider - The ethers provider
+ * @param {string} userAddress - Account to load history for
+ * @param {Object} [options]
+ * @param {number} [options.toBlock] - Block to start from (defaults to latest)
+ * @param {number} [options.limit] - Minimum number of entries to collect
+ * @returns {Promise<{entries: Array, nextToBlock: number|null}>} `nextToBlock` is the
+ *          cursor for the next page, or null once the whole history has been scanned
+ */
+export async function getTransactionHistory(provider, userAddress, { toBlock = null, limit = 25 } = {}) {
+  const deployBlock = requireDeployBlock();
+  const ethersProvider = ensureEthersProvider(provider);
+  const contract = getContract(ethersProvider);
+  const userTopic = ethers.zeroPadValue(userAddress, 32);
+  const eventTopics = HISTORY_EVENTS.map((name) => contract.interface.getEvent(name).topicHash);
+  const liquidateTopic = contract.interface.getEvent('Liquidate').topicHash;
+
+  let cursor = toBlock ?? (await ethersProvider.getBlockNumber());
+  const logs = [];
+
+  for (let window = 0; window < MAX_LOG_WINDOWS && cursor >= deployBlock && logs.length < limit; window++) {
+    const start = Math.max(deployBlock, cursor - LOG_BLOCK_RANGE + 1);
+    // Every history event indexes the user as its first topic, except Liquidate
+    // where the user may also appear as the (second) borrower topic
+    const [asUser, asBorrower] = await Promise.all([
+      getContractLogs(ethersProvider, [eventTopics, userTopic], start, cursor),
+      getContractLogs(ethersProvider, [liquidateTopic, null, userTopic], start, cursor),
+    ]);
+    logs.push(...asUser, ...asBorrower);
+    cursor = start - 1;
+  }
+
+  const entries = logs
+    .map((log) => formatHistoryEntry(contract.interface.parseLog(log), log, userAddress))
+    .sort((a, b) => b.blockNumber - a.blockNumber || b.logIndex - a.logIndex);
+
+  await Promise.all(
+    entries.map(async (entry) => {
+      entry.timestamp = await getBlockTimestamp(ethersProvider, entry.blockNumber);
+    })
+  );
+
+  return {
+    entries,
+    nextToBlock: cursor >= deployBlock ? cursor : null,
+  };
+}
+
+// ============================================================================
+// PROTOCOL ANALYTICS
+// ============================================================================
+// Events that move the protocol totals. Every one of them is emitted by a call that
+// accrues interest first, so the protocol state can be replayed from them exactly.
+const ANALYTICS_EVENTS = ['InterestAccrued', 'Supply', 'Withdraw', 'Borrow', 'Repay', 'Liquidate'];
+
+// Number of block timestamps fetched concurrently, to stay under RPC rate limits
+const ANALYTICS_TIMESTAMP_BATCH = 20;
+
+// QieLendNative state right after deployment
+const initialMarketState = () => ({
+  totalSupply: 0n,
+  totalBorrow: 0n,
+  totalReserves: 0n,
+  lastUpdateTime: 0n,
+  exchangeRate: protocolMath.WAD,
+  supplyIndex: protocolMath.WAD,
+  borrowIndex: protocolMath.WAD,
+});
+
+// Market state <-> JSON-safe cache object (BigInts as decimal strings)
+const serializeMarketState = (state) =>
+  Object.fromEntries(MARKET_STATE_KEYS.map((key) => [key, state[key].toString()]));
+const deserializeMarketState = (state) =>
+  Object.fromEntries(MARKET_STATE_KEYS.map((key) => [key, BigInt(state[key])]));
+
+const toAnalyticsPoint = (state, blockNumber, timestamp) => ({
+  blockNumber,
+  timestamp,
+  totalSupply: toDisplayNumber(state.totalSupply, assetDecimals()),
+  totalBorrow: toDisplayNumber(state.totalBorrow, assetDecimals()),
+  totalReserves: toDisplayNumber(state.totalReserves, assetDecimals()),
+  utilization: Number(protocolMath.getUtilization(state)) / 100,
+  supplyIndex: toDisplayNumber(state.supplyIndex),
+  borrowIndex: toDisplayNumber(state.borrowIndex),
+});
+
+/**
+ * Apply one QieLendNative event to a replayed market state
+ * @param {Object} state - Market state (BigInts), updated in place
+ * @param {Object} parsed - Parsed log
+ * @param {number} timestamp - Block timestamp of the log
+ */
+const applyAnalyticsEvent = (state, parsed, timestamp) => {
+  switch (parsed.name) {
+    case 'InterestAccrued': {
+      // Recompute the accrued interest with the contract's own math, then take the
+      // indexes and reserves from the event as the source of truth
+      const accrued = protocolMath.accrueInterest(state, BigInt(timestamp));
+      Object.assign(state, accrued, {
+        exchangeRate: parsed.args.newSupplyIndex,
+        supplyIndex: parsed.args.newSupplyIndex,
+        borrowIndex: parsed.args.newBorrowIndex,
+        totalReserves: parsed.args.totalReserves,
+      });
+      break;
     }
-    
-    // Get decimals from the oracle contract (default to 8 if call fails)
-    let decimals = 8; // Chainlink standard
-    try {
-      const decimalsRaw = await oracleContract.decimals();
-      decimals = Number(decimalsRaw.toString());
-      console.log(`Oracle decimals: ${decimals}`);
-    } catch (err) {
-      console.log('Could not fetch decimals from Oracle, using default 8');
+    case 'Supply':
+      state.totalSupply += parsed.args.amount;
+      break;
+    case 'Withdraw':
+      state.totalSupply -= parsed.args.amount;
+      break;
+    case 'Borrow':
+      state.totalBorrow += parsed.args.amount;
+      break;
+    case 'Repay':
+      // Overpayments go to reserves but are not in the event; the next
+      // InterestAccrued event brings totalReserves back in line
+      state.totalBorrow -= parsed.args.amount;
+      break;
+    case 'Liquidate':
+      state.totalBorrow -= parsed.args.repayAmount;
+      state.totalSupply -= parsed.args.seizeAmount;
+      break;
+    default:
+      break;
+  }
+  // Every analytics event comes from a call that ran _accrueInterest in this block
+  state.lastUpdateTime = BigInt(timestamp);
+};
+
+/**
+ * Bring the protocol analytics history up to date.
+ * Replays InterestAccrued and Supply/Withdraw/Borrow/Repay/Liquidate events from the
+ * deployment block (or from `cache.lastBlock`) and records the protocol totals,
+ * utilization and indexes at the end of every block that changed them. One call
+ * replays at most MAX_LOG_WINDOWS block ranges; `lastBlock` is the last block replayed,
+ * so the next call carries on from there. Throws without a cache when
+ * VITE_QIE_CONTRACT_DEPLOY_BLOCK is not set.
+ * @param {Object} provider - The ethers provider
+ * @param {Object} [cache] - Previous result of syncProtocolHistory
+ * @returns {Promise<{lastBlock: number, state: Object, points: Array, updatedAt: number}>}
+ *          `points` are oldest first: { blockNumber, timestamp, totalSupply, totalBorrow,
+ *          totalReserves, utilization (%), supplyIndex, borrowIndex }
+ */
+export async function syncProtocolHistory(provider, cache = null) {
+  const ethersProvider = ensureEthersProvider(provider);
+  const contract = getContract(ethersProvider);
+  const latestBlock = await ethersProvider.getBlockNumber();
+  const fromBlock = cache?.lastBlock != null ? cache.lastBlock + 1 : requireDeployBlock();
+  const toBlock = getScanEnd(fromBlock, latestBlock);
+
+  const state = cache?.state ? deserializeMarketState(cache.state) : initialMarketState();
+  state.params = await getMarketParams(ethersProvider);
+  const points = [...(cache?.points || [])];
+
+  if (fromBlock <= toBlock) {
+    const topics = [ANALYTICS_EVENTS.map((name) => contract.interface.getEvent(name).topicHash)];
+    const logs = (await getContractLogs(ethersProvider, topics, fromBlock, toBlock))
+      .sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+    const blockNumbers = [...new Set(logs.map((log) => log.blockNumber))];
+    for (let i = 0; i < blockNumbers.length; i += ANALYTICS_TIMESTAMP_BATCH) {
+      await Promise.all(
+        blockNumbers.slice(i, i + ANALYTICS_TIMESTAMP_BATCH).map((blockNumber) => getBlockTimestamp(ethersProvider, blockNumber))
+      );
     }
-    
-    // Convert int256 answer to positive number
-    // Handle negative values (shouldn't happen for price, but handle gracefully)
-    const answerBigInt = BigInt(answer.toString());
-    const answerAbs = answerBigInt < 0n ? -answerBigInt : answerBigInt;
-    const answerString = answerAbs.toString();
-    
-    console.log(`Oracle raw answer: ${answerString}, decimals: ${decimals}`);
-    
-    // Convert to decimal price
-    const price = Number(answerAbs) / Math.pow(10, decimals);
-    
-    console.log(`Calculated price before validation: $${price}`);
-    
-    // If price seems too high, try different decimal interpretations
-    // Sometimes oracles return prices in different formats
-    let finalPrice = price;
-    if (price > 1000) {
-      // Try with 18 decimals (native token format)
-      const price18 = Number(answerAbs) / Math.pow(10, 18);
-      if (price18 >= 0.001 && price18 <= 1000) {
-        console.log(`Price with 18 decimals is reasonable: $${price18}`);
-        finalPrice = price18;
-      } else {
-        // Try with 0 decimals (maybe it's already in USD format)
-        const price0 = Number(answerAbs);
-        if (price0 >= 0.001 && price0 <= 1000) {
-          console.log(`Price with 0 decimals is reasonable: $${price0}`);
-          finalPrice = price0;
-        } else {
-          // Try dividing by 1e6 (maybe it's in micro-dollars or something)
-          const price6 = Number(answerAbs) / 1e6;
-          if (price6 >= 0.001 && price6 <= 1000) {
-            console.log(`Price divided by 1e6 is reasonable: $${price6}`);
-            finalPrice = price6;
-          }
-        }
+
+    for (let i = 0; i < logs.length; i++) {
+      const log = logs[i];
+      const timestamp = blockTimestampCache.get(log.blockNumber);
+      applyAnalyticsEvent(state, contract.interface.parseLog(log), timestamp);
+      // One point per block, taken after its last event
+      if (logs[i + 1]?.blockNumber !== log.blockNumber) {
+        points.push(toAnalyticsPoint(state, log.blockNumber, timestamp));
       }
     }
-    
-    // Validate price is reasonable (between 0.001 and 1000 USD)
-    if (finalPrice < 0.001 || finalPrice > 1000) {
-      console.warn(`QIE Oracle returned unreasonable price: ${finalPrice} USD (raw: ${answerString}, decimals: ${decimals})`);
-      return 0.13; // Fallback
-    }
-    
-    console.log(`QIE Price from Oracle: $${finalPrice.toFixed(4)} (decimals: ${decimals}, updated: ${new Date(Number(updatedAt.toString()) * 1000).toISOString()})`);
-    return finalPrice;
-    
-  } catch (error) {
-    console.error('Error fetching QIE price from Oracle:', error);
-    // Return fallback price
-    return 0.13;
   }
+
+  return { lastBlock: toBlock, state: serializeMarketState(state), points, updatedAt: Date.now() };
 }
 
+// ============================================================================
+// POINTS LEADERBOARD
+// ============================================================================
+// Number of participants scored concurrently, to stay under RPC rate limits
+const LEADERBOARD_SCORE_BATCH = 20;
+
 /**
- * Get token price from Oracle (Chainlink AggregatorV3Interface compatible)
- * Returns price in USD
- * @param {string} tokenSymbol - Token symbol (SOL, ETH, BTC, XRP, BNB)
- * @param {Object} provider - Optional ethers provider
+ * Find every address that supplied or borrowed between two blocks
+ * @param {Object} provider - The ethers provider
+ * @param {number} fromBlock - First block to scan (inclusive)
+ * @param {number} toBlock - Last block to scan (inclusive)
+ * @returns {Promise<string[]>} Lowercased, de-duplicated addresses
  */
-export async function getTokenPrice(tokenSymbol, provider = null) {
-  const oracleAddress = TOKEN_ORACLES[tokenSymbol];
-  if (!oracleAddress || oracleAddress === '0x0000000000000000000000000000000000000000') {
-    console.warn(`No oracle address configured for ${tokenSymbol}`);
-    return null;
+export async function getParticipants(provider, fromBlock, toBlock) {
+  const contract = getContract(provider);
+  const topics = [[
+    contract.interface.getEvent('Supply').topicHash,
+    contract.interface.getEvent('Borrow').topicHash,
+  ]];
+  const logs = await getContractLogs(provider, topics, fromBlock, toBlock);
+  const participants = new Set(
+    logs.map((log) => contract.interface.parseLog(log).args.user.toLowerCase())
+  );
+  return [...participants];
+}
+
+/**
+ * Score a list of addresses with their accumulated PointsCalculator points
+ * @returns {Promise<Object>} Map of address -> points
+ */
+export async function scoreParticipants(provider, addresses) {
+  const points = getPointsContract(provider);
+  const scores = {};
+
+  for (let i = 0; i < addresses.length; i += LEADERBOARD_SCORE_BATCH) {
+    const batch = addresses.slice(i, i + LEADERBOARD_SCORE_BATCH);
+    await Promise.all(
+      batch.map(async (address) => {
+        const score = await points.getAccumulatedPoints(address);
+        scores[address] = toDisplayNumber(score);
+      })
+    );
   }
+  return scores;
+}
 
-  try {
-    let ethersProvider;
-    
-    if (provider) {
-      try {
-        ethersProvider = ensureEthersProvider(provider);
-      } catch (e) {
-        ethersProvider = new ethers.JsonRpcProvider('https://rpc1mainnet.qie.digital/');
-      }
-    } else {
-      ethersProvider = new ethers.JsonRpcProvider('https://rpc1mainnet.qie.digital/');
-    }
-    
-    const code = await ethersProvider.getCode(oracleAddress);
-    if (code === '0x' || code === '0x0') {
-      console.warn(`${tokenSymbol} Oracle contract not found at address:`, oracleAddress);
-      return null;
-    }
-    
-    const oracleContract = new ethers.Contract(oracleAddress, QIE_ORACLE_ABI, ethersProvider);
-    const roundData = await oracleContract.latestRoundData();
-    
-    const answer = roundData[1];
-    const updatedAt = roundData[3];
-    
-    if (!answer || answer.toString() === '0') {
-      console.warn(`${tokenSymbol} Oracle returned zero answer`);
-      return null;
-    }
-    
-    const currentTime = Math.floor(Date.now() / 1000);
-    const stalenessThreshold = 3600;
-    if (updatedAt && currentTime - Number(updatedAt.toString()) > stalenessThreshold) {
-      console.warn(`${tokenSymbol} Oracle data is stale`);
-    }
-    
-    let decimals = 8;
-    try {
-      decimals = Number(await oracleContract.decimals());
-    } catch (err) {
-      console.warn(`Could not fetch decimals from ${tokenSymbol} Oracle, using default 8`);
-    }
-    
-    const answerBigInt = BigInt(answer.toString());
-    const answerAbs = answerBigInt < 0n ? -answerBigInt : answerBigInt;
-    const price = Number(answerAbs) / Math.pow(10, decimals);
-    
-    if (price < 0.001 || price > 1000000) {
-      console.warn(`${tokenSymbol} Oracle returned unreasonable price: ${price} USD`);
-      return null;
-    }
-    
-    console.log(`${tokenSymbol} Price from Oracle: $${price.toFixed(4)}`);
-    return price;
-  } catch (error) {
-    console.error(`Error fetching ${tokenSymbol} price from Oracle:`, error);
-    return null;
+/**
+ * Bring a leaderboard cache up to date.
+ * Only blocks after `cache.lastBlock` are scanned for new participants, but every
+ * known participant is re-scored because points keep accruing between syncs. Like
+ * syncProtocolHistory, one call scans at most MAX_LOG_WINDOWS block ranges and needs
+ * VITE_QIE_CONTRACT_DEPLOY_BLOCK for its first scan.
+ * @param {Object} provider - The ethers provider
+ * @param {Object} [cache] - Previous result of syncLeaderboard ({ lastBlock, entries })
+ * @returns {Promise<{lastBlock: number, entries: Object, updatedAt: number}>}
+ */
+export async function syncLeaderboard(provider, cache = null) {
+  const ethersProvider = ensureEthersProvider(provider);
+  const latestBlock = await ethersProvider.getBlockNumber();
+  const fromBlock = cache?.lastBlock != null ? cache.lastBlock + 1 : requireDeployBlock();
+  const toBlock = getScanEnd(fromBlock, latestBlock);
+
+  const known = Object.keys(cache?.entries || {});
+  const discovered = fromBlock <= toBlock
+    ? await getParticipants(ethersProvider, fromBlock, toBlock)
+    : [];
+  const participants = [...new Set([...known, ...discovered])];
+
+  const entries = await scoreParticipants(ethersProvider, participants);
+  return { lastBlock: toBlock, entries, updatedAt: Date.now() };
+}
+
+const getSeasonStatus = (season, now) => {
+  if (season.closedAt > 0) return 'closed';
+  if (now < season.start) return 'upcoming';
+  if (now < season.end) return 'active';
+  return 'ended';
+};
+
+/**
+ * Get the points season schedule
+ * @returns {Promise<Array>} Seasons ordered by id; timestamps in seconds, weights in
+ *          points per QIE per day
+ */
+export async function getSeasons(provider) {
+  const contract = getPointsContract(provider);
+  const count = Number(await contract.seasonCount());
+  const now = Math.floor(Date.now() / 1000);
+
+  const seasons = await Promise.all(
+    Array.from({ length: count }, (_, id) => contract.seasons(id))
+  );
+
+  return seasons.map((season, id) => {
+    const entry = {
+      id,
+      name: `Season ${id + 1}`,
+      start: Number(season.start),
+      end: Number(season.end),
+      supplyPointsPerDay: toDisplayNumber(season.supplyPointsPerSecond * 86400n),
+      borrowPointsPerDay: toDisplayNumber(season.borrowPointsPerSecond * 86400n),
+      closedAt: Number(season.closedAt),
+    };
+    entry.status = getSeasonStatus(entry, now);
+    return entry;
+  });
+}
+
+/**
+ * Get a user's points in one season
+ */
+export async function getSeasonPoints(provider, seasonId, userAddress) {
+  const contract = getPointsContract(provider);
+  const points = await contract.getSeasonPoints(seasonId, userAddress);
+  return toDisplayNumber(points);
+}
+
+/**
+ * Score a list of addresses for one season
+ * @returns {Promise<Object>} Map of address -> season points
+ */
+export async function getSeasonStandings(provider, seasonId, addresses) {
+  const contract = getPointsContract(provider);
+  const scores = {};
+
+  for (let i = 0; i < addresses.length; i += LEADERBOARD_SCORE_BATCH) {
+    const batch = addresses.slice(i, i + LEADERBOARD_SCORE_BATCH);
+    await Promise.all(
+      batch.map(async (address) => {
+        const points = await contract.getSeasonPoints(seasonId, address);
+        scores[address] = toDisplayNumber(points);
+      })
+    );
+  }
+  return scores;
+}
+
+// ============================================================================
+// LIQUIDATIONS
+// ============================================================================
+// Number of borrower positions read concurrently, to stay under RPC rate limits
+const LIQUIDATION_SCAN_BATCH = 20;
+
+/**
+ * Liquidate an unhealthy position by repaying part of its debt in the market's asset.
+ * A native market keeps any QIE sent above the borrower's debt, so callers should cap
+ * `amount` at the current borrow balance. An erc20 market needs an allowance for the
+ * amount first (see approve).
+ * @param {Object} provider - The ethers provider
+ * @param {string} borrower - Account to liquidate
+ * @param {bigint} amount - Asset to repay on the borrower's behalf, in base units
+ * @param {string} [accountAddress] - Liquidator account (required for QIE Wallet)
+ */
+export async function liquidate(provider, borrower, amount, accountAddress = null) {
+  const contract = await getContractWithSigner(provider, accountAddress);
+  const value = requireBaseUnits(amount);
+  const [method, args, overrides] = adapter.liquidate(borrower, value);
+  return trackTransaction(() => contract[method](...args, overrides), { action: 'liquidate', amount: value, decimals: assetDecimals() });
+}
+
+/**
+ * Get the liquidation bonus (basis points of the repaid amount paid to the liquidator)
+ */
+export async function getLiquidationBonus(provider) {
+  const contract = getContract(provider);
+  return Number(await contract.LIQUIDATION_BONUS());
+}
+
+/**
+ * Find every address that borrowed between two blocks
+ * @returns {Promise<string[]>} Lowercased, de-duplicated addresses
+ */
+export async function getBorrowers(provider, fromBlock, toBlock) {
+  const contract = getContract(provider);
+  const topics = [contract.interface.getEvent('Borrow').topicHash];
+  const logs = await getContractLogs(provider, topics, fromBlock, toBlock);
+  const borrowers = new Set(
+    logs.map((log) => contract.interface.parseLog(log).args.user.toLowerCase())
+  );
+  return [...borrowers];
+}
+
+/**
+ * Bring a borrower list up to date, scanning only blocks after `cache.lastBlock`, at
+ * most MAX_LOG_WINDOWS block ranges per call (see syncProtocolHistory)
+ * @param {Object} [cache] - Previous result of syncBorrowers ({ lastBlock, borrowers })
+ * @returns {Promise<{lastBlock: number, borrowers: string[], updatedAt: number}>}
+ */
+export async function syncBorrowers(provider, cache = null) {
+  const ethersProvider = ensureEthersProvider(provider);
+  const latestBlock = await ethersProvider.getBlockNumber();
+  const fromBlock = cache?.lastBlock != null ? cache.lastBlock + 1 : requireDeployBlock();
+  const toBlock = getScanEnd(fromBlock, latestBlock);
+
+  const discovered = fromBlock <= toBlock
+    ? await getBorrowers(ethersProvider, fromBlock, toBlock)
+    : [];
+  const borrowers = [...new Set([...(cache?.borrowers || []), ...discovered])];
+  return { lastBlock: toBlock, borrowers, updatedAt: Date.now() };
+}
+
+/**
+ * Read the open positions of a list of borrowers, riskiest first.
+ * Borrowers that have fully repaid are dropped.
+ * @returns {Promise<Array>} Positions with supplied/borrowed in base units and health factor in
+ *          1e18 fixed point (MaxUint256 when collateral is disabled)
+ */
+export async function getBorrowerPositions(provider, addresses) {
+  const contract = getContract(provider);
+  const positions = [];
+
+  for (let i = 0; i < addresses.length; i += LIQUIDATION_SCAN_BATCH) {
+    const batch = addresses.slice(i, i + LIQUIDATION_SCAN_BATCH);
+    const results = await Promise.all(
+      batch.map(async (address) => {
+        const [supplied, borrowed, healthFactor, account] = await Promise.all([
+          contract.getSupplyBalance(address),
+          contract.getBorrowBalance(address),
+          contract.getHealthFactor(address),
+          contract.accounts(address),
+        ]);
+        return {
+          address,
+          supplied,
+          borrowed,
+          healthFactor,
+          collateralEnabled: account.collateralEnabled,
+        };
+      })
+    );
+    positions.push(...results.filter((position) => position.borrowed > 0n));
+  }
+
+  return positions
+    .map((position) => ({
+      ...position,
+      liquidatable: position.collateralEnabled && position.healthFactor < protocolMath.WAD,
+    }))
+    .sort((a, b) => (a.healthFactor < b.healthFactor ? -1 : a.healthFactor > b.healthFactor ? 1 : 0));
+}
+
+/**
+ * Preview a liquidation the way QieLendNative.liquidate settles it
+ * @param {Object} position - Position from getBorrowerPositions
+ * @param {bigint} amount - Asset the liquidator sends, in base units
+ * @param {number} bonusBps - LIQUIDATION_BONUS in basis points
+ * @returns {{repay: bigint, bonus: bigint, seize: bigint, excess: bigint, sufficientCollateral: boolean}}
+ *          Amounts in base units
+ */
+export function previewLiquidation(position, amount, bonusBps) {
+  const repay = amount < position.borrowed ? amount : position.borrowed;
+  const bonus = (repay * BigInt(bonusBps)) / protocolMath.BPS;
+  const seize = repay + bonus;
+  return {
+    repay,
+    bonus,
+    seize,
+    excess: amount - repay,
+    sufficientCollateral: seize <= position.supplied,
+  };
+}
+
+// ============================================================================
+// SEASON REWARDS (MERKLE DISTRIBUTOR)
+// ============================================================================
+// Claims file written by scripts/build-merkle-rewards.js and published with the app
+const REWARDS_CLAIMS_URL = import.meta.env.VITE_REWARDS_CLAIMS_URL || '';
+// Overrides the `distributor` address recorded in the claims file
+const MERKLE_DISTRIBUTOR_ADDRESS = import.meta.env.VITE_MERKLE_DISTRIBUTOR_ADDRESS || '';
+
+const getDistributorAddress = (distribution) => {
+  const address = MERKLE_DISTRIBUTOR_ADDRESS || distribution.distributor;
+  if (!address) {
+    throw new Error('Merkle distributor address not configured');
+  }
+  return address;
+};
+
+/**
+ * Load the published rewards distribution (Merkle root and per-address proofs)
+ * @returns {Promise<Object|null>} Distribution, or null when no rewards are published
+ */
+export async function getRewardDistribution() {
+  if (!REWARDS_CLAIMS_URL) return null;
+
+  const response = await fetch(REWARDS_CLAIMS_URL);
+  if (!response.ok) {
+    throw new Error(`Failed to load rewards claims: ${response.status}`);
+  }
+  return await response.json();
+}
+
+/**
+ * Get the connected account's season reward claim
+ * @returns {Promise<Object|null>} Claim with proof and claimed flag, or null when the
+ *          account has no reward. `amount` is in the reward token's base units
+ *          (`tokenDecimals`).
+ */
+export async function getRewardClaim(provider, userAddress) {
+  const distribution = await getRewardDistribution();
+  if (!distribution) return null;
+
+  const normalizedAddress = userAddress.toLowerCase();
+  const entry = Object.entries(distribution.claims).find(
+    ([address]) => address.toLowerCase() === normalizedAddress
+  );
+  if (!entry) return null;
+
+  const [account, claim] = entry;
+  const distributor = new ethers.Contract(
+    getDistributorAddress(distribution),
+    MerkleDistributorABI,
+    ensureEthersProvider(provider)
+  );
+
+  return {
+    seasonId: distribution.seasonId,
+    account,
+    index: claim.index,
+    amount: BigInt(claim.amount),
+    tokenDecimals: distribution.tokenDecimals,
+    proof: claim.proof,
+    tokenSymbol: distribution.tokenSymbol,
+    claimDeadline: distribution.claimDeadline || null,
+    claimed: await distributor.isClaimed(claim.index),
+  };
+}
+
+/**
+ * Claim a season reward through the Merkle distributor
+ * @param {Object} claim - Claim returned by getRewardClaim
+ */
+export async function claimSeasonReward(provider, claim, accountAddress = null) {
+  const distribution = await getRewardDistribution();
+  if (!distribution) {
+    throw new Error('No season rewards published');
+  }
+  // Reuse the lending contract's signer so the account check applies here too
+  const lendingContract = await getContractWithSigner(provider, accountAddress);
+  const distributor = new ethers.Contract(
+    getDistributorAddress(distribution),
+    MerkleDistributorABI,
+    lendingContract.runner
+  );
+
+  return trackTransaction(
+    () => distributor.claim(claim.index, claim.account, claim.amount, claim.proof),
+    { action: 'claimSeasonReward', amount: claim.amount, decimals: claim.tokenDecimals }
+  );
+}
+
+// ============================================================================
+// MULTI-ASSET POOL
+// ============================================================================
+// contracts/QieLendPool.sol: several assets in one pool, each usable as collateral for
+// borrowing the others. Positions are valued in USD through each asset's price feed.
+const POOL_ADDRESS = import.meta.env.VITE_QIE_POOL_ADDRESS || '';
+
+// The pool lists native QIE under the zero address
+export const POOL_NATIVE_ASSET = ethers.ZeroAddress;
+
+/**
+ * Get the multi-asset pool (read-only)
+ */
+export function getPoolContract(provider) {
+  const ethersProvider = ensureEthersProvider(provider);
+  if (!POOL_ADDRESS) {
+    throw new Error('Pool contract address not configured');
+  }
+  return new ethers.Contract(POOL_ADDRESS, QieLendPoolABI, ethersProvider);
+}
+
+async function getPoolContractWithSigner(provider, accountAddress) {
+  if (!POOL_ADDRESS) {
+    throw new Error('Pool contract address not configured');
+  }
+  return new ethers.Contract(POOL_ADDRESS, QieLendPoolABI, await getSigner(provider, accountAddress));
+}
+
+// Native QIE travels as the transaction value; ERC20 assets are pulled with transferFrom
+const poolValue = (asset, amount) => (asset === POOL_NATIVE_ASSET ? { value: amount } : {});
+
+/**
+ * Every asset listed in the pool with its configuration, totals, USD price and rates
+ * @returns {Promise<Array<{asset: string, native: boolean, decimals: number, oracle: string,
+ *          heartbeat: number, borrowEnabled: boolean, risk: Object, totalSupply: bigint,
+ *          totalBorrow: bigint, totalReserves: bigint, price: bigint|null, supplyApy: number|null,
+ *          borrowApy: number|null}>} Amounts in the asset's base units; `price` is USD per
+ *          whole unit in 1e18 fixed point, null when the feed is stale or invalid; risk
+ *          parameters are basis points and APYs percent
+ */
+export async function getPoolMarkets(provider) {
+  const contract = getPoolContract(provider);
+  const assets = await contract.getAssets();
+  const results = await multicall(
+    provider,
+    assets.flatMap((asset) => [
+      { contract, method: 'markets', args: [asset] },
+      { contract, method: 'getPrice', args: [asset] },
+      { contract, method: 'getSupplyAPY', args: [asset] },
+      { contract, method: 'getBorrowAPY', args: [asset] },
+    ])
+  );
+
+  return assets.map((asset, i) => {
+    const [market, price, supplyApy, borrowApy] = results.slice(i * 4, i * 4 + 4);
+    if (!market) throw new Error(`Failed to read pool market ${asset}`);
+    return {
+      asset,
+      native: asset === POOL_NATIVE_ASSET,
+      decimals: Number(market.decimals),
+      oracle: market.oracle,
+      heartbeat: Number(market.heartbeat),
+      borrowEnabled: market.borrowEnabled,
+      risk: {
+        collateralFactor: Number(market.risk.collateralFactor),
+        liquidationThreshold: Number(market.risk.liquidationThreshold),
+        liquidationBonus: Number(market.risk.liquidationBonus),
+        reserveFactor: Number(market.risk.reserveFactor),
+      },
+      totalSupply: market.totalSupply,
+      totalBorrow: market.totalBorrow,
+      totalReserves: market.totalReserves,
+      price,
+      supplyApy: supplyApy === null ? null : Number(supplyApy) / 100,
+      borrowApy: borrowApy === null ? null : Number(borrowApy) / 100,
+    };
+  });
+}
+
+/**
+ * A user's pool account: USD totals across all assets, the health factor and the
+ * position in each asset
+ * @param {string[]} [assets] - Assets to read positions for; defaults to every listed asset
+ * @returns {Promise<{collateralValue: bigint, borrowLimit: bigint, liquidationValue: bigint,
+ *          debtValue: bigint, healthFactor: bigint, positions: Object}>} USD values and the
+ *          health factor in 1e18 fixed point (MAX_UINT256 without debt). `positions` maps
+ *          each asset to {supplied, borrowed, availableToBorrow, collateralEnabled} in the
+ *          asset's base units. Account totals are null while any price feed the account
+ *          uses is stale.
+ */
+export async function getPoolAccount(provider, userAddress, assets = null) {
+  const contract = getPoolContract(provider);
+  const assetList = assets ?? (await contract.getAssets());
+  const results = await multicall(provider, [
+    { contract, method: 'getAccountLiquidity', args: [userAddress] },
+    { contract, method: 'getHealthFactor', args: [userAddress] },
+    ...assetList.flatMap((asset) => [
+      { contract, method: 'positions', args: [asset, userAddress] },
+      { contract, method: 'getSupplyBalance', args: [userAddress, asset] },
+      { contract, method: 'getBorrowBalance', args: [userAddress, asset] },
+      { contract, method: 'getAvailableToBorrow', args: [userAddress, asset] },
+    ]),
+  ]);
+
+  const [liquidity, healthFactor] = results;
+  const positions = Object.fromEntries(
+    assetList.map((asset, i) => {
+      const [position, supplied, borrowed, availableToBorrow] = results.slice(2 + i * 4, 6 + i * 4);
+      return [asset, { supplied, borrowed, availableToBorrow, collateralEnabled: position?.collateralEnabled ?? false }];
+    })
+  );
+
+  return {
+    collateralValue: liquidity?.collateralValue ?? null,
+    borrowLimit: liquidity?.borrowLimit ?? null,
+    liquidationValue: liquidity?.liquidationValue ?? null,
+    debtValue: liquidity?.debtValue ?? null,
+    healthFactor,
+    positions,
+  };
+}
+
+/**
+ * How much of an ERC20 asset the pool may pull from `userAddress`
+ * @param {string} asset - Asset address
+ * @returns {Promise<bigint>} Allowance in the asset's base units; MAX_UINT256 for
+ *          POOL_NATIVE_ASSET, which needs none
+ */
+export async function getPoolAllowance(provider, asset, userAddress) {
+  if (asset === POOL_NATIVE_ASSET) return ethers.MaxUint256;
+  if (!POOL_ADDRESS) {
+    throw new Error('Pool contract address not configured');
   }
+  const token = new ethers.Contract(asset, ERC20_ABI, ensureEthersProvider(provider));
+  return token.allowance(userAddress, POOL_ADDRESS);
+}
+
+/**
+ * Approve the pool to pull `amount` of an ERC20 asset, for a supply, repay or
+ * liquidation in it. Approves the exact amount, like approve() does for the lending market.
+ * @param {string} asset - Asset address
+ * @param {bigint} amount - Amount in the asset's base units
+ * @param {number} [decimals] - Asset decimals, for display
+ * @returns {Promise<Object>} trackTransaction result
+ */
+export async function poolApprove(provider, asset, amount, accountAddress = null, decimals = 18) {
+  if (asset === POOL_NATIVE_ASSET) throw new Error('Native QIE needs no approval');
+  if (!POOL_ADDRESS) {
+    throw new Error('Pool contract address not configured');
+  }
+  const token = new ethers.Contract(asset, ERC20_ABI, await getSigner(provider, accountAddress));
+  const value = requireBaseUnits(amount);
+  return trackTransaction(() => token.approve(POOL_ADDRESS, value), { action: 'approve', amount: value, decimals });
+}
+
+/**
+ * Supply an asset to the pool. An ERC20 asset must be approved for the pool first
+ * (see poolApprove).
+ * @param {string} asset - Asset address; POOL_NATIVE_ASSET for QIE
+ * @param {bigint} amount - Amount in the asset's base units
+ * @param {number} [decimals] - Asset decimals, for display
+ */
+export async function poolSupply(provider, asset, amount, accountAddress = null, decimals = 18) {
+  const contract = await getPoolContractWithSigner(provider, accountAddress);
+  const value = requireBaseUnits(amount);
+  return trackTransaction(() => contract.supply(asset, value, poolValue(asset, value)), {
+    action: 'supply',
+    amount: value,
+    decimals,
+  });
+}
+
+/**
+ * Withdraw a supplied asset from the pool
+ * @param {bigint} amount - Amount in the asset's base units
+ */
+export async function poolWithdraw(provider, asset, amount, accountAddress = null, decimals = 18) {
+  const contract = await getPoolContractWithSigner(provider, accountAddress);
+  const value = requireBaseUnits(amount);
+  return trackTransaction(() => contract.withdraw(asset, value), { action: 'withdraw', amount: value, decimals });
+}
+
+/**
+ * Borrow an asset against the account's collateral in all assets
+ * @param {bigint} amount - Amount in the asset's base units
+ */
+export async function poolBorrow(provider, asset, amount, accountAddress = null, decimals = 18) {
+  const contract = await getPoolContractWithSigner(provider, accountAddress);
+  const value = requireBaseUnits(amount);
+  return trackTransaction(() => contract.borrow(asset, value), { action: 'borrow', amount: value, decimals });
+}
+
+/**
+ * Repay borrowed debt in an asset. The pool only takes the current debt: native QIE
+ * sent above it is refunded, and only the debt is pulled for an ERC20, so a MAX repay
+ * can pass more than the debt. An ERC20 asset must be approved for the pool first
+ * (see poolApprove).
+ * @param {bigint} amount - Amount in the asset's base units
+ */
+export async function poolRepay(provider, asset, amount, accountAddress = null, decimals = 18) {
+  const contract = await getPoolContractWithSigner(provider, accountAddress);
+  const value = requireBaseUnits(amount);
+  return trackTransaction(() => contract.repay(asset, value, poolValue(asset, value)), {
+    action: 'repay',
+    amount: value,
+    decimals,
+  });
+}
+
+/**
+ * Use (or stop using) a supplied asset as collateral
+ */
+export async function setPoolCollateralEnabled(provider, asset, enabled, accountAddress = null) {
+  const contract = await getPoolContractWithSigner(provider, accountAddress);
+  return trackTransaction(() => contract.setCollateralEnabled(asset, enabled), { action: 'collateral' });
+}
+
+/**
+ * Liquidate an unhealthy pool account: repay part of its debt in `debtAsset` and seize
+ * the USD value plus the collateral asset's liquidation bonus in `collateralAsset`
+ * @param {bigint} amount - Debt to repay, in the debt asset's base units. Native QIE
+ *        above the debt is refunded.
+ */
+export async function poolLiquidate(provider, borrower, debtAsset, collateralAsset, amount, accountAddress = null, decimals = 18) {
+  const contract = await getPoolContractWithSigner(provider, accountAddress);
+  const value = requireBaseUnits(amount);
+  return trackTransaction(
+    () => contract.liquidate(borrower, debtAsset, collateralAsset, value, poolValue(debtAsset, value)),
+    { action: 'liquidate', amount: value, decimals }
+  );
 }
@@ -0,0 +1,110 @@
+import { ethers } from 'ethers';
+
+// ============================================================================
+// AMOUNT FORMATTING
+// ============================================================================
+// Token amounts are carried as bigint base units (wei for QIE) through contract.js
+// and the app state, and only become text here. Floats never hold an amount that is
+// sent on-chain; toDisplayNumber is for charts, sorting and USD estimates.
+
+export const QIE_DECIMALS = 18;
+
+// Digits with an optional decimal point, as typed into an amount field
+const AMOUNT_INPUT_PATTERN = /^(\d+\.?\d*|\.\d+)$/;
+
+/**
+ * Validate the text of an amount field
+ * @param {string} input - Field value
+ * @param {number} [decimals] - Token decimals
+ * @returns {string|null} User-facing error, or null when the input is empty or valid
+ */
+export function getAmountInputError(input, decimals = QIE_DECIMALS) {
+  if (!input) return null;
+  if (!AMOUNT_INPUT_PATTERN.test(input)) return 'Enter a valid amount';
+  const fraction = input.split('.')[1] || '';
+  if (fraction.length > decimals) return `Amounts have at most ${decimals} decimal places`;
+  return null;
+}
+
+/**
+ * Parse an amount field into base units, without going through a float
+ * @param {string} input - Field value, e.g. "1.5"
+ * @param {number} [decimals] - Token decimals
+ * @returns {bigint|null} Amount, or null when the input is empty or invalid
+ */
+export function parseAmount(input, decimals = QIE_DECIMALS) {
+  if (!input || getAmountInputError(input, decimals)) return null;
+  const [whole, fraction = ''] = input.split('.');
+  return ethers.parseUnits(fraction ? `${whole || '0'}.${fraction}` : whole, decimals);
+}
+
+/**
+ * Exact text for an amount field, e.g. when filling in a balance
+ * @param {bigint} value - Amount in base units
+ * @param {number} [decimals] - Token decimals
+ * @returns {string} Every significant digit, without trailing zeros ("12.5", "3")
+ */
+export function formatAmountInput(value, decimals = QIE_DECIMALS) {
+  return ethers.formatUnits(value, decimals).replace(/\.0$/, '');
+}
+
+/**
+ * Amount for display. Rounds down, so a balance is never shown as more than it is.
+ * @param {bigint|null} value - Amount in base units
+ * @param {Object} [options]
+ * @param {number} [options.digits=2] - Decimal places shown
+ * @param {number} [options.decimals] - Token decimals
+ * @param {boolean} [options.compact=false] - Abbreviate thousands and millions (K, M)
+ * @returns {string} e.g. "1,234.56" or "1.23M"; "—" for null
+ */
+export function formatAmount(value, { digits = 2, decimals = QIE_DECIMALS, compact = false } = {}) {
+  if (value === null || value === undefined) return '—';
+  const negative = value < 0n;
+  const abs = negative ? -value : value;
+
+  let scale = decimals;
+  let suffix = '';
+  if (compact && abs >= 10n ** BigInt(decimals + 6)) {
+    scale += 6;
+    suffix = 'M';
+  } else if (compact && abs >= 10n ** BigInt(decimals + 3)) {
+    scale += 3;
+    suffix = 'K';
+  }
+
+  const shown = Math.min(digits, scale);
+  const units = abs / 10n ** BigInt(scale - shown);
+  const whole = units / 10n ** BigInt(shown);
+  const fraction = shown ? `.${(units % 10n ** BigInt(shown)).toString().padStart(shown, '0')}` : '';
+  return `${negative ? '-' : ''}${whole.toLocaleString('en-US')}${fraction}${suffix}`;
+}
+
+/**
+ * Approximate number for charts, sorting and USD estimates
+ * @param {bigint} value - Amount in base units, or a 1e18 fixed-point ratio
+ * @param {number} [decimals] - Token decimals
+ * @returns {number} Infinity for MaxUint256 (health factor without debt)
+ */
+export function toDisplayNumber(value, decimals = QIE_DECIMALS) {
+  if (value >= ethers.MaxUint256) return Infinity;
+  return parseFloat(ethers.formatUnits(value, decimals));
+}
+
+/**
+ * USD value of an amount at `price`
+ * @returns {string} e.g. "$1,234.56"; "—" while the price is unknown
+ */
+export function formatUsd(value, price, { digits = 2, decimals = QIE_DECIMALS } = {}) {
+  if (price === null || price === undefined) return '—';
+  const usd = toDisplayNumber(value, decimals) * price;
+  return `$${usd.toLocaleString('en-US', { minimumFractionDigits: digits, maximumFractionDigits: digits })}`;
+}
+
+/**
+ * Health factor (1e18 fixed point) for display; "∞" without debt
+ */
+export function formatHealthFactor(value, digits = 2) {
+  if (value === null || value === undefined) return '—';
+  if (value >= ethers.MaxUint256) return '∞';
+  return formatAmount(value, { digits });
+}
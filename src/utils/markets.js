@@ -0,0 +1,128 @@
+import { ethers } from 'ethers';
+import MarketRegistryABI from '../contracts/MarketRegistryABI.json';
+import marketConfig from '../config/markets.json';
+import { getReadProvider } from './rpc.js';
+
+// ============================================================================
+// MARKET REGISTRY
+// ============================================================================
+// Every market the app shows is listed in src/config/markets.json: its lending pool and
+// contract type, asset, price feed (a PRICE_FEEDS key), status and risk parameters.
+// When a MarketRegistry contract is configured, its entries override the config by
+// symbol, so a market can be listed, paused or retired without a frontend release.
+
+// Optional on-chain registry (contracts/MarketRegistry.sol)
+const REGISTRY_ADDRESS = import.meta.env.VITE_MARKET_REGISTRY_ADDRESS || '';
+
+/**
+ * Market statuses, in the order of the MarketRegistry.Status enum
+ * - coming-soon: listed for display; no pool yet
+ * - active: open for every action
+ * - paused: shown, but the pool is not used
+ * - deprecated: retired; only existing positions are shown
+ */
+export const MARKET_STATUSES = ['coming-soon', 'active', 'paused', 'deprecated'];
+
+/**
+ * Lending contract types; a market's `type` picks the adapter contract.js uses for it
+ * - native: QieLendNative; the asset is the chain's native QIE, sent as the transaction value
+ * - erc20: QieLend; `asset.address` is the token, pulled with transferFrom after an approve
+ */
+export const MARKET_TYPES = ['native', 'erc20'];
+
+const toAddress = (address) => (address && address !== ethers.ZeroAddress ? ethers.getAddress(address) : null);
+
+/**
+ * Markets from src/config/markets.json. A market's pool address can come from an
+ * environment variable named by its `poolEnv`. An erc20 market with a pool must give
+ * its token's `asset.decimals`; amounts are parsed and formatted with them.
+ */
+export const MARKETS = marketConfig.markets.map(({ poolEnv, ...market }) => {
+  const pool = toAddress(market.pool || (poolEnv && import.meta.env[poolEnv]));
+  if (pool && market.type === 'erc20' && !Number.isInteger(market.asset.decimals)) {
+    throw new Error(`Market ${market.symbol} has a pool but no asset.decimals in src/config/markets.json`);
+  }
+  return { ...market, pool, oracleAddress: null };
+});
+
+// Native QIE has 18 decimals; a registry token's decimals() is read once per address
+const NATIVE_DECIMALS = 18;
+const ERC20_DECIMALS_ABI = ['function decimals() view returns (uint8)'];
+const tokenDecimals = new Map();
+
+async function getTokenDecimals(address, provider) {
+  if (!address) return NATIVE_DECIMALS;
+  if (!tokenDecimals.has(address)) {
+    const token = new ethers.Contract(address, ERC20_DECIMALS_ABI, provider);
+    tokenDecimals.set(address, Number(await token.decimals()));
+  }
+  return tokenDecimals.get(address);
+}
+
+// Risk parameters are basis points (7000 = 70%)
+const toRisk = (risk) => ({
+  collateralFactor: Number(risk.collateralFactor),
+  liquidationThreshold: Number(risk.liquidationThreshold),
+  liquidationBonus: Number(risk.liquidationBonus),
+  reserveFactor: Number(risk.reserveFactor),
+});
+
+/**
+ * Markets with the on-chain registry applied. Registry entries replace the config's
+ * pool, asset address, oracle address, status and risk parameters, and the asset's
+ * decimals are read from the registry's token (18 for the zero address, native QIE).
+ * Markets only in the registry are appended with their symbol as name and price feed,
+ * and the native type when their asset is the zero address.
+ * @returns {Promise<Object[]>} MARKETS when no registry is configured or it cannot be read
+ */
+export async function getMarkets(provider = getReadProvider()) {
+  if (!REGISTRY_ADDRESS) return MARKETS;
+  try {
+    const registry = new ethers.Contract(REGISTRY_ADDRESS, MarketRegistryABI, provider);
+    const entries = await registry.getMarkets();
+    const decimals = await Promise.all(
+      entries.map((entry) => getTokenDecimals(toAddress(entry.asset), provider))
+    );
+
+    const markets = [...MARKETS];
+    entries.forEach((entry, i) => {
+      const index = markets.findIndex((market) => market.symbol === entry.symbol);
+      const base = markets[index] || {
+        symbol: entry.symbol,
+        name: entry.symbol,
+        type: entry.asset === ethers.ZeroAddress ? 'native' : 'erc20',
+        asset: { symbol: entry.symbol, decimals: null, native: false, address: null },
+        oracle: entry.symbol,
+        priceDigits: 2,
+      };
+      const market = {
+        ...base,
+        pool: toAddress(entry.pool),
+        asset: { ...base.asset, address: toAddress(entry.asset), decimals: decimals[i] },
+        oracleAddress: toAddress(entry.oracle),
+        status: MARKET_STATUSES[Number(entry.status)] ?? base.status,
+        // An unset entry (all zero) leaves the config's parameters in place
+        risk: entry.risk.liquidationThreshold > 0n ? toRisk(entry.risk) : base.risk ?? null,
+      };
+      if (index === -1) markets.push(market);
+      else markets[index] = market;
+    });
+    return markets;
+  } catch (error) {
+    console.error('Error reading market registry:', error);
+    return MARKETS;
+  }
+}
+
+/**
+ * Market the lending pool in contract.js serves: the first active market with a pool,
+ * else the first market with a pool (e.g. paused), else the first market
+ */
+export function getPrimaryMarket(markets = MARKETS) {
+  return (
+    markets.find((market) => market.status === 'active' && market.pool) ||
+    markets.find((market) => market.pool) ||
+    markets[0] ||
+    null
+  );
+}
@@ -0,0 +1,343 @@
+import { ethers } from 'ethers';
+import { getReadProvider } from './rpc.js';
+
+// ============================================================================
+// PRICE ORACLES
+// ============================================================================
+// Every USD price in the app comes from the Chainlink AggregatorV3Interface feeds
+// configured for its asset in PRICE_FEEDS. A feed's answer is only used while it is
+// fresh and within the asset's bounds. With several feeds, getPrice only returns a price
+// that a majority of them agree on, so one bad feed cannot move the price on its own.
+// A TWAP of the primary feed stands in for that feed when its latest answer is rejected;
+// it is never counted as a second opinion, since it comes from the same feed.
+
+// Comma-separated feed addresses from the environment, in order of preference
+const feedAddresses = (value, fallback) =>
+  (value || fallback)
+    .split(',')
+    .map((address) => address.trim())
+    .filter(Boolean);
+
+/**
+ * Feed registry by asset symbol. Each address variable takes a comma-separated list
+ * to add backup feeds; the first address is the primary feed.
+ * - addresses: AggregatorV3Interface feeds, in order of preference; each answer is
+ *   scaled by its feed's own decimals()
+ * - minPrice / maxPrice: USD range outside which an answer is treated as broken
+ * - heartbeat: seconds after the last update at which an answer is stale
+ * - maxDeviation (optional): overrides PRICE_AGGREGATION.maxDeviation for the asset
+ */
+export const PRICE_FEEDS = {
+  // QIE/USDT
+  QIE: {
+    addresses: feedAddresses(import.meta.env.VITE_QIE_ORACLE_ADDRESS, '0x3Bc617cF3A4Bb77003e4c556B87b13D556903D17'),
+    minPrice: 0.001,
+    maxPrice: 1000,
+    heartbeat: 3600,
+  },
+  BTC: {
+    addresses: feedAddresses(import.meta.env.VITE_BTC_ORACLE_ADDRESS, '0x9E596d809a20A272c788726f592c0d1629755440'),
+    minPrice: 1000,
+    maxPrice: 1000000,
+    heartbeat: 3600,
+  },
+  ETH: {
+    addresses: feedAddresses(import.meta.env.VITE_ETH_ORACLE_ADDRESS, '0x4bb7012Fbc79fE4Ae9B664228977b442b385500d'),
+    minPrice: 10,
+    maxPrice: 100000,
+    heartbeat: 3600,
+  },
+  XRP: {
+    addresses: feedAddresses(import.meta.env.VITE_XRP_ORACLE_ADDRESS, '0x804582B1f8Fea73919e7c737115009f668f97528'),
+    minPrice: 0.01,
+    maxPrice: 100,
+    heartbeat: 3600,
+  },
+  SOL: {
+    addresses: feedAddresses(import.meta.env.VITE_SOL_ORACLE_ADDRESS, '0xe86999c8e6C8eeF71bebd35286bCa674E0AD7b21'),
+    minPrice: 1,
+    maxPrice: 10000,
+    heartbeat: 3600,
+  },
+  BNB: {
+    addresses: feedAddresses(import.meta.env.VITE_BNB_ORACLE_ADDRESS, '0x775A56117Fdb8b31877E75Ceeb68C96765b031e6'),
+    minPrice: 10,
+    maxPrice: 10000,
+    heartbeat: 3600,
+  },
+  // Tether Gold
+  XAUt: {
+    addresses: feedAddresses(import.meta.env.VITE_XAUT_ORACLE_ADDRESS, '0x9aD0199a67588ee293187d26bA1BE61cb07A214c'),
+    minPrice: 500,
+    maxPrice: 20000,
+    heartbeat: 3600,
+  },
+};
+
+/**
+ * Aggregation settings shared by every asset
+ * - maxDeviation: relative distance from the median above which a source disagrees
+ *   with it (0.02 = 2%); set with VITE_PRICE_MAX_DEVIATION
+ * - twapWindow: seconds the TWAP source averages over
+ * - twapRounds: most rounds read to cover the TWAP window
+ */
+export const PRICE_AGGREGATION = {
+  maxDeviation: Number(import.meta.env.VITE_PRICE_MAX_DEVIATION || 0.02),
+  twapWindow: 3600,
+  twapRounds: 24,
+};
+
+const AGGREGATOR_V3_ABI = [
+  'function decimals() view returns (uint8)',
+  'function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)',
+  'function getRoundData(uint80 _roundId) view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)',
+];
+
+// Chainlink round IDs carry the aggregator phase in the top 16 bits; rounds are
+// numbered consecutively within a phase only
+const PHASE_OFFSET = 64n;
+
+const getFeed = (symbol) => {
+  const feed = PRICE_FEEDS[symbol];
+  if (!feed) throw new Error(`No price feed configured for ${symbol}`);
+  return feed;
+};
+
+const getFeedContract = (address, provider) => new ethers.Contract(address, AGGREGATOR_V3_ABI, provider);
+
+const toPrice = (decimals, answer) => parseFloat(ethers.formatUnits(answer, decimals));
+
+// On-chain decimals by feed address; they never change for a deployed feed, so each
+// feed is asked once
+const feedDecimals = new Map();
+
+async function getFeedDecimals(contract) {
+  const address = await contract.getAddress();
+  if (!feedDecimals.has(address)) {
+    feedDecimals.set(address, Number(await contract.decimals()));
+  }
+  return feedDecimals.get(address);
+}
+
+// Completed rounds by `${address}:${roundId}`; a round's answer never changes
+const roundCache = new Map();
+
+async function getRound(contract, roundId) {
+  const key = `${await contract.getAddress()}:${roundId}`;
+  if (!roundCache.has(key)) {
+    const round = await contract.getRoundData(roundId).catch(() => null);
+    if (!round) return null;
+    roundCache.set(key, round);
+  }
+  return roundCache.get(key);
+}
+
+/**
+ * Status of one round: 'ok', 'stale' (older than the heartbeat, or carried over from
+ * an earlier round), 'out-of-bounds' or 'invalid' (no positive answer, or incomplete)
+ */
+const getRoundStatus = (feed, decimals, round, now) => {
+  if (round.answer <= 0n || round.updatedAt === 0n) return 'invalid';
+  const price = toPrice(decimals, round.answer);
+  if (price < feed.minPrice || price > feed.maxPrice) return 'out-of-bounds';
+  if (round.answeredInRound < round.roundId || now - Number(round.updatedAt) > feed.heartbeat) return 'stale';
+  return 'ok';
+};
+
+const unavailable = (source) => ({ source, price: null, updatedAt: null, roundId: null, status: 'unavailable' });
+
+// Latest answer of one feed
+async function readFeed(feed, address, provider, now) {
+  const source = `feed:${address}`;
+  try {
+    const contract = getFeedContract(address, provider);
+    const [round, decimals] = await Promise.all([contract.latestRoundData(), getFeedDecimals(contract)]);
+    const status = getRoundStatus(feed, decimals, round, now);
+    return {
+      source,
+      price: status === 'ok' ? toPrice(decimals, round.answer) : null,
+      updatedAt: Number(round.updatedAt),
+      roundId: round.roundId,
+      status,
+    };
+  } catch (error) {
+    console.error(`Error reading price feed ${address}:`, error);
+    return unavailable(source);
+  }
+}
+
+// Valid rounds of one feed, oldest first, ending with the latest, each with its price
+async function readRounds(feed, address, count, provider) {
+  const contract = getFeedContract(address, provider);
+  const [latest, decimals] = await Promise.all([contract.latestRoundData(), getFeedDecimals(contract)]);
+
+  // Stay within the latest round's phase
+  const phaseStart = (latest.roundId >> PHASE_OFFSET) << PHASE_OFFSET;
+  const roundIds = [];
+  for (let id = latest.roundId - 1n; id > phaseStart && roundIds.length < count - 1; id -= 1n) {
+    roundIds.unshift(id);
+  }
+
+  // Requests issued together go out as one JSON-RPC batch
+  const earlier = await Promise.all(roundIds.map((id) => getRound(contract, id)));
+  // Each round is checked as of its own update time, so only the answer itself is judged
+  return [...earlier, latest]
+    .filter((round) => round && getRoundStatus(feed, decimals, round, Number(round.updatedAt)) === 'ok')
+    .map((round) => ({ roundId: round.roundId, updatedAt: round.updatedAt, price: toPrice(decimals, round.answer) }));
+}
+
+/**
+ * Time-weighted average of the primary feed over the last `twapWindow` seconds. Each
+ * round's answer counts for as long as it was the latest; a window that starts before
+ * the oldest round read is averaged from that round on.
+ */
+async function readTwap(feed, provider, now) {
+  const source = 'twap';
+  try {
+    const rounds = await readRounds(feed, feed.addresses[0], PRICE_AGGREGATION.twapRounds, provider);
+    const latest = rounds[rounds.length - 1];
+    if (!latest) return unavailable(source);
+    if (now - Number(latest.updatedAt) > feed.heartbeat) {
+      return { source, price: null, updatedAt: Number(latest.updatedAt), roundId: null, status: 'stale' };
+    }
+
+    const windowStart = now - PRICE_AGGREGATION.twapWindow;
+    let weighted = 0;
+    let elapsed = 0;
+    rounds.forEach((round, i) => {
+      const end = i + 1 < rounds.length ? Number(rounds[i + 1].updatedAt) : now;
+      const start = Math.max(Number(round.updatedAt), windowStart);
+      if (end <= start) return;
+      weighted += round.price * (end - start);
+      elapsed += end - start;
+    });
+    // Only updated this second: the latest answer is the average
+    const price = elapsed > 0 ? weighted / elapsed : latest.price;
+    return { source, price, updatedAt: Number(latest.updatedAt), roundId: null, status: 'ok' };
+  } catch (error) {
+    console.error('Error computing TWAP:', error);
+    return unavailable(source);
+  }
+}
+
+// Manually pinned prices by symbol, e.g. VITE_PINNED_PRICES="QIE=0.13,BTC=65000".
+// Development builds only; a production build ignores them.
+const pinnedPrices = new Map(
+  (import.meta.env.DEV ? import.meta.env.VITE_PINNED_PRICES || '' : '')
+    .split(',')
+    .map((entry) => entry.split('=').map((part) => part.trim()))
+    .filter(([symbol, price]) => symbol && Number(price) > 0)
+    .map(([symbol, price]) => [symbol, Number(price)])
+);
+
+/**
+ * Pin an asset's price, for tests and local development. The pinned value joins the
+ * feeds as the least preferred source; pass null to remove it. Throws in production
+ * builds.
+ */
+export function setPinnedPrice(symbol, price) {
+  if (!import.meta.env.DEV) throw new Error('Pinned prices are only available in development builds');
+  getFeed(symbol);
+  if (price === null) pinnedPrices.delete(symbol);
+  else pinnedPrices.set(symbol, price);
+}
+
+/**
+ * Median of accepted answers. With an even count, the middle answer from the more
+ * preferred source is used, so the result is always a real answer.
+ * @param {Array} accepted - Accepted source results, in order of preference
+ */
+const pickMedian = (accepted) => {
+  const sorted = [...accepted].sort((a, b) => a.price - b.price);
+  const middle = Math.floor((sorted.length - 1) / 2);
+  if (sorted.length % 2 === 1) return sorted[middle];
+  const [lower, upper] = [sorted[middle], sorted[middle + 1]];
+  return accepted.indexOf(lower) < accepted.indexOf(upper) ? lower : upper;
+};
+
+/**
+ * Aggregated price of an asset. Sources, in order of preference: each feed in
+ * `addresses`, then the pinned value if any (development builds only). When the primary
+ * feed's latest answer is rejected, the TWAP of its recent valid rounds takes its
+ * place. With one accepted source its answer is the price. With more, the price is the
+ * median of the sources within maxDeviation of the overall median, as long as those are
+ * a majority of at least two; otherwise the sources disagree and there is no price.
+ * @param {string} symbol - Key of PRICE_FEEDS, e.g. 'QIE'
+ * @param {Object} [provider] - Ethers provider; defaults to the shared RPC pool
+ * @returns {Promise<{price: number|null, updatedAt: number|null, roundId: bigint|null,
+ *          status: string, source: string|null, deviation: number|null, sources: Array}>}
+ *          `status` is 'ok', 'single-source' (only one source was accepted, so nothing
+ *          cross-checks it), 'deviation' (a source disagrees with the median: `price` is
+ *          the agreeing majority's median, or null without a majority) or, when no source
+ *          is accepted, the primary feed's reason: 'stale', 'out-of-bounds', 'invalid'
+ *          (no positive answer) or 'unavailable' (feed missing or unreachable). `price` is
+ *          USD, `updatedAt` seconds, `source` the source the price came from
+ *          ('feed:<address>', 'twap' or 'pinned'), `deviation` the largest distance of an
+ *          accepted source from the median and `sources` every source's own result.
+ */
+export async function getPrice(symbol, provider = null) {
+  const feed = getFeed(symbol);
+  const readProvider = provider || getReadProvider();
+  const now = Math.floor(Date.now() / 1000);
+
+  const sources = await Promise.all(feed.addresses.map((address) => readFeed(feed, address, readProvider, now)));
+  if (sources[0].status !== 'ok') {
+    sources.push(await readTwap(feed, readProvider, now));
+  }
+  if (pinnedPrices.has(symbol)) {
+    sources.push({ source: 'pinned', price: pinnedPrices.get(symbol), updatedAt: now, roundId: null, status: 'ok' });
+  }
+
+  const accepted = sources.filter((result) => result.status === 'ok');
+  if (!accepted.length) {
+    const { updatedAt, roundId, status } = sources[0];
+    console.warn(`${symbol} price rejected: ${status}`);
+    return { price: null, updatedAt, roundId, status, source: null, deviation: null, sources };
+  }
+  if (accepted.length === 1) {
+    const [only] = accepted;
+    return { ...only, status: 'single-source', deviation: null, sources };
+  }
+
+  const median = pickMedian(accepted);
+  const distance = (result) => Math.abs(result.price - median.price) / median.price;
+  const deviation = Math.max(...accepted.map(distance));
+  const maxDeviation = feed.maxDeviation ?? PRICE_AGGREGATION.maxDeviation;
+  if (deviation <= maxDeviation) {
+    return { price: median.price, updatedAt: median.updatedAt, roundId: median.roundId, status: 'ok', source: median.source, deviation, sources };
+  }
+
+  console.warn(`${symbol} price sources deviate by ${(deviation * 100).toFixed(2)}% from the median`);
+  const agreeing = accepted.filter((result) => distance(result) <= maxDeviation);
+  if (agreeing.length < 2 || agreeing.length * 2 <= accepted.length) {
+    return { price: null, updatedAt: null, roundId: null, status: 'deviation', source: null, deviation, sources };
+  }
+  const consensus = pickMedian(agreeing);
+  return {
+    price: consensus.price,
+    updatedAt: consensus.updatedAt,
+    roundId: consensus.roundId,
+    status: 'deviation',
+    source: consensus.source,
+    deviation,
+    sources,
+  };
+}
+
+/**
+ * Recent rounds of an asset's primary feed, e.g. for a sparkline. Rounds that fail to
+ * load or have no valid answer are skipped.
+ * @param {string} symbol - Key of PRICE_FEEDS
+ * @param {number} [count=24] - Rounds to read, ending with the latest
+ * @param {Object} [provider] - Ethers provider; defaults to the shared RPC pool
+ * @returns {Promise<Array<{roundId: bigint, price: number, updatedAt: number}>>} Oldest first
+ */
+export async function getRoundHistory(symbol, count = 24, provider = null) {
+  const feed = getFeed(symbol);
+  const rounds = await readRounds(feed, feed.addresses[0], count, provider || getReadProvider());
+  return rounds.map((round) => ({
+    roundId: round.roundId,
+    price: round.price,
+    updatedAt: Number(round.updatedAt),
+  }));
+}
@@ -0,0 +1,320 @@
+// ============================================================================
+// PROTOCOL MATH
+// ============================================================================
+// BigInt mirror of the QieLendNative.sol math, operation for operation, so the UI
+// can preview an action with the same rounding the contract will apply.
+//
+// `market` is the raw contract state as returned by getMarketState():
+//   { totalSupply, totalBorrow, totalReserves, lastUpdateTime, exchangeRate, supplyIndex, borrowIndex, params }
+// `params` holds the lending contract's own risk and rate constants (see NATIVE_PARAMS);
+// QieLend.sol runs the same formulas on a different scale, so they are read from the
+// selected contract rather than assumed. A market without `params` uses NATIVE_PARAMS.
+// `account` is the raw `accounts(user)` struct as returned by getAccountState():
+//   { supplyBalance, borrowBalance, supplyIndex, borrowIndex, collateralEnabled }
+// Amounts are in the asset's base units, whatever its decimals; WAD is only the
+// fixed-point scale of exchange rates and indexes. Rates are in basis points, health
+// factors in 1e18 fixed point.
+
+export const WAD = 10n ** 18n;
+export const BPS = 10000n;
+export const MAX_UINT256 = 2n ** 256n - 1n;
+
+export const COLLATERAL_FACTOR = 7000n;
+export const LIQUIDATION_THRESHOLD = 8000n;
+export const LIQUIDATION_BONUS = 5n;
+export const RESERVE_FACTOR = 4000n;
+export const SECONDS_PER_YEAR = 365n * 24n * 60n * 60n;
+
+export const BASE_RATE = 200n;
+export const KINK_UTILIZATION = 8000n;
+export const MULTIPLIER = 800n;
+export const JUMP_MULTIPLIER = 2000n;
+
+// QieLendNative's constants, keyed as contract.js getMarketParams() returns them
+export const NATIVE_PARAMS = {
+  collateralFactor: COLLATERAL_FACTOR,
+  liquidationThreshold: LIQUIDATION_THRESHOLD,
+  liquidationBonus: LIQUIDATION_BONUS,
+  reserveFactor: RESERVE_FACTOR,
+  baseRate: BASE_RATE,
+  kinkUtilization: KINK_UTILIZATION,
+  multiplier: MULTIPLIER,
+  jumpMultiplier: JUMP_MULTIPLIER,
+};
+
+const paramsOf = (market) => market.params ?? NATIVE_PARAMS;
+
+/**
+ * Health factor of a position borrowed up to its full capacity under `params`
+ * (8000/7000 ≈ 1.143 for QieLendNative)
+ */
+export function getMaxBorrowHealthFactor(params = NATIVE_PARAMS) {
+  if (params.collateralFactor === 0n) return MAX_UINT256;
+  return (params.liquidationThreshold * WAD) / params.collateralFactor;
+}
+
+/**
+ * Borrow rate in basis points for a utilization in basis points (_calculateBorrowRate)
+ */
+export function calculateBorrowRate(utilization, params = NATIVE_PARAMS) {
+  const { baseRate, kinkUtilization, multiplier, jumpMultiplier } = params;
+  if (utilization <= kinkUtilization) {
+    return baseRate + (utilization * multiplier) / kinkUtilization;
+  }
+  const excessUtilization = utilization - kinkUtilization;
+  return baseRate + multiplier + (excessUtilization * jumpMultiplier) / (BPS - kinkUtilization);
+}
+
+/**
+ * Supply rate in basis points: the borrow rate less the reserve factor's share
+ */
+export function calculateSupplyRate(borrowRate, params = NATIVE_PARAMS) {
+  return (borrowRate * (BPS - params.reserveFactor)) / BPS;
+}
+
+/**
+ * Utilization in basis points, as getSupplyAPY/getBorrowAPY compute it
+ */
+export function getUtilization(market) {
+  if (market.totalSupply === 0n) return 0n;
+  return (market.totalBorrow * BPS) / market.totalSupply;
+}
+
+/**
+ * Borrow APY in basis points (getBorrowAPY)
+ */
+export function getBorrowAPY(market) {
+  const params = paramsOf(market);
+  if (market.totalSupply === 0n) return params.baseRate;
+  return calculateBorrowRate(getUtilization(market), params);
+}
+
+/**
+ * Supply APY in basis points (getSupplyAPY)
+ */
+export function getSupplyAPY(market) {
+  const params = paramsOf(market);
+  if (market.totalSupply === 0n) return params.baseRate;
+  return calculateSupplyRate(calculateBorrowRate(getUtilization(market), params), params);
+}
+
+/**
+ * Market state after interest accrues up to `timestamp` (_accrueInterest)
+ * @param {Object} market - Raw market state
+ * @param {bigint} timestamp - Block timestamp in seconds
+ * @returns {Object} New market state; the input is not modified
+ */
+export function accrueInterest(market, timestamp) {
+  const next = { ...market };
+  const timeElapsed = timestamp > market.lastUpdateTime ? timestamp - market.lastUpdateTime : 0n;
+  if (timeElapsed === 0n || market.totalSupply === 0n) {
+    next.lastUpdateTime = timestamp > market.lastUpdateTime ? timestamp : market.lastUpdateTime;
+    return next;
+  }
+
+  const params = paramsOf(market);
+  const utilization = market.totalBorrow > 0n ? (market.totalBorrow * WAD) / market.totalSupply : 0n;
+  const borrowRate = calculateBorrowRate((utilization * BPS) / WAD, params);
+  const borrowRatePerSecond = (borrowRate * WAD) / (BPS * SECONDS_PER_YEAR);
+  const interestAccrued = (market.totalBorrow * borrowRatePerSecond * timeElapsed) / WAD;
+  const reserveAmount = (interestAccrued * params.reserveFactor) / BPS;
+  const supplyInterest = interestAccrued - reserveAmount;
+
+  next.exchangeRate = market.exchangeRate + (supplyInterest * WAD) / market.totalSupply;
+  if (market.totalBorrow > 0n) {
+    next.borrowIndex = market.borrowIndex + (interestAccrued * WAD) / market.totalBorrow;
+  }
+  next.supplyIndex = next.exchangeRate;
+  next.totalReserves = market.totalReserves + reserveAmount;
+  next.totalBorrow = market.totalBorrow + interestAccrued;
+  next.totalSupply = market.totalSupply + supplyInterest;
+  next.lastUpdateTime = timestamp;
+  return next;
+}
+
+/**
+ * Health factor in 1e18 fixed point (_calculateHealthFactor); MAX_UINT256 without debt
+ */
+export function calculateHealthFactor(supplyBalance, borrowBalance, params = NATIVE_PARAMS) {
+  if (borrowBalance === 0n) return MAX_UINT256;
+  const collateralValue = (supplyBalance * params.liquidationThreshold) / BPS;
+  return (collateralValue * WAD) / borrowBalance;
+}
+
+/**
+ * Underlying QIE supplied by an account (getSupplyBalance)
+ */
+export function getSupplyBalance(account, market) {
+  return (account.supplyBalance * market.exchangeRate) / WAD;
+}
+
+/**
+ * Underlying QIE owed by an account (getBorrowBalance)
+ */
+export function getBorrowBalance(account, market) {
+  if (account.borrowBalance === 0n) return 0n;
+  const borrowIdx = account.borrowIndex === 0n ? market.borrowIndex : account.borrowIndex;
+  return (account.borrowBalance * market.borrowIndex) / borrowIdx;
+}
+
+/**
+ * Remaining borrow capacity (getAvailableToBorrow)
+ */
+export function getAvailableToBorrow(account, market) {
+  if (!account.collateralEnabled) return 0n;
+  const maxBorrow = (getSupplyBalance(account, market) * paramsOf(market).collateralFactor) / BPS;
+  const borrowed = getBorrowBalance(account, market);
+  return maxBorrow > borrowed ? maxBorrow - borrowed : 0n;
+}
+
+/**
+ * Health factor of an account (getHealthFactor)
+ */
+export function getHealthFactor(account, market) {
+  if (!account.collateralEnabled || account.borrowBalance === 0n) return MAX_UINT256;
+  return calculateHealthFactor(getSupplyBalance(account, market), getBorrowBalance(account, market), paramsOf(market));
+}
+
+// Smallest supply with (supply * collateralFactor) / BPS >= borrowed; none is enough
+// for any debt at a zero collateral factor
+const getRequiredSupply = (borrowed, { collateralFactor }) => {
+  if (collateralFactor === 0n) return borrowed > 0n ? MAX_UINT256 : 0n;
+  return (borrowed * BPS + collateralFactor - 1n) / collateralFactor;
+};
+
+/**
+ * Largest amount `withdraw` accepts: the remaining supply must still cover the debt
+ * at the collateral factor
+ */
+export function getMaxWithdraw(account, market) {
+  const supplied = getSupplyBalance(account, market);
+  if (!account.collateralEnabled || account.borrowBalance === 0n) return supplied;
+  const requiredSupply = getRequiredSupply(getBorrowBalance(account, market), paramsOf(market));
+  return supplied > requiredSupply ? supplied - requiredSupply : 0n;
+}
+
+/**
+ * Largest withdraw, borrow and repay amounts that stay valid for a transaction mined
+ * at any time between `from` and `to`. Supply balances and debt only grow as interest
+ * accrues, so the supply is taken as of `from` and the debt and liquidity as of `to`.
+ * @param {Object} account - Raw account state
+ * @param {Object} market - Raw market state
+ * @param {bigint} from - Earliest block timestamp, usually the latest block's
+ * @param {bigint} to - Latest block timestamp the transaction may be mined at
+ * @returns {{withdraw: bigint, borrow: bigint, repay: bigint}} `repay` is the debt as
+ *          of `to`, which covers the whole debt at any time before then
+ */
+export function getMaxAmounts(account, market, from, to) {
+  const params = paramsOf(market);
+  const supplied = getSupplyBalance(account, accrueInterest(market, from));
+  const later = accrueInterest(market, to);
+  const borrowed = getBorrowBalance(account, later);
+
+  let withdraw = supplied;
+  if (account.collateralEnabled && account.borrowBalance > 0n) {
+    const requiredSupply = getRequiredSupply(borrowed, params);
+    withdraw = supplied > requiredSupply ? supplied - requiredSupply : 0n;
+  }
+
+  let borrow = 0n;
+  if (account.collateralEnabled) {
+    const maxBorrow = (supplied * params.collateralFactor) / BPS;
+    const capacity = maxBorrow > borrowed ? maxBorrow - borrowed : 0n;
+    const liquidity = later.totalSupply > later.totalBorrow ? later.totalSupply - later.totalBorrow : 0n;
+    borrow = capacity < liquidity ? capacity : liquidity;
+  }
+
+  return { withdraw, borrow, repay: borrowed };
+}
+
+/**
+ * Apply one user action to the contract state, as if mined at `timestamp`.
+ * Interest accrues first, exactly as the contract's `updateInterest` modifier does.
+ * @param {'supply'|'withdraw'|'borrow'|'repay'} action - Action to preview
+ * @param {bigint} amount - Amount in base units
+ * @param {Object} account - Raw account state
+ * @param {Object} market - Raw market state
+ * @param {bigint} timestamp - Block timestamp in seconds
+ * @returns {{market: Object, account: Object, repaid?: bigint, error: string|null}} The
+ *          resulting state; `error` is the contract error the action would revert with
+ */
+export function applyAction(action, amount, account, market, timestamp) {
+  const { collateralFactor } = paramsOf(market);
+  const nextMarket = accrueInterest(market, timestamp);
+  const next = { ...account };
+  if (amount <= 0n) return { market: nextMarket, account: next, error: 'InvalidAmount' };
+
+  const supplied = getSupplyBalance(account, nextMarket);
+  const borrowed = getBorrowBalance(account, nextMarket);
+
+  switch (action) {
+    case 'supply':
+      next.supplyBalance = account.supplyBalance + (amount * WAD) / nextMarket.exchangeRate;
+      next.supplyIndex = nextMarket.supplyIndex;
+      nextMarket.totalSupply += amount;
+      break;
+
+    case 'withdraw': {
+      if (supplied < amount) return { market: nextMarket, account: next, error: 'InsufficientBalance' };
+      if (account.collateralEnabled && account.borrowBalance > 0n) {
+        const maxBorrow = ((supplied - amount) * collateralFactor) / BPS;
+        if (borrowed > maxBorrow) return { market: nextMarket, account: next, error: 'CollateralDisabled' };
+      }
+      next.supplyBalance = account.supplyBalance - (amount * WAD) / nextMarket.exchangeRate;
+      next.supplyIndex = nextMarket.supplyIndex;
+      nextMarket.totalSupply -= amount;
+      break;
+    }
+
+    case 'borrow': {
+      if (!account.collateralEnabled) return { market: nextMarket, account: next, error: 'CollateralDisabled' };
+      const maxBorrow = (supplied * collateralFactor) / BPS;
+      if (borrowed + amount > maxBorrow) return { market: nextMarket, account: next, error: 'ExceedsBorrowCapacity' };
+      if (nextMarket.totalBorrow + amount > nextMarket.totalSupply) {
+        return { market: nextMarket, account: next, error: 'InsufficientLiquidity' };
+      }
+      next.borrowBalance = account.borrowBalance + (amount * WAD) / nextMarket.borrowIndex;
+      next.borrowIndex = nextMarket.borrowIndex;
+      nextMarket.totalBorrow += amount;
+      break;
+    }
+
+    case 'repay': {
+      const repaid = amount > borrowed ? borrowed : amount;
+      next.borrowBalance = ((borrowed - repaid) * WAD) / nextMarket.borrowIndex;
+      next.borrowIndex = nextMarket.borrowIndex;
+      nextMarket.totalBorrow -= repaid;
+      // Excess stays as protocol reserves
+      if (amount > repaid) nextMarket.totalReserves += amount - repaid;
+      return { market: nextMarket, account: next, repaid, error: null };
+    }
+
+    default:
+      throw new Error(`Unknown action: ${action}`);
+  }
+
+  return { market: nextMarket, account: next, error: null };
+}
+
+/**
+ * Position metrics before and after an action, for previews
+ * @returns {{before: Object, after: Object, error: string|null}} Each side has supplied,
+ *          borrowed, healthFactor, availableToBorrow, supplyApy and borrowApy
+ */
+export function previewAction(action, amount, account, market, timestamp) {
+  const describe = (acct, mkt) => ({
+    supplied: getSupplyBalance(acct, mkt),
+    borrowed: getBorrowBalance(acct, mkt),
+    healthFactor: getHealthFactor(acct, mkt),
+    availableToBorrow: getAvailableToBorrow(acct, mkt),
+    supplyApy: getSupplyAPY(mkt),
+    borrowApy: getBorrowAPY(mkt),
+  });
+
+  const result = applyAction(action, amount, account, market, timestamp);
+  return {
+    before: describe(account, accrueInterest(market, timestamp)),
+    after: result.error ? null : describe(result.account, result.market),
+    error: result.error,
+  };
+}
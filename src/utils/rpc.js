@@ -0,0 +1,209 @@
+import { ethers } from 'ethers';
+
+// ============================================================================
+// RPC ENDPOINT POOL
+// ============================================================================
+const DEFAULT_RPC_URL = 'https://rpc1mainnet.qie.digital/';
+
+// Read-only QIE RPC endpoints in order of preference. Set VITE_QIE_RPC_URLS to a
+// comma-separated list to add fallback nodes; a list with no URLs in it falls back to
+// the default endpoint.
+const configuredUrls = (import.meta.env.VITE_QIE_RPC_URLS || '')
+  .split(',')
+  .map((url) => url.trim())
+  .filter(Boolean);
+export const RPC_URLS = configuredUrls.length ? configuredUrls : [DEFAULT_RPC_URL];
+
+const QIE_CHAIN_ID = 1990;
+
+// Time a request may take before the next endpoint is tried
+const RPC_TIMEOUT_MS = 10000;
+
+// Delay before a failed endpoint is retried; doubles with every consecutive failure
+const BACKOFF_BASE_MS = 2000;
+const BACKOFF_MAX_MS = 5 * 60 * 1000;
+
+const HEALTH_CHECK_INTERVAL_MS = 30000;
+
+// Endpoints this many blocks behind the most advanced one are treated as unhealthy
+const MAX_BLOCK_LAG = 20;
+
+const endpoints = RPC_URLS.map((url) => ({
+  url,
+  healthy: true,
+  latency: null,
+  blockNumber: null,
+  failures: 0,
+  retryAt: 0,
+  lastError: null,
+}));
+
+let currentUrl = endpoints[0].url;
+const listeners = new Set();
+
+/**
+ * Current pool status for display
+ * @returns {{current: string, latency: number|null, available: boolean, endpoints: Array}}
+ *          `available` is false when every endpoint is failing
+ */
+export function getRpcStatus() {
+  const current = endpoints.find((endpoint) => endpoint.url === currentUrl);
+  return {
+    current: currentUrl,
+    latency: current?.latency ?? null,
+    available: endpoints.some((endpoint) => endpoint.healthy),
+    endpoints: endpoints.map((endpoint) => ({ ...endpoint })),
+  };
+}
+
+/**
+ * Call `listener` with the new status whenever an endpoint fails, recovers or
+ * finishes a health check
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeRpcStatus(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+const notify = () => {
+  const status = getRpcStatus();
+  listeners.forEach((listener) => listener(status));
+};
+
+const recordFailure = (endpoint, error) => {
+  endpoint.failures += 1;
+  endpoint.healthy = false;
+  endpoint.lastError = error.shortMessage || error.message;
+  endpoint.retryAt = Date.now() + Math.min(BACKOFF_BASE_MS * 2 ** (endpoint.failures - 1), BACKOFF_MAX_MS);
+};
+
+// Order to try endpoints in: healthy ones by latency, then failed ones whose backoff
+// has expired, then (as a last resort) the rest by how soon they may be retried
+const rankEndpoints = () => {
+  const now = Date.now();
+  const byLatency = (a, b) => (a.latency ?? Infinity) - (b.latency ?? Infinity);
+  const healthy = endpoints.filter((endpoint) => endpoint.healthy).sort(byLatency);
+  const retryable = endpoints.filter((endpoint) => !endpoint.healthy && endpoint.retryAt <= now);
+  const waiting = endpoints
+    .filter((endpoint) => !endpoint.healthy && endpoint.retryAt > now)
+    .sort((a, b) => a.retryAt - b.retryAt);
+  return [...healthy, ...retryable, ...waiting];
+};
+
+async function sendTo(endpoint, payload) {
+  const request = new ethers.FetchRequest(endpoint.url);
+  request.timeout = RPC_TIMEOUT_MS;
+  request.body = JSON.stringify(payload);
+  request.setHeader('content-type', 'application/json');
+
+  const started = Date.now();
+  const response = await request.send();
+  response.assertOk();
+
+  const wasFailing = !endpoint.healthy;
+  endpoint.latency = Date.now() - started;
+  endpoint.healthy = true;
+  endpoint.failures = 0;
+  endpoint.retryAt = 0;
+  endpoint.lastError = null;
+
+  const body = response.bodyJson;
+  return { results: Array.isArray(body) ? body : [body], recovered: wasFailing };
+}
+
+/**
+ * JSON-RPC provider that sends every request to the best endpoint in the pool and
+ * fails over to the next one on network errors, timeouts and HTTP errors.
+ * JSON-RPC errors such as reverts are returned as usual and do not cause a failover.
+ */
+class PooledRpcProvider extends ethers.JsonRpcProvider {
+  constructor() {
+    super(endpoints[0].url, QIE_CHAIN_ID, { staticNetwork: true });
+  }
+
+  async _send(payload) {
+    let lastError = null;
+    for (const endpoint of rankEndpoints()) {
+      try {
+        const { results, recovered } = await sendTo(endpoint, payload);
+        if (recovered || currentUrl !== endpoint.url) {
+          currentUrl = endpoint.url;
+          notify();
+        }
+        return results;
+      } catch (error) {
+        console.warn(`RPC endpoint ${endpoint.url} failed:`, error.shortMessage || error.message);
+        lastError = error;
+        recordFailure(endpoint, error);
+        notify();
+      }
+    }
+    throw lastError;
+  }
+}
+
+/**
+ * Probe every endpoint that is not backing off with eth_blockNumber, recording its
+ * latency and head block. Endpoints lagging behind the others are marked unhealthy.
+ */
+export async function checkRpcEndpoints() {
+  const now = Date.now();
+  await Promise.all(
+    endpoints
+      .filter((endpoint) => endpoint.healthy || endpoint.retryAt <= now)
+      .map(async (endpoint) => {
+        try {
+          const { results } = await sendTo(endpoint, { jsonrpc: '2.0', id: 1, method: 'eth_blockNumber', params: [] });
+          if (results[0]?.error) throw new Error(results[0].error.message);
+          endpoint.blockNumber = Number(results[0].result);
+        } catch (error) {
+          recordFailure(endpoint, error);
+        }
+      })
+  );
+
+  const head = Math.max(...endpoints.map((endpoint) => endpoint.blockNumber ?? 0));
+  endpoints.forEach((endpoint) => {
+    if (endpoint.healthy && endpoint.blockNumber !== null && head - endpoint.blockNumber > MAX_BLOCK_LAG) {
+      endpoint.healthy = false;
+      endpoint.lastError = `${head - endpoint.blockNumber} blocks behind`;
+    }
+  });
+
+  currentUrl = rankEndpoints()[0].url;
+  notify();
+  return getRpcStatus();
+}
+
+let readProvider = null;
+let healthCheckTimer = null;
+
+/**
+ * Shared read-only provider backed by the endpoint pool. The first call starts
+ * periodic health checks.
+ */
+export function getReadProvider() {
+  if (!readProvider) {
+    readProvider = new PooledRpcProvider();
+    checkRpcEndpoints();
+    healthCheckTimer = setInterval(checkRpcEndpoints, HEALTH_CHECK_INTERVAL_MS);
+  }
+  return readProvider;
+}
+
+/**
+ * Stop the periodic health checks; the next getReadProvider() call starts them again
+ * with a fresh provider
+ */
+export function stopRpcHealthChecks() {
+  clearInterval(healthCheckTimer);
+  healthCheckTimer = null;
+  readProvider?.destroy();
+  readProvider = null;
+}
+
+// A hot-reloaded copy of this module starts its own timer
+if (import.meta.hot) {
+  import.meta.hot.dispose(stopRpcHealthChecks);
+}
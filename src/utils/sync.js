@@ -0,0 +1,215 @@
+import { ethers } from 'ethers';
+import { getReadProvider } from './rpc.js';
+import { getContract, getContractLogs } from './contract.js';
+
+// ============================================================================
+// DATA SYNC ENGINE
+// ============================================================================
+// Drives every background refresh from new blocks instead of independent timers.
+// Each block, QieLendNative events in the new blocks are matched against the
+// registered tasks, and only tasks whose data can have changed run. Task runs are
+// coalesced, and syncing pauses while the tab is hidden.
+
+// Optional WebSocket endpoint for new-block subscriptions; without it blocks are
+// detected by polling eth_blockNumber through the RPC pool
+const WS_URL = import.meta.env.VITE_QIE_WS_URL || '';
+
+const QIE_CHAIN_ID = 1990;
+const BLOCK_POLL_INTERVAL_MS = 4000;
+
+// After a longer gap (e.g. the tab was hidden for a while) the blocks are not
+// scanned; every event-driven task is refreshed instead
+const MAX_EVENT_SCAN_BLOCKS = 1000;
+
+const tasks = new Map();
+let syncAccount = null;
+let lastBlock = null;
+let ticking = false;
+let active = false;
+let pollTimer = null;
+let wsProvider = null;
+
+/**
+ * Register a background refresh task. Registering an existing key replaces it.
+ * @param {string} key - Task name
+ * @param {Object} task
+ * @param {Function} task.run - Async refresh function
+ * @param {string[]} [task.events] - QieLendNative events that make the data stale ('*' for any)
+ * @param {boolean} [task.accountOnly] - Only count events involving the sync account
+ * @param {number} [task.intervalMs] - Also refresh once this long has passed since the
+ *        last run, for data that changes without contract events (prices, accrual)
+ * @param {boolean} [task.immediate=true] - Run once right away
+ * @returns {Function} Unregister
+ */
+export function registerSyncTask(key, { run, events = [], accountOnly = false, intervalMs = null, immediate = true }) {
+  const previous = tasks.get(key);
+  const task = {
+    run,
+    events,
+    accountOnly,
+    intervalMs,
+    lastRun: immediate ? 0 : Date.now(),
+    running: previous?.running ?? null,
+    rerun: previous?.rerun ?? null,
+  };
+  tasks.set(key, task);
+  startEngine();
+  if (immediate && active) runTask(key);
+
+  return () => {
+    if (tasks.get(key) !== task) return;
+    tasks.delete(key);
+    if (tasks.size === 0) stopEngine();
+  };
+}
+
+/**
+ * Account whose events trigger `accountOnly` tasks
+ */
+export function setSyncAccount(address) {
+  syncAccount = address ? address.toLowerCase() : null;
+}
+
+/**
+ * Run a task now, e.g. after the user's own transaction is mined. If it is already
+ * running, one more run is queued after it, so the result reflects the latest state.
+ * @returns {Promise<void>} Resolves when the refresh has finished
+ */
+export function refreshSyncTask(key) {
+  return runTask(key);
+}
+
+function runTask(key) {
+  const task = tasks.get(key);
+  if (!task) return Promise.resolve();
+
+  if (task.running) {
+    // The running refresh may have read state from before the trigger
+    task.rerun ??= task.running.then(() => {
+      task.rerun = null;
+      return runTask(key);
+    });
+    return task.rerun;
+  }
+
+  task.lastRun = Date.now();
+  task.running = Promise.resolve()
+    .then(task.run)
+    .catch((error) => console.error(`Sync task "${key}" failed:`, error))
+    .finally(() => {
+      task.running = null;
+    });
+  return task.running;
+}
+
+// Lowercased addresses an event is about (user, borrower, liquidator)
+const eventAccounts = (parsed) =>
+  ['user', 'borrower', 'liquidator']
+    .map((name) => parsed.args[name])
+    .filter(Boolean)
+    .map((address) => address.toLowerCase());
+
+async function getBlockEvents(provider, fromBlock, toBlock) {
+  const contract = getContract(provider);
+  const logs = await getContractLogs(provider, [], fromBlock, toBlock);
+  return logs
+    .map((log) => contract.interface.parseLog(log))
+    .filter(Boolean)
+    .map((parsed) => ({ name: parsed.name, accounts: eventAccounts(parsed) }));
+}
+
+const taskMatches = (task, events) =>
+  events.some(
+    (event) =>
+      (task.events.includes('*') || task.events.includes(event.name)) &&
+      (!task.accountOnly || (syncAccount !== null && event.accounts.includes(syncAccount)))
+  );
+
+async function tick() {
+  if (ticking || !active) return;
+  ticking = true;
+  try {
+    const provider = getReadProvider();
+    const blockNumber = await provider.getBlockNumber();
+
+    if (lastBlock !== null && blockNumber > lastBlock) {
+      const eventTasks = [...tasks].filter(([, task]) => task.events.length > 0);
+      if (eventTasks.length) {
+        const gap = blockNumber - lastBlock;
+        const events = gap > MAX_EVENT_SCAN_BLOCKS ? null : await getBlockEvents(provider, lastBlock + 1, blockNumber);
+        eventTasks.forEach(([key, task]) => {
+          if (events === null || taskMatches(task, events)) runTask(key);
+        });
+      }
+    }
+    if (lastBlock === null || blockNumber > lastBlock) lastBlock = blockNumber;
+
+    const now = Date.now();
+    tasks.forEach((task, key) => {
+      if (task.intervalMs && !task.running && now - task.lastRun >= task.intervalMs) runTask(key);
+    });
+  } catch (error) {
+    console.error('Sync tick failed:', error);
+  } finally {
+    ticking = false;
+  }
+}
+
+function startPolling() {
+  if (!pollTimer) pollTimer = setInterval(tick, BLOCK_POLL_INTERVAL_MS);
+}
+
+function resume() {
+  if (active) return;
+  active = true;
+
+  if (WS_URL) {
+    try {
+      wsProvider = new ethers.WebSocketProvider(WS_URL, QIE_CHAIN_ID);
+      wsProvider.on('block', tick);
+      // Fall back to polling if the socket drops
+      wsProvider.websocket.addEventListener('close', () => {
+        wsProvider = null;
+        if (active) startPolling();
+      });
+    } catch (error) {
+      console.warn('Block subscription failed, polling instead:', error);
+      wsProvider = null;
+    }
+  }
+  if (!wsProvider) startPolling();
+
+  tick();
+}
+
+function pause() {
+  active = false;
+  clearInterval(pollTimer);
+  pollTimer = null;
+  if (wsProvider) {
+    const socket = wsProvider;
+    wsProvider = null;
+    socket.destroy();
+  }
+}
+
+const handleVisibilityChange = () => {
+  if (document.hidden) pause();
+  else resume();
+};
+
+let started = false;
+
+function startEngine() {
+  if (started) return;
+  started = true;
+  document.addEventListener('visibilitychange', handleVisibilityChange);
+  if (!document.hidden) resume();
+}
+
+function stopEngine() {
+  if (!started) return;
+  started = false;
+  document.removeEventListener('visibilitychange', handleVisibilityChange);
+  pause();
+}